@@ -10,7 +10,16 @@ const collectionsIndexConfiguration = function () {
         'extent.temporal.interval': { type: 'date' },
         providers: { type: 'object', enabled: false },
         links: { type: 'object', enabled: false },
-        item_assets: { type: 'object', enabled: false }
+        item_assets: { type: 'object', enabled: false },
+        queryables: { type: 'object', enabled: false },
+        aggregations: { type: 'object', enabled: false },
+        search_extent: {
+          properties: {
+            geometry: { type: 'geo_shape' },
+            start_datetime: { type: 'date' },
+            end_datetime: { type: 'date' }
+          }
+        }
       }
     }
   }
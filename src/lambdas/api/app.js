@@ -7,6 +7,12 @@ const logger = require('morgan')
 const path = require('path')
 const database = require('../../lib/database')
 const api = require('../../lib/api')
+const { PARQUET, itemsToParquet } = require('../../lib/geoparquet')
+const {
+  CSV, GEOJSON_SEQ, KML, itemsToCsv, itemsToGeojsonSeq, itemsToKml
+} = require('../../lib/item-formats')
+const html = require('../../lib/html')
+const { MVT } = require('../../lib/tiles')
 const { readFile } = require('../../lib/fs')
 const { addEndpoint } = require('./middleware/add-endpoint')
 
@@ -17,20 +23,296 @@ const { addEndpoint } = require('./middleware/add-endpoint')
  * @typedef {import('express').ErrorRequestHandler} ErrorRequestHandler
  */
 
+/**
+ * @typedef {Object} Link
+ * @property {string} rel
+ * @property {string} [method]
+ * @property {string} [href]
+ */
+
 const txnEnabled = process.env['ENABLE_TRANSACTIONS_EXTENSION'] === 'true'
 
+// The most bytes that an export of Items can have when it is sent from Lambda, as responses
+// from Lambda are buffered and limited to 6 MB, or 0 for no limit
+const exportMaxBytes = Number(process.env['EXPORT_MAX_BYTES'] || 6000000)
+
+const GEOJSON = 'application/geo+json'
+const NDJSON = 'application/x-ndjson'
+const { HTML } = html
+
+// The media types of Item responses, the first is the default
+const ITEMS_MEDIA_TYPES = [
+  GEOJSON, 'application/json', NDJSON, PARQUET, CSV, GEOJSON_SEQ, KML, HTML
+]
+const ITEM_MEDIA_TYPES = [GEOJSON, 'application/json', CSV, GEOJSON_SEQ, KML, HTML]
+// the catalog and collections
+const JSON_MEDIA_TYPES = ['application/json', HTML]
+
+// The media types of the values of the f parameter, which takes precedence over Accept
+/** @type {Object<string, string>} */
+const FORMATS = {
+  geojson: GEOJSON,
+  json: GEOJSON,
+  ndjson: NDJSON,
+  parquet: PARQUET,
+  csv: CSV,
+  'geojson-seq': GEOJSON_SEQ,
+  kml: KML,
+  html: HTML
+}
+
+// Serializers of lists of Items, by media type, for formats other than GeoJSON
+/** @type {Object<string, (items: Object[]) => string|Buffer|Promise<Buffer>>} */
+const ITEMS_SERIALIZERS = {
+  [PARQUET]: itemsToParquet,
+  [CSV]: itemsToCsv,
+  [GEOJSON_SEQ]: itemsToGeojsonSeq,
+  [KML]: itemsToKml
+}
+
+/**
+ * The media type to respond with, of those given, from the f parameter or the Accept header.
+ * Responses that depend on the Accept header vary by it, for caches.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string[]} mediaTypes
+ * @returns {string}
+ */
+const negotiateMediaType = (req, res, mediaTypes) => {
+  const { f } = req.query
+  if (f !== undefined) {
+    const mediaType = FORMATS[String(f)]
+    if (!mediaType || !mediaTypes.includes(mediaType)) {
+      const formats = Object.entries(FORMATS)
+        .filter(([, type]) => mediaTypes.includes(type))
+        .map(([format]) => format)
+      throw new api.ValidationError(`Invalid f parameter, expected one of ${formats.join(', ')}`)
+    }
+    return mediaType
+  }
+  res.vary('Accept')
+  return req.accepts(mediaTypes) || mediaTypes[0] || GEOJSON
+}
+
+/**
+ * The ETag of a representation of an Item. JSON has the ETag of the Item version, that
+ * If-Match compares on writes, and the other formats have their own ETags, as a strong
+ * validator differs for each representation.
+ *
+ * @param {string} etag
+ * @param {string} mediaType
+ * @returns {string}
+ */
+const representationEtag = (etag, mediaType) => {
+  if ([GEOJSON, 'application/json'].includes(mediaType)) return etag
+  const format = Object.keys(FORMATS).find((f) => FORMATS[f] === mediaType)
+  return etag.replace(/"$/, `-${format}"`)
+}
+
+/**
+ * Sets a Link header with the GET paging links of a search, for responses that can't hold
+ * links themselves
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Link[]} links
+ * @returns {void}
+ */
+const setPagingLinkHeader = (req, res, links) => {
+  const { f } = req.query
+  const header = links
+    .filter((link) => link.method === 'GET' && ['next', 'prev', 'first'].includes(link.rel))
+    .map((link) => {
+      const href = f ? `${link.href}&f=${encodeURIComponent(String(f))}` : link.href
+      return `<${href}>; rel="${link.rel}"`
+    })
+    .join(', ')
+  if (header) res.set('Link', header)
+}
+
+/**
+ * Writes Items as newline delimited JSON, waiting for the response to drain when its buffer
+ * is full
+ *
+ * @param {Response} res
+ * @param {AsyncIterable<unknown>} items
+ * @returns {Promise<void>}
+ */
+const writeNdjson = async (res, items) => {
+  for await (const item of items) {
+    if (res.destroyed) break
+    if (!res.headersSent) res.type(NDJSON)
+    if (!res.write(`${JSON.stringify(item)}\n`)) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => {
+        res.once('drain', resolve)
+        res.once('close', resolve)
+      })
+    }
+  }
+  if (!res.headersSent) res.type(NDJSON)
+  res.end()
+}
+
+/**
+ * Sends Items as newline delimited JSON once they have all been read, throwing a
+ * ValidationError, and reading no more, if they are more than the maximum bytes
+ *
+ * @param {Response} res
+ * @param {AsyncIterable<unknown>} items
+ * @param {number} maxBytes
+ * @returns {Promise<void>}
+ */
+const sendNdjson = async (res, items, maxBytes) => {
+  const lines = []
+  let bytes = 0
+  for await (const item of items) {
+    const line = `${JSON.stringify(item)}\n`
+    bytes += Buffer.byteLength(line)
+    if (bytes > maxBytes) {
+      throw new api.ValidationError(
+        `Export is larger than the maximum of ${maxBytes} bytes, narrow the search or page it`
+      )
+    }
+    lines.push(line)
+  }
+  res.type(NDJSON).send(lines.join(''))
+}
+
+/**
+ * Whether the response is buffered and sent all at once, as it is when the request is from
+ * API Gateway through serverless-http in Lambda, rather than streamed by a server
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ */
+const isBufferedResponse = (req) => 'apiGateway' in req
+
+/**
+ * Responds to a search with a page of Items, in the requested format, or with all of them
+ * when newline delimited JSON is requested
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string|null} collectionId
+ * @param {Object} parameters
+ * @param {string} httpMethod
+ * @returns {Promise<void>}
+ */
+const respondWithItems = async (req, res, collectionId, parameters, httpMethod) => {
+  // newline delimited JSON is an export of all the matching Items rather than a page of them
+  const mediaType = negotiateMediaType(req, res, ITEMS_MEDIA_TYPES)
+  if (mediaType === NDJSON) {
+    const items = await api.exportItems(
+      collectionId, parameters, database, req.endpoint, httpMethod
+    )
+    if (isBufferedResponse(req) && exportMaxBytes) await sendNdjson(res, items, exportMaxBytes)
+    else await writeNdjson(res, items)
+    return
+  }
+
+  const items = await api.searchItems(
+    collectionId, parameters, database, req.endpoint, httpMethod
+  )
+  const serialize = ITEMS_SERIALIZERS[mediaType]
+  if (mediaType === HTML) {
+    res.type(HTML)
+    res.send(html.renderItems(items, collectionId || 'Search'))
+  } else if (serialize) {
+    setPagingLinkHeader(req, res, items.links)
+    res.type(mediaType)
+    res.send(await serialize(items.features))
+  } else {
+    res.type(GEOJSON)
+    res.json(items)
+  }
+}
+
+/**
+ * Responds with a vector tile of the footprints of the Items matching a search, or no content
+ * if there are none in the tile
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string|null} collectionId
+ * @returns {Promise<void>}
+ */
+const respondWithTile = async (req, res, collectionId) => {
+  const tile = await api.getItemsTile(collectionId, req.params, req.query, database)
+  if (tile) res.type(MVT).send(tile)
+  else res.sendStatus(204)
+}
+
+/**
+ * Whether a request has a Prefer header (RFC 7240) of return=representation, for the written
+ * resource in the response
+ *
+ * @param {Request} req
+ * @returns {boolean}
+ */
+const prefersRepresentation = (req) => (req.get('Prefer') || '').split(',')
+  .some((preference) => /^\s*return\s*=\s*representation\s*(;|$)/i.test(preference))
+
+/**
+ * Responds to an Item transaction with its ETag, and the Item that was written if it is
+ * preferred, otherwise with no content
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {number} status
+ * @param {{item: Object, etag: string}} written
+ * @returns {void}
+ */
+const respondWithWrittenItem = (req, res, status, { item, etag }) => {
+  res.set('ETag', etag)
+  if (prefersRepresentation(req)) {
+    res.set('Preference-Applied', 'return=representation')
+    res.status(status).type(GEOJSON).json(item)
+  } else {
+    res.sendStatus(status === 200 ? 204 : status)
+  }
+}
+
+/**
+ * @param {unknown} error
+ * @param {Response} res
+ * @param {NextFunction} next
+ * @returns {void}
+ */
+const handleSearchError = (error, res, next) => {
+  if (res.headersSent) {
+    // an export failed part way through, all that can be done is to cut it short
+    console.error(error)
+    res.destroy()
+  } else if (error instanceof api.ValidationError) {
+    next(createError(400, error.message))
+  } else {
+    next(error)
+  }
+}
+
 const app = express()
 
 app.use(logger('dev'))
 app.use(cors())
-app.use(express.json())
+// as large as a Lambda request can be, for bulk transactions, and with the JSON media types
+// of GeoJSON and patches
+app.use(express.json({ limit: '6mb', type: ['application/json', 'application/*+json'] }))
 app.use(addEndpoint)
 
 app.get('/', async (req, res, next) => {
   try {
-    res.json(await api.getCatalog(txnEnabled, database, req.endpoint))
+    const mediaType = negotiateMediaType(req, res, JSON_MEDIA_TYPES)
+    const catalog = await api.getCatalog(txnEnabled, database, req.endpoint)
+    if (mediaType === HTML) res.type(HTML).send(html.renderCatalog(catalog))
+    else res.json(catalog)
   } catch (error) {
-    next(error)
+    if (error instanceof api.ValidationError) {
+      next(createError(400, error.message))
+    } else {
+      next(error)
+    }
   }
 })
 
@@ -70,33 +352,31 @@ app.get('/conformance', async (_req, res, next) => {
 
 app.get('/search', async (req, res, next) => {
   try {
-    res.type('application/geo+json')
-    res.json(await api.searchItems(null, req.query, database, req.endpoint, 'GET'))
+    await respondWithItems(req, res, null, req.query, 'GET')
   } catch (error) {
-    if (error instanceof api.ValidationError) {
-      next(createError(400, error.message))
-    } else {
-      next(error)
-    }
+    handleSearchError(error, res, next)
   }
 })
 
 app.post('/search', async (req, res, next) => {
   try {
-    res.type('application/geo+json')
-    res.json(await api.searchItems(null, req.body, database, req.endpoint, 'POST'))
+    await respondWithItems(req, res, null, req.body, 'POST')
   } catch (error) {
-    if (error instanceof api.ValidationError) {
-      next(createError(400, error.message))
-    } else {
-      next(error)
-    }
+    handleSearchError(error, res, next)
+  }
+})
+
+app.get('/search/tiles/:z/:x/:y.mvt', async (req, res, next) => {
+  try {
+    await respondWithTile(req, res, null)
+  } catch (error) {
+    handleSearchError(error, res, next)
   }
 })
 
 app.get('/aggregate', async (req, res, next) => {
   try {
-    res.json(await api.aggregate(req.query, database, req.endpoint, 'GET'))
+    res.json(await api.aggregate(null, req.query, database, req.endpoint, 'GET'))
   } catch (error) {
     if (error instanceof api.ValidationError) {
       next(createError(400, error.message))
@@ -108,7 +388,7 @@ app.get('/aggregate', async (req, res, next) => {
 
 app.post('/aggregate', async (req, res, next) => {
   try {
-    res.json(await api.aggregate(req.body, database, req.endpoint, 'POST'))
+    res.json(await api.aggregate(null, req.body, database, req.endpoint, 'POST'))
   } catch (error) {
     if (error instanceof api.ValidationError) {
       next(createError(400, error.message))
@@ -118,17 +398,50 @@ app.post('/aggregate', async (req, res, next) => {
   }
 })
 
-app.get('/collections', async (req, res, next) => {
+app.get('/aggregations', async (req, res, next) => {
+  try {
+    res.json(await api.getAggregations(null, database, req.endpoint))
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.get('/queryables', async (req, res, next) => {
   try {
-    res.json(await api.getCollections(database, req.endpoint))
+    res.type('application/schema+json')
+    res.json(await api.getQueryables(null, database, req.endpoint))
   } catch (error) {
     next(error)
   }
 })
 
+app.get('/sortables', async (req, res, next) => {
+  try {
+    res.type('application/schema+json')
+    res.json(await api.getSortables(null, database, req.endpoint))
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.get('/collections', async (req, res, next) => {
+  try {
+    const mediaType = negotiateMediaType(req, res, JSON_MEDIA_TYPES)
+    const collections = await api.getCollections(database, req.endpoint, req.query)
+    if (mediaType === HTML) res.type(HTML).send(html.renderCollections(collections))
+    else res.json(collections)
+  } catch (error) {
+    if (error instanceof api.ValidationError) {
+      next(createError(400, error.message))
+    } else {
+      next(error)
+    }
+  }
+})
+
 app.post('/collections', async (req, res, next) => {
   if (txnEnabled) {
-    const collectionId = req.body.collection
+    const collectionId = req.body.id
     try {
       await api.createCollection(req.body, database)
       res.location(`${req.endpoint}/collections/${collectionId}`)
@@ -150,32 +463,151 @@ app.post('/collections', async (req, res, next) => {
 app.get('/collections/:collectionId', async (req, res, next) => {
   const { collectionId } = req.params
   try {
+    const mediaType = negotiateMediaType(req, res, JSON_MEDIA_TYPES)
     const response = await api.getCollection(collectionId, database, req.endpoint)
 
     if (response instanceof Error) next(createError(404))
+    else if (mediaType === HTML) res.type(HTML).send(html.renderCollection(response))
     else res.json(response)
+  } catch (error) {
+    if (error instanceof api.ValidationError) {
+      next(createError(400, error.message))
+    } else {
+      next(error)
+    }
+  }
+})
+
+app.put('/collections/:collectionId', async (req, res, next) => {
+  if (txnEnabled) {
+    const { collectionId } = req.params
+    if (req.body.id && req.body.id !== collectionId) {
+      next(createError(400, 'Collection ID in resource URI must match id in body'))
+    } else {
+      try {
+        const response = await api.updateCollection(
+          { ...req.body, id: collectionId }, database
+        )
+        if (response instanceof Error) next(createError(404))
+        else res.sendStatus(204)
+      } catch (error) {
+        next(error)
+      }
+    }
+  } else {
+    next(createError(404))
+  }
+})
+
+app.patch('/collections/:collectionId', async (req, res, next) => {
+  if (txnEnabled) {
+    const { collectionId } = req.params
+    if (req.body.id && req.body.id !== collectionId) {
+      next(createError(400, 'Collection ID in resource URI must match id in body'))
+    } else {
+      try {
+        const response = await api.partialUpdateCollection(collectionId, req.body, database)
+        if (response instanceof Error) next(createError(404))
+        else res.sendStatus(204)
+      } catch (error) {
+        next(error)
+      }
+    }
+  } else {
+    next(createError(404))
+  }
+})
+
+app.delete('/collections/:collectionId', async (req, res, next) => {
+  if (txnEnabled) {
+    const { collectionId } = req.params
+    try {
+      const response = await api.deleteCollection(collectionId, req.query, database)
+      if (response instanceof Error) next(createError(404))
+      else res.sendStatus(204)
+    } catch (error) {
+      if (error instanceof api.ValidationError) {
+        next(createError(400, error.message))
+      } else if (error instanceof api.ConflictError) {
+        next(createError(409, error.message))
+      } else {
+        next(error)
+      }
+    }
+  } else {
+    next(createError(404))
+  }
+})
+
+app.get('/collections/:collectionId/queryables', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.getQueryables(collectionId, database, req.endpoint)
+
+    if (response instanceof Error) next(createError(404))
+    else {
+      res.type('application/schema+json')
+      res.json(response)
+    }
   } catch (error) {
     next(error)
   }
 })
 
-app.get('/collections/:collectionId/items', async (req, res, next) => {
+app.get('/collections/:collectionId/sortables', async (req, res, next) => {
   const { collectionId } = req.params
   try {
-    const response = await api.getCollection(collectionId, database, req.endpoint)
+    const response = await api.getSortables(collectionId, database, req.endpoint)
 
     if (response instanceof Error) next(createError(404))
     else {
-      const items = await api.searchItems(
-        collectionId,
-        req.query,
-        database,
-        req.endpoint,
-        'GET'
-      )
-      res.type('application/geo+json')
-      res.json(items)
+      res.type('application/schema+json')
+      res.json(response)
+    }
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.get('/collections/:collectionId/aggregations', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.getAggregations(collectionId, database, req.endpoint)
+
+    if (response instanceof Error) next(createError(404))
+    else res.json(response)
+  } catch (error) {
+    next(error)
+  }
+})
+
+app.get('/collections/:collectionId/aggregate', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.aggregate(
+      collectionId, req.query, database, req.endpoint, 'GET'
+    )
+
+    if (response instanceof Error) next(createError(404))
+    else res.json(response)
+  } catch (error) {
+    if (error instanceof api.ValidationError) {
+      next(createError(400, error.message))
+    } else {
+      next(error)
     }
+  }
+})
+
+app.post('/collections/:collectionId/aggregate', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.aggregate(
+      collectionId, req.body, database, req.endpoint, 'POST'
+    )
+
+    if (response instanceof Error) next(createError(404))
+    else res.json(response)
   } catch (error) {
     if (error instanceof api.ValidationError) {
       next(createError(400, error.message))
@@ -185,6 +617,30 @@ app.get('/collections/:collectionId/items', async (req, res, next) => {
   }
 })
 
+app.get('/collections/:collectionId/items', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.getCollection(collectionId, database, req.endpoint)
+
+    if (response instanceof Error) next(createError(404))
+    else await respondWithItems(req, res, collectionId, req.query, 'GET')
+  } catch (error) {
+    handleSearchError(error, res, next)
+  }
+})
+
+app.get('/collections/:collectionId/tiles/:z/:x/:y.mvt', async (req, res, next) => {
+  const { collectionId } = req.params
+  try {
+    const response = await api.getCollection(collectionId, database, req.endpoint)
+
+    if (response instanceof Error) next(createError(404))
+    else await respondWithTile(req, res, collectionId)
+  } catch (error) {
+    handleSearchError(error, res, next)
+  }
+})
+
 app.post('/collections/:collectionId/items', async (req, res, next) => {
   if (txnEnabled) {
     const { collectionId } = req.params
@@ -195,18 +651,25 @@ app.post('/collections/:collectionId/items', async (req, res, next) => {
     } else {
       const collectionRes = await api.getCollection(collectionId, database, req.endpoint)
       if (collectionRes instanceof Error) next(createError(404))
-      try {
-        req.body.collection = collectionId
-        await api.createItem(req.body, database)
-        res.location(`${req.endpoint}/collections/${collectionId}/items/${itemId}`)
-        res.sendStatus(201)
-      } catch (error) {
-        if (error instanceof Error
-              && error.name === 'ResponseError'
-              && error.message.includes('version_conflict_engine_exception')) {
-          res.sendStatus(409)
-        } else {
-          next(error)
+      else {
+        try {
+          req.body.collection = collectionId
+          const response = await api.createItem(req.body, database, req.endpoint)
+          if (response instanceof Error) next(createError(500))
+          else {
+            res.location(`${req.endpoint}/collections/${collectionId}/items/${itemId}`)
+            respondWithWrittenItem(req, res, 201, response)
+          }
+        } catch (error) {
+          if (error instanceof api.ValidationError) {
+            next(createError(400, error.message))
+          } else if (error instanceof Error
+                && error.name === 'ResponseError'
+                && error.message.includes('version_conflict_engine_exception')) {
+            res.sendStatus(409)
+          } else {
+            next(error)
+          }
         }
       }
     }
@@ -215,11 +678,34 @@ app.post('/collections/:collectionId/items', async (req, res, next) => {
   }
 })
 
+app.post('/collections/:collectionId/bulk_items', async (req, res, next) => {
+  if (txnEnabled) {
+    const { collectionId } = req.params
+    try {
+      const collectionRes = await api.getCollection(collectionId, database, req.endpoint)
+      if (collectionRes instanceof Error) next(createError(404))
+      else {
+        const response = await api.bulkItems(collectionId, req.body, database)
+        if (response instanceof Error) next(createError(500))
+        else res.json(response)
+      }
+    } catch (error) {
+      if (error instanceof api.ValidationError) {
+        next(createError(400, error.message))
+      } else {
+        next(error)
+      }
+    }
+  } else {
+    next(createError(404))
+  }
+})
+
 app.get('/collections/:collectionId/items/:itemId', async (req, res, next) => {
   try {
     const { itemId, collectionId } = req.params
 
-    const response = await api.getItem(
+    const response = await api.getItemWithEtag(
       collectionId,
       itemId,
       database,
@@ -233,11 +719,24 @@ app.get('/collections/:collectionId/items/:itemId', async (req, res, next) => {
         next(createError(500))
       }
     } else {
-      res.type('application/geo+json')
-      res.json(response)
+      const { item } = response
+      const mediaType = negotiateMediaType(req, res, ITEM_MEDIA_TYPES)
+      const serialize = ITEMS_SERIALIZERS[mediaType]
+      const etag = representationEtag(response.etag, mediaType)
+      const ifNoneMatch = req.get('If-None-Match')
+      res.set('ETag', etag)
+      res.type(mediaType === 'application/json' ? GEOJSON : mediaType)
+      if (ifNoneMatch && api.etagMatches(ifNoneMatch, etag, true)) res.status(304).end()
+      else if (mediaType === HTML) res.send(html.renderItem(item))
+      else if (serialize) res.send(await serialize([item]))
+      else res.json(item)
     }
   } catch (error) {
-    next(error)
+    if (error instanceof api.ValidationError) {
+      next(createError(400, error.message))
+    } else {
+      next(error)
+    }
   }
 })
 
@@ -256,10 +755,17 @@ app.put('/collections/:collectionId/items/:itemId', async (req, res, next) => {
         req.body.collection = collectionId
         req.body.id = itemId
         try {
-          await api.updateItem(req.body, database)
-          res.sendStatus(204)
+          const response = await api.updateItem(
+            req.body, database, req.endpoint, req.get('If-Match')
+          )
+          if (response instanceof Error) next(createError(500))
+          else respondWithWrittenItem(req, res, 200, response)
         } catch (error) {
-          if (error instanceof Error
+          if (error instanceof api.ValidationError) {
+            next(createError(400, error.message))
+          } else if (error instanceof api.PreconditionFailedError) {
+            next(createError(412, error.message))
+          } else if (error instanceof Error
                   && error.name === 'ResponseError'
                   && error.message.includes('version_conflict_engine_exception')) {
             res.sendStatus(409)
@@ -287,15 +793,29 @@ app.patch('/collections/:collectionId/items/:itemId', async (req, res, next) =>
       if (itemRes instanceof Error) next(createError(404))
       else {
         try {
-          //const item =
-          await api.partialUpdateItem(
-            collectionId, itemId, req.body, database, req.endpoint
-          )
-          // res.type('application/geo+json')
-          // res.json(item)
-          res.sendStatus(204)
+          // JSON Merge Patch and JSON Patch by their media types, otherwise the properties
+          // in the body are updated
+          const patchType = req.is([api.MERGE_PATCH, api.JSON_PATCH])
+          const ifMatch = req.get('If-Match')
+          const response = patchType
+            ? await api.patchItem(
+              collectionId, itemId, req.body, patchType, database, req.endpoint, ifMatch
+            )
+            : await api.partialUpdateItem(
+              collectionId, itemId, req.body, database, req.endpoint, ifMatch
+            )
+          if (response instanceof Error) next(createError(500))
+          else respondWithWrittenItem(req, res, 200, response)
         } catch (error) {
-          next(error)
+          if (error instanceof api.ValidationError) {
+            next(createError(400, error.message))
+          } else if (error instanceof api.ConflictError) {
+            next(createError(409, error.message))
+          } else if (error instanceof api.PreconditionFailedError) {
+            next(createError(412, error.message))
+          } else {
+            next(error)
+          }
         }
       }
     }
@@ -308,13 +828,19 @@ app.delete('/collections/:collectionId/items/:itemId', async (req, res, next) =>
   if (txnEnabled) {
     const { collectionId, itemId } = req.params
     try {
-      const response = await api.deleteItem(collectionId, itemId, database)
+      const response = await api.deleteItem(
+        collectionId, itemId, database, req.get('If-Match')
+      )
       if (response instanceof Error) next(createError(500))
       else {
         res.sendStatus(204)
       }
     } catch (error) {
-      next(error)
+      if (error instanceof api.PreconditionFailedError) {
+        next(createError(412, error.message))
+      } else {
+        next(error)
+      }
     }
   } else {
     next(createError(404))
@@ -365,6 +891,12 @@ app.use(
     case 404:
       res.json({ code: 'NotFound', description: 'Not Found' })
       break
+    case 409:
+      res.json({ code: 'Conflict', description: err.message })
+      break
+    case 412:
+      res.json({ code: 'PreconditionFailed', description: err.message })
+      break
     default:
       console.log(err)
       res.json({ code: 'InternalServerError', description: 'Internal Server Error' })
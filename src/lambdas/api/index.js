@@ -10,6 +10,8 @@ const { z } = require('zod')
 const serverless = require('serverless-http')
 const { Lambda } = require('aws-sdk')
 const { app } = require('./app')
+const { PARQUET } = require('../../lib/geoparquet')
+const { MVT } = require('../../lib/tiles')
 const {
   APIGatewayProxyResultSchema,
   PreHookResultSchema,
@@ -25,6 +27,9 @@ const {
  * @typedef {z.infer<typeof LambdaErrorSchema>} LambdaError
  */
 
+// Responses of these types are base64 encoded for API Gateway
+const BINARY_MEDIA_TYPES = [PARQUET, MVT]
+
 /** @type {APIGatewayProxyResult} */
 const internalServerError = Object.freeze({
   statusCode: 500,
@@ -157,7 +162,7 @@ const invokePostHook = async (lambda, postHook, payload) => {
  * @returns {Promise<APIGatewayProxyResult>}
  */
 const callServerlessApp = async (event, context) => {
-  const result = await serverless(app)(event, context)
+  const result = await serverless(app, { binary: BINARY_MEDIA_TYPES })(event, context)
 
   try {
     return APIGatewayProxyResultSchema.parse(result)
@@ -0,0 +1,216 @@
+/*
+The aggregations that can be requested from the /aggregate endpoints. Each has the name and
+data_type it is listed with by the /aggregations endpoints, the search database aggregation
+that computes it, and for frequency distributions, the data_type of the bucket keys.
+
+Grid aggregations have a precision, which is chosen with the `<name>_precision` parameter
+within the range given here. Their query is a function of the precision. Those over the Item
+geometry require OpenSearch 2.8 or later.
+
+The aggregations available for a collection are those listed in the `aggregations` field of
+the collection document, or all of these if the collection doesn't have one. When none are
+requested, those listed in the collection are computed, or otherwise the DEFAULT_AGGREGATIONS,
+which apply to any Items. The others, such as the grid aggregations and those of the fields of
+particular missions, are costly or only apply to some collections, so they are only computed
+when requested or listed.
+*/
+
+const GEOHASH_PRECISION = { min: 1, max: 12, default: 1 }
+const GEOTILE_PRECISION = { min: 0, max: 29, default: 1 }
+const GEOHEX_PRECISION = { min: 0, max: 15, default: 0 }
+
+const CENTROID = 'properties.proj:centroid'
+
+const gridAggregation = (name, type, field, precision) => ({
+  name,
+  data_type: 'frequency_distribution',
+  bucket_data_type: 'string',
+  precision,
+  query: (value) => ({ [type]: { field, precision: value } })
+})
+
+const AGGREGATIONS = [
+  {
+    name: 'total_count',
+    data_type: 'integer',
+    query: { value_count: { field: 'id' } }
+  },
+  {
+    name: 'datetime_max',
+    data_type: 'datetime',
+    query: { max: { field: 'properties.datetime' } }
+  },
+  {
+    name: 'datetime_min',
+    data_type: 'datetime',
+    query: { min: { field: 'properties.datetime' } }
+  },
+  {
+    name: 'collection_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: { terms: { field: 'collection', size: 100 } }
+  },
+  {
+    name: 'datetime_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'datetime',
+    query: {
+      date_histogram: {
+        field: 'properties.datetime',
+        calendar_interval: 'month',
+      }
+    }
+  },
+  {
+    name: 'cloud_cover_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'numeric',
+    query: {
+      range: {
+        field: 'properties.eo:cloud_cover',
+        ranges: [
+          { to: 5 },
+          { from: 5, to: 15 },
+          { from: 15, to: 40 },
+          { from: 40 },
+        ],
+      }
+    }
+  },
+  {
+    name: 'grid_code_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: {
+      terms: {
+        field: 'properties.grid:code',
+        size: 1000,
+        missing: 'none',
+      }
+    }
+  },
+  {
+    name: 'platform_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: { terms: { field: 'properties.platform', size: 100 } }
+  },
+  {
+    name: 'grid_code_landsat_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: {
+      terms: {
+        field: 'properties.landsat:wrs_type',
+        size: 1000,
+        missing: 'none',
+        script: {
+          lang: 'painless',
+          source: "return 'WRS' + _value + '-' + "
+            + "doc['properties.landsat:wrs_path'].value + "
+            + "doc['properties.landsat:wrs_row'].value"
+        }
+      }
+    }
+  },
+  {
+    name: 'sun_elevation_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: {
+      histogram: {
+        field: 'properties.view:sun_elevation',
+        interval: 5
+      }
+    }
+  },
+  {
+    name: 'sun_azimuth_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: {
+      histogram: {
+        field: 'properties.view:sun_azimuth',
+        interval: 5
+      }
+    }
+  },
+  {
+    name: 'off_nadir_frequency',
+    data_type: 'frequency_distribution',
+    bucket_data_type: 'string',
+    query: {
+      histogram: {
+        field: 'properties.view:off_nadir',
+        interval: 5
+      }
+    }
+  },
+  gridAggregation(
+    'geometry_geohash_grid_frequency', 'geohash_grid', 'geometry', GEOHASH_PRECISION
+  ),
+  gridAggregation(
+    'geometry_geotile_grid_frequency', 'geotile_grid', 'geometry', GEOTILE_PRECISION
+  ),
+  gridAggregation(
+    'centroid_geohash_grid_frequency', 'geohash_grid', CENTROID, GEOHASH_PRECISION
+  ),
+  gridAggregation(
+    'centroid_geotile_grid_frequency', 'geotile_grid', CENTROID, GEOTILE_PRECISION
+  ),
+  gridAggregation(
+    'centroid_geohex_grid_frequency', 'geohex_grid', CENTROID, GEOHEX_PRECISION
+  )
+]
+
+const AGGREGATION_NAMES = AGGREGATIONS.map((a) => a.name)
+
+const DEFAULT_AGGREGATIONS = [
+  'total_count',
+  'datetime_max',
+  'datetime_min',
+  'datetime_frequency',
+  'collection_frequency',
+  'platform_frequency',
+  'cloud_cover_frequency'
+]
+
+const getAggregation = (name) => AGGREGATIONS.find((a) => a.name === name)
+
+// The names of the aggregations available for a collection, or for all Items if no
+// collection is given. Names in the collection that are not known aggregations are skipped.
+const availableAggregations = function (collection) {
+  if (collection && Array.isArray(collection.aggregations)) {
+    return collection.aggregations
+      .map((a) => (typeof a === 'string' ? a : a && a.name))
+      .filter((name) => AGGREGATION_NAMES.includes(name))
+  }
+  return AGGREGATION_NAMES
+}
+
+// The aggregations computed when none are requested
+const defaultAggregations = function (collection) {
+  if (collection && Array.isArray(collection.aggregations)) {
+    return availableAggregations(collection)
+  }
+  return DEFAULT_AGGREGATIONS
+}
+
+// The search database aggregation, with the precision for grid aggregations
+const aggregationQuery = function (name, precision) {
+  const { query, precision: range } = getAggregation(name)
+  if (typeof query === 'function') {
+    return query(precision === undefined ? range.default : precision)
+  }
+  return query
+}
+
+module.exports = {
+  AGGREGATION_NAMES,
+  DEFAULT_AGGREGATIONS,
+  getAggregation,
+  availableAggregations,
+  defaultAggregations,
+  aggregationQuery
+}
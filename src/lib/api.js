@@ -1,19 +1,30 @@
-const { pickBy, assign, get: getNested } = require('lodash')
-const extent = require('@mapbox/extent')
+const {
+  pickBy, assign, mergeWith, isEqual
+} = require('lodash')
 const { DateTime } = require('luxon')
 const AWS = require('aws-sdk')
-const { isIndexNotFoundError } = require('./database')
+const { isIndexNotFoundError, isVersionConflictError } = require('./database')
+const { ValidationError, ConflictError, PreconditionFailedError } = require('./errors')
+const cql2 = require('./cql2')
+const {
+  queryablesFromMappings, sortablesFromMappings, sortableFields
+} = require('./queryables')
+const {
+  AGGREGATION_NAMES, getAggregation, availableAggregations, defaultAggregations
+} = require('./aggregations')
+const { decodePaginationToken, adjacentPageTokens } = require('./pagination')
+const { validateItemDatetime, withSplitGeometry } = require('./ingest')
+const { parseTile, tilePolygon, itemsToTile } = require('./tiles')
+const {
+  MERGE_PATCH, JSON_PATCH, mergePatch, jsonPatch
+} = require('./patch')
+const {
+  validateGeometry, geojsonGeometry, bboxToGeometry, splitAntimeridian
+} = require('./geometry')
 const logger = console
 
 // max number of collections to retrieve
-const COLLECTION_LIMIT = process.env.STAC_SERVER_COLLECTION_LIMIT || 100
-
-class ValidationError extends Error {
-  constructor(message) {
-    super(message)
-    this.name = 'ValidationError'
-  }
-}
+const COLLECTION_LIMIT = Number(process.env.STAC_SERVER_COLLECTION_LIMIT) || 100
 
 const extractIntersects = function (params) {
   let intersectsGeometry
@@ -28,15 +39,12 @@ const extractIntersects = function (params) {
         throw new ValidationError('Invalid GeoJSON geometry')
       }
     } else {
-      geojson = { ...intersects }
+      geojson = intersects
     }
 
-    if (geojson.type === 'FeatureCollection' || geojson.type === 'Feature') {
-      throw new Error(
-        'Expected GeoJSON geometry, not Feature or FeatureCollection'
-      )
-    }
-    intersectsGeometry = geojson
+    intersectsGeometry = splitAntimeridian(
+      validateGeometry(geojsonGeometry(geojson, 'intersects'), 'intersects')
+    )
   }
   return intersectsGeometry
 }
@@ -60,13 +68,24 @@ const extractBbox = function (params, httpMethod = 'GET') {
     if (bboxArray.length !== 4 && bboxArray.length !== 6) {
       throw new ValidationError('Invalid bbox, must have 4 or 6 points')
     }
+    if (!bboxArray.every(Number.isFinite)) {
+      throw new ValidationError('Invalid bbox, must be numbers')
+    }
 
-    if ((bboxArray.length === 4 && bboxArray[1] > bboxArray[3])
-        || (bboxArray.length === 6 && bboxArray[1] > bboxArray[4])) {
+    const [west, south, east, north] = bboxArray.length === 6
+      ? [bboxArray[0], bboxArray[1], bboxArray[3], bboxArray[4]]
+      : bboxArray
+    if ([west, east].some((longitude) => longitude < -180 || longitude > 180)) {
+      throw new ValidationError('Invalid bbox, longitudes must be between -180 and 180')
+    }
+    if ([south, north].some((latitude) => latitude < -90 || latitude > 90)) {
+      throw new ValidationError('Invalid bbox, latitudes must be between -90 and 90')
+    }
+    if (south > north) {
       throw new ValidationError('Invalid bbox, SW latitude must be less than NE latitude')
     }
 
-    return extent(bboxArray).polygon()
+    return bboxToGeometry(bboxArray)
   }
   return undefined
 }
@@ -140,6 +159,8 @@ const validateStartAndEndDatetimes = function (startDateTime, endDateTime) {
   }
 }
 
+const isPlainObject = (x) => typeof x === 'object' && x !== null && !Array.isArray(x)
+
 const extractDatetime = function (params) {
   const { datetime } = params
 
@@ -168,20 +189,133 @@ const extractDatetime = function (params) {
   return undefined
 }
 
+const DATETIME_MODES = ['intersects', 'contains']
+
+// Whether datetime matches the Items whose datetime range intersects it or only those whose
+// range it contains, or undefined for the default of the deployment
+const extractDatetimeMode = function (params) {
+  const datetimeMode = params['datetime-mode']
+  if (datetimeMode === undefined || datetimeMode === '') {
+    return undefined
+  }
+  if (!DATETIME_MODES.includes(datetimeMode)) {
+    throw new ValidationError(
+      `Invalid datetime-mode, must be one of ${DATETIME_MODES.join(', ')}`
+    )
+  }
+  return datetimeMode
+}
+
+const isQueryScalar = (x) => typeof x === 'string' || typeof x === 'number'
+
+const isBoolean = (x) => typeof x === 'boolean'
+const isString = (x) => typeof x === 'string'
+
+// the Query extension operators, with a check and a description of their valid values
+const QUERY_OPERATORS = {
+  eq: [(x) => isQueryScalar(x) || isBoolean(x), 'a string, number or boolean'],
+  neq: [(x) => isQueryScalar(x) || isBoolean(x), 'a string, number or boolean'],
+  lt: [isQueryScalar, 'a string or number'],
+  lte: [isQueryScalar, 'a string or number'],
+  gt: [isQueryScalar, 'a string or number'],
+  gte: [isQueryScalar, 'a string or number'],
+  startsWith: [isString, 'a string'],
+  endsWith: [isString, 'a string'],
+  contains: [isString, 'a string'],
+  in: [
+    (x) => Array.isArray(x) && x.length > 0 && x.every(isQueryScalar),
+    'a non-empty array of strings or numbers'
+  ]
+}
+
+const validateStacQuery = function (stacQuery) {
+  if (!isPlainObject(stacQuery)) {
+    throw new ValidationError('Invalid query, must be an object of property names to operators')
+  }
+  for (const [property, operators] of Object.entries(stacQuery)) {
+    if (cql2.SPATIAL_PROPERTIES.includes(property)) {
+      throw new ValidationError(
+        `Invalid query, '${property}' is spatial, search by it with bbox or intersects`
+      )
+    }
+    if (!isPlainObject(operators) || !Object.keys(operators).length) {
+      throw new ValidationError(
+        `Invalid query, '${property}' must be an object of operators to values`
+      )
+    }
+    for (const [operator, value] of Object.entries(operators)) {
+      if (!Object.prototype.hasOwnProperty.call(QUERY_OPERATORS, operator)) {
+        throw new ValidationError(
+          `Invalid query, unknown operator '${operator}' for '${property}', must be one of `
+          + `${Object.keys(QUERY_OPERATORS).join(', ')}`
+        )
+      }
+      const [isValid, expected] = QUERY_OPERATORS[operator]
+      if (!isValid(value)) {
+        throw new ValidationError(
+          `Invalid query, '${operator}' for '${property}' requires ${expected}`
+        )
+      }
+    }
+  }
+  return stacQuery
+}
+
 const extractStacQuery = function (params) {
   let stacQuery
   const { query } = params
   if (query) {
     if (typeof query === 'string') {
-      const parsed = JSON.parse(query)
-      stacQuery = parsed
+      try {
+        stacQuery = JSON.parse(query)
+      } catch (e) {
+        throw new ValidationError('Invalid query, not valid JSON')
+      }
     } else {
       stacQuery = { ...query }
     }
+    validateStacQuery(stacQuery)
   }
   return stacQuery
 }
 
+const extractFilter = function (params, httpMethod = 'GET') {
+  const { filter } = params
+  if (filter === undefined || filter === null || filter === '') {
+    return undefined
+  }
+  // GET requests default to cql2-text, POST requests and JSON objects to cql2-json
+  let filterLang = params['filter-lang']
+  if (!filterLang) {
+    filterLang = httpMethod === 'GET' && typeof filter === 'string' ? 'cql2-text' : 'cql2-json'
+  }
+  return cql2.parseFilter(filter, filterLang, params['filter-crs'])
+}
+
+// free-text search terms for the q parameter, a comma-separated list of alternatives
+const extractQ = function (params) {
+  const { q } = params
+  if (q === undefined || q === null) {
+    return undefined
+  }
+  let terms
+  if (typeof q === 'string') {
+    terms = q.split(',')
+  } else if (Array.isArray(q) && q.every((x) => typeof x === 'string')) {
+    terms = q
+  } else {
+    throw new ValidationError('Invalid q, must be a string or an array of strings')
+  }
+  terms = terms.map((term) => term.trim()).filter((term) => term)
+  return terms.length ? terms : undefined
+}
+
+const SORT_DIRECTIONS = ['asc', 'desc']
+
+const invalidSortby = () => new ValidationError(
+  'Invalid sortby, must be a list of fields, each with a direction of asc or desc'
+)
+
 const extractSortby = function (params) {
   let sortbyRules
   const { sortby } = params
@@ -199,14 +333,58 @@ const extractSortby = function (params) {
         }
         return { field: sortbyRule, direction: 'asc' }
       })
-    } else {
+    } else if (Array.isArray(sortby) && sortby.every(isPlainObject)) {
       // POST request
-      sortbyRules = sortby.slice()
+      sortbyRules = sortby.map(({ field, direction = 'asc' }) => ({
+        field,
+        direction: typeof direction === 'string' ? direction.toLowerCase() : direction
+      }))
+    } else {
+      throw invalidSortby()
+    }
+    if (!sortbyRules.every(({ field, direction }) => typeof field === 'string' && field
+        && SORT_DIRECTIONS.includes(direction))) {
+      throw invalidSortby()
     }
   }
   return sortbyRules
 }
 
+// the sortables that are top-level Item fields rather than Item properties
+const TOP_LEVEL_SORTABLES = ['id', 'collection']
+
+// Checks that the sortby fields are sortables, and names Item properties with the
+// `properties.` prefix, which may be left out in sortby. Throws a ValidationError
+// for fields that are not sortable.
+const validateItemSortby = function (sortby, sortables) {
+  return sortby.map(({ field, direction }) => {
+    const name = field.startsWith('properties.') ? field.slice('properties.'.length) : field
+    if (!sortables[name]) {
+      throw new ValidationError(
+        `Invalid sortby, '${field}' is not sortable, the sortable fields are listed by /sortables`
+      )
+    }
+    return {
+      field: TOP_LEVEL_SORTABLES.includes(name) ? name : `properties.${name}`,
+      direction
+    }
+  })
+}
+
+// Checks that the sortby fields of a collection search are sortable fields of the collections
+// index, as sorting on others fails. Throws a ValidationError for fields that are not.
+const validateCollectionSortby = function (sortby, mapping) {
+  const sortables = sortableFields(mapping)
+  for (const { field } of sortby) {
+    if (!sortables.includes(field)) {
+      throw new ValidationError(
+        `Invalid sortby, '${field}' is not sortable, the sortable fields are ${sortables}`
+      )
+    }
+  }
+  return sortby
+}
+
 const extractFields = function (params) {
   let fieldRules
   const { fields } = params
@@ -307,6 +485,9 @@ const parsePath = function (inpath) {
   return searchFilters
 }
 
+const QUERYABLES_REL = 'http://www.opengis.net/def/rel/ogc/1.0/queryables'
+const SORTABLES_REL = 'http://www.opengis.net/def/rel/ogc/1.0/sortables'
+
 // Impure - mutates results
 const addCollectionLinks = function (results, endpoint) {
   results.forEach((result) => {
@@ -341,6 +522,26 @@ const addCollectionLinks = function (results, endpoint) {
       type: 'application/geo+json',
       href: `${endpoint}/collections/${id}/items`
     })
+    links.push({
+      rel: QUERYABLES_REL,
+      type: 'application/schema+json',
+      href: `${endpoint}/collections/${id}/queryables`
+    })
+    links.push({
+      rel: SORTABLES_REL,
+      type: 'application/schema+json',
+      href: `${endpoint}/collections/${id}/sortables`
+    })
+    links.push({
+      rel: 'aggregate',
+      type: 'application/json',
+      href: `${endpoint}/collections/${id}/aggregate`
+    })
+    links.push({
+      rel: 'aggregations',
+      type: 'application/json',
+      href: `${endpoint}/collections/${id}/aggregations`
+    })
   })
   return results
 }
@@ -424,107 +625,147 @@ const wrapResponseInFeatureCollection = function (
   }
 }
 
+// Links to the next, previous and first pages, for the pageTokens that are set. GET links
+// have the search parameters in the query string, POST links in the body.
 const buildPaginationLinks = function (limit, parameters, bbox, intersects, endpoint,
-  httpMethod, sortby, items) {
-  if (items.length) {
-    const dictToURI = (dict) => (
-      Object.keys(dict).map(
-        (p) => {
-          let value = dict[p]
-          if (typeof value === 'object' && value !== null) {
-            if (p === 'sortby') {
-              const sortFields = []
-              for (let i = 0; i < value.length; i += 1) {
-                if (value[i]['direction'] === 'asc') {
-                  sortFields.push(value[i]['field'])
-                } else {
-                  sortFields.push('-'.concat(value[i]['field']))
-                }
+  httpMethod, pageTokens) {
+  const dictToURI = (dict) => (
+    Object.keys(dict).map(
+      (p) => {
+        let value = dict[p]
+        if (typeof value === 'object' && value !== null) {
+          if (p === 'sortby') {
+            const sortFields = []
+            for (let i = 0; i < value.length; i += 1) {
+              if (value[i]['direction'] === 'asc') {
+                sortFields.push(value[i]['field'])
+              } else {
+                sortFields.push('-'.concat(value[i]['field']))
               }
-              value = sortFields.join(',')
-            } else if (p === 'collections') {
-              value = value.toString()
-            } else {
-              value = JSON.stringify(value)
             }
+            value = sortFields.join(',')
+          } else if (p === 'collections') {
+            value = value.toString()
+          } else {
+            value = JSON.stringify(value)
           }
-          const query = encodeURIComponent(value)
-          return `${encodeURIComponent(p)}=${query}`
         }
-      ).join('&')
-    )
-
-    const lastItem = items[items.length - 1]
-
-    const nextKeys = sortby ? Object.keys(sortby) : ['properties.datetime', 'id', 'collection']
-
-    const next = nextKeys.map((k) => getNested(lastItem, k)).join(',')
-
-    const nextParams = pickBy(assign(parameters, { bbox, intersects, limit, next }))
+        const query = encodeURIComponent(value)
+        return `${encodeURIComponent(p)}=${query}`
+      }
+    ).join('&')
+  )
 
+  const pageLink = (rel, title, token) => {
+    const pageParams = pickBy(assign({}, parameters, { bbox, intersects, limit }, token))
     const link = {
-      rel: 'next',
-      title: 'Next page of Items',
+      rel,
+      title,
       method: httpMethod
     }
     if (httpMethod === 'GET') {
-      const nextQueryParameters = dictToURI(nextParams)
-      link.href = `${endpoint}?${nextQueryParameters}`
+      const pageQueryParameters = dictToURI(pageParams)
+      link.href = `${endpoint}?${pageQueryParameters}`
     } else if (httpMethod === 'POST') {
       link.href = endpoint
       link.merge = false
-      link.body = nextParams
+      link.body = pageParams
     }
-    return [link]
+    return link
   }
-  return []
+
+  const links = []
+  if (pageTokens.next) {
+    links.push(pageLink('next', 'Next page of Items', { next: pageTokens.next }))
+  }
+  if (pageTokens.prev) {
+    links.push(pageLink('prev', 'Previous page of Items', { prev: pageTokens.prev }))
+  }
+  if (pageTokens.first) {
+    links.push(pageLink('first', 'First page of Items', {}))
+  }
+  return links
 }
 
-const searchItems = async function (collectionId, queryParameters, backend, endpoint, httpMethod) {
-  logger.debug(`Query parameters: ${JSON.stringify(queryParameters)}`)
-  const {
-    next,
-    bbox,
-    intersects
-  } = queryParameters
+// The backend search parameters for a search request, without those for paging
+const extractSearchParameters = async function (
+  collectionId, queryParameters, backend, httpMethod
+) {
+  const { bbox, intersects } = queryParameters
   if (bbox && intersects) {
     throw new ValidationError('Expected bbox OR intersects, not both')
   }
   const datetime = extractDatetime(queryParameters)
+  const datetimeMode = extractDatetimeMode(queryParameters)
   const bboxGeometry = extractBbox(queryParameters, httpMethod)
   const intersectsGeometry = extractIntersects(queryParameters)
   const geometry = intersectsGeometry || bboxGeometry
 
-  const sortby = extractSortby(queryParameters)
+  let sortby = extractSortby(queryParameters)
   const query = extractStacQuery(queryParameters)
+  const filter = extractFilter(queryParameters, httpMethod)
   const fields = extractFields(queryParameters)
   const ids = extractIds(queryParameters)
   const collections = extractCollectionIds(queryParameters)
-  const limit = extractLimit(queryParameters)
-  const page = extractPage(queryParameters)
+
+  if (sortby) {
+    const mappings = await backend.getItemMappings(collectionId ? [collectionId] : collections)
+    sortby = validateItemSortby(sortby, sortablesFromMappings(mappings))
+  }
 
   const searchParams = pickBy({
     datetime,
+    'datetime-mode': datetimeMode,
     intersects: geometry,
     query,
     sortby,
     fields,
     ids,
-    collections,
-    next
+    collections
   })
-
-  let newEndpoint = `${endpoint}/search`
+  if (filter !== undefined) {
+    // the filter is passed on in its normalized CQL2-JSON form
+    searchParams.filter = filter
+    searchParams['filter-lang'] = 'cql2-json'
+  }
   if (collectionId) {
     searchParams.collections = [collectionId]
-    newEndpoint = `${endpoint}/collections/${collectionId}/items`
   }
+  return searchParams
+}
+
+const searchItems = async function (collectionId, queryParameters, backend, endpoint, httpMethod) {
+  logger.debug(`Query parameters: ${JSON.stringify(queryParameters)}`)
+  const {
+    next,
+    prev,
+    bbox,
+    intersects
+  } = queryParameters
+  if (next && prev) {
+    throw new ValidationError('Expected next OR prev, not both')
+  }
+  const searchParams = await extractSearchParameters(
+    collectionId, queryParameters, backend, httpMethod
+  )
+  const limit = extractLimit(queryParameters)
+  const page = extractPage(queryParameters)
+  const { searchAfter, pit } = next || prev ? decodePaginationToken(next || prev) : {}
+
+  const newEndpoint = collectionId
+    ? `${endpoint}/collections/${collectionId}/items`
+    : `${endpoint}/search`
 
   logger.debug(`Search parameters: ${JSON.stringify(searchParams)}`)
 
   let esResponse
   try {
-    esResponse = await backend.search(searchParams, page, limit)
+    esResponse = await backend.search(pickBy({
+      ...searchParams,
+      searchAfter: next ? searchAfter : undefined,
+      searchBefore: prev ? searchAfter : undefined,
+      pit
+    }), page, limit)
   } catch (error) {
     if (isIndexNotFoundError(error)) {
       esResponse = {
@@ -541,8 +782,12 @@ const searchItems = async function (collectionId, queryParameters, backend, endp
   }
 
   const { results: responseItems, context } = esResponse
+  const pageTokens = {
+    ...adjacentPageTokens({ next, prev }, esResponse),
+    first: Boolean(next || prev)
+  }
   const paginationLinks = buildPaginationLinks(
-    limit, searchParams, bbox, intersects, newEndpoint, httpMethod, sortby, responseItems
+    limit, searchParams, bbox, intersects, newEndpoint, httpMethod, pageTokens
   )
 
   let links
@@ -569,10 +814,81 @@ const searchItems = async function (collectionId, queryParameters, backend, endp
   return response
 }
 
-// todo: make this more defensive if the named agg doesn't exist
+async function* withItemLinks(items, endpoint) {
+  for await (const item of items) {
+    yield addItemLinks([item], endpoint)[0]
+  }
+}
+
+/*
+All of the Items matching a search, rather than a page of them, for exporting. The search
+parameters are validated before this returns, the Items are read from the backend as they
+are iterated over. Paging parameters (limit, page, next and prev) are ignored.
+*/
+const exportItems = async function (collectionId, queryParameters, backend, endpoint, httpMethod) {
+  logger.debug(`Export parameters: ${JSON.stringify(queryParameters)}`)
+  const searchParams = await extractSearchParameters(
+    collectionId, queryParameters, backend, httpMethod
+  )
+  logger.debug(`Search parameters: ${JSON.stringify(searchParams)}`)
+  return withItemLinks(backend.searchAll(searchParams), endpoint)
+}
+
+// the most Items drawn in a tile, unless another limit is requested
+const TILE_ITEM_LIMIT = 1000
+
+// the Item properties that are tile attributes, unless others are requested
+const DEFAULT_TILE_PROPERTIES = ['datetime', 'start_datetime', 'end_datetime', 'eo:cloud_cover']
+
+const extractTileProperties = function (params) {
+  const { properties } = params
+  if (properties === undefined) {
+    return DEFAULT_TILE_PROPERTIES
+  }
+  const names = Array.isArray(properties) ? properties : String(properties).split(',')
+  return names.map((name) => String(name).trim().replace(/^properties\./, '')).filter(Boolean)
+}
+
+/*
+A vector tile of the footprints of the Items matching a search that intersect the tile, or
+null if there are none. The search has the same parameters as an Item search, except for
+bbox and intersects, as it is limited to the tile.
+*/
+const getItemsTile = async function (collectionId, tile, queryParameters, backend) {
+  const { z, x, y } = parseTile(tile)
+  if (queryParameters.bbox || queryParameters.intersects) {
+    throw new ValidationError('Expected no bbox or intersects for a tile')
+  }
+  const searchParams = await extractSearchParameters(
+    collectionId, queryParameters, backend, 'GET'
+  )
+  const properties = extractTileProperties(queryParameters)
+  searchParams.intersects = tilePolygon({ z, x, y })
+  searchParams.fields = {
+    include: ['id', 'collection', 'geometry', ...properties.map((name) => `properties.${name}`)],
+    exclude: ['type', 'bbox', 'links', 'assets']
+  }
+  const limit = extractLimit(queryParameters) || TILE_ITEM_LIMIT
+
+  let results
+  try {
+    // a tile is a single page, so it is searched without a point in time to page from
+    ({ results } = await backend.search(searchParams, undefined, limit, { pointInTime: false }))
+  } catch (error) {
+    if (isIndexNotFoundError(error)) {
+      results = []
+    } else {
+      throw error
+    }
+  }
+  return itemsToTile(results, { z, x, y }, properties)
+}
+
+// Formats a frequency distribution, with no buckets if it wasn't computed
 const agg = function (esAggs, name, dataType) {
+  const esAgg = esAggs[name] || { buckets: [] }
   const buckets = []
-  for (const bucket of esAggs[name].buckets) {
+  for (const bucket of esAgg.buckets) {
     buckets.push({
       key: bucket.key_as_string || bucket.key,
       data_type: dataType,
@@ -584,12 +900,104 @@ const agg = function (esAggs, name, dataType) {
   return {
     name: name,
     data_type: 'frequency_distribution',
-    overflow: esAggs[name].sum_other_doc_count || 0,
+    overflow: esAgg.sum_other_doc_count || 0,
     buckets: buckets
   }
 }
 
-const aggregate = async function (queryParameters, backend, endpoint, httpMethod) {
+const formatAggregation = function (esAggs, name) {
+  const { data_type: dataType, bucket_data_type: bucketDataType } = getAggregation(name)
+  if (dataType === 'frequency_distribution') {
+    return agg(esAggs, name, bucketDataType)
+  }
+  const esAgg = esAggs[name] || {}
+  const value = dataType === 'datetime' ? esAgg.value_as_string : esAgg.value
+  return {
+    name,
+    data_type: dataType,
+    value: value === undefined ? null : value,
+  }
+}
+
+const extractAggregations = function (params) {
+  const { aggregations } = params
+  if (aggregations === undefined) {
+    return undefined
+  }
+  let names
+  if (typeof aggregations === 'string') {
+    names = aggregations.split(',').map((name) => name.trim()).filter((name) => name)
+  } else if (Array.isArray(aggregations) && aggregations.every((x) => typeof x === 'string')) {
+    names = aggregations
+  } else {
+    throw new ValidationError('Invalid aggregations, must be a list of aggregation names')
+  }
+  return names
+}
+
+// The precisions of grid aggregations, given as `<name>_precision` parameters
+const extractAggregationPrecisions = function (params) {
+  const precisions = {}
+  for (const name of AGGREGATION_NAMES) {
+    const { precision: range } = getAggregation(name)
+    const value = params[`${name}_precision`]
+    if (range && value !== undefined) {
+      const precision = typeof value === 'string' && value.trim() ? Number(value) : value
+      if (!Number.isInteger(precision)
+          || precision < range.min || precision > range.max) {
+        throw new ValidationError(
+          `Invalid ${name}_precision, must be an integer from ${range.min} to ${range.max}`
+        )
+      }
+      precisions[name] = precision
+    }
+  }
+  return precisions
+}
+
+// The collection, or an Error if it doesn't exist, or undefined if no collectionId is given
+const getCollectionIfExists = async function (collectionId, backend) {
+  if (!collectionId) {
+    return undefined
+  }
+  const collection = await backend.getCollection(collectionId)
+  return collection instanceof Error ? new Error('Collection not found') : collection
+}
+
+const aggregationsEndpoint = (collectionId, endpoint) => (
+  collectionId ? `${endpoint}/collections/${collectionId}` : endpoint
+)
+
+// The aggregations available for all Items, or for the Items of a collection
+const getAggregations = async function (collectionId, backend, endpoint = '') {
+  const collection = await getCollectionIfExists(collectionId, backend)
+  if (collection instanceof Error) {
+    return collection
+  }
+  const aggregations = availableAggregations(collection).map((name) => {
+    const { data_type: dataType } = getAggregation(name)
+    return { name, data_type: dataType }
+  })
+  return {
+    aggregations,
+    links: [
+      {
+        rel: 'self',
+        type: 'application/json',
+        href: `${aggregationsEndpoint(collectionId, endpoint)}/aggregations`
+      },
+      {
+        rel: 'root',
+        type: 'application/geo+json',
+        href: `${endpoint}`
+      }
+    ]
+  }
+}
+
+const aggregate = async function (
+  collectionId, queryParameters, backend, endpoint, httpMethod
+) {
   logger.debug(`Aggregate parameters: ${JSON.stringify(queryParameters)}`)
   const {
     bbox,
@@ -599,70 +1007,65 @@ const aggregate = async function (queryParameters, backend, endpoint, httpMethod
     throw new ValidationError('Expected bbox OR intersects, not both')
   }
   const datetime = extractDatetime(queryParameters)
+  const datetimeMode = extractDatetimeMode(queryParameters)
   const bboxGeometry = extractBbox(queryParameters, httpMethod)
   const intersectsGeometry = extractIntersects(queryParameters)
   const geometry = intersectsGeometry || bboxGeometry
   const query = extractStacQuery(queryParameters)
+  const filter = extractFilter(queryParameters, httpMethod)
   const ids = extractIds(queryParameters)
   const collections = extractCollectionIds(queryParameters)
+  const requestedAggregations = extractAggregations(queryParameters)
+  const precisions = extractAggregationPrecisions(queryParameters)
+
+  const collection = await getCollectionIfExists(collectionId, backend)
+  if (collection instanceof Error) {
+    return collection
+  }
+  const available = availableAggregations(collection)
+  const unknown = (requestedAggregations || []).filter((name) => !available.includes(name))
+  if (unknown.length) {
+    throw new ValidationError(
+      `Invalid aggregations, ${unknown.join(', ')} not available, must be one of `
+      + `${available.join(', ')}`
+    )
+  }
+  const aggregationNames = requestedAggregations || defaultAggregations(collection)
 
   const searchParams = pickBy({
     datetime,
+    'datetime-mode': datetimeMode,
     intersects: geometry,
     query,
     ids,
     collections,
   })
+  if (filter !== undefined) {
+    searchParams.filter = filter
+  }
+  if (collectionId) {
+    searchParams.collections = [collectionId]
+  }
 
   logger.debug(`Aggregate parameters: ${JSON.stringify(searchParams)}`)
 
-  let esResponse
+  let esAggs = {}
   try {
-    esResponse = await backend.aggregate(searchParams)
+    const esResponse = await backend.aggregate(searchParams, aggregationNames, precisions)
+    esAggs = esResponse.body.aggregations || {}
   } catch (error) {
-    if (isIndexNotFoundError(error)) {
-      esResponse = {
-      }
-    } else {
+    if (!isIndexNotFoundError(error)) {
       throw error
     }
   }
 
-  const { body } = esResponse
-  const { aggregations: esAggs } = body
-  const aggregations = [
-    {
-      name: 'total_count',
-      data_type: 'integer',
-      value: esAggs['total_count']['value'],
-    },
-    {
-      name: 'datetime_max',
-      data_type: 'datetime',
-      value: esAggs['datetime_max']['value_as_string'],
-    },
-    {
-      name: 'datetime_min',
-      data_type: 'datetime',
-      value: esAggs['datetime_min']['value_as_string'],
-    },
-
-    agg(esAggs, 'collection_frequency', 'string'),
-    agg(esAggs, 'datetime_frequency', 'datetime'),
-    agg(esAggs, 'cloud_cover_frequency', 'numeric'),
-    agg(esAggs, 'grid_code_frequency', 'string'),
-    agg(esAggs, 'platform_frequency', 'string'),
-    agg(esAggs, 'grid_code_landsat_frequency', 'string'),
-    agg(esAggs, 'sun_elevation_frequency', 'string'),
-    agg(esAggs, 'sun_azimuth_frequency', 'string'),
-    agg(esAggs, 'off_nadir_frequency', 'string'),
-  ]
+  const aggregations = aggregationNames.map((name) => formatAggregation(esAggs, name))
   return {
     aggregations,
     links: [{
       rel: 'self',
       type: 'application/json',
-      href: `${endpoint}/aggregate`
+      href: `${aggregationsEndpoint(collectionId, endpoint)}/aggregate`
     },
     {
       rel: 'root',
@@ -685,7 +1088,23 @@ const getConformance = async function (txnEnabled) {
     `${prefix}/item-search#fields`,
     `${prefix}/item-search#sort`,
     `${prefix}/item-search#query`,
-    'https://api.stacspec.org/v0.2.0/aggregation',
+    `${prefix}/item-search#filter`,
+    'http://www.opengis.net/spec/cql2/1.0/conf/basic-cql2',
+    'http://www.opengis.net/spec/cql2/1.0/conf/cql2-json',
+    'http://www.opengis.net/spec/cql2/1.0/conf/cql2-text',
+    'http://www.opengis.net/spec/cql2/1.0/conf/advanced-comparison-operators',
+    'http://www.opengis.net/spec/cql2/1.0/conf/basic-spatial-operators',
+    'http://www.opengis.net/spec/cql2/1.0/conf/basic-spatial-functions',
+    'http://www.opengis.net/spec/cql2/1.0/conf/temporal-operators',
+    'http://www.opengis.net/spec/cql2/1.0/conf/temporal-functions',
+    'http://www.opengis.net/spec/ogcapi-features-3/1.0/conf/filter',
+    'http://www.opengis.net/spec/ogcapi-features-3/1.0/conf/features-filter',
+    'https://api.stacspec.org/v1.0.0-rc.1/collection-search',
+    'https://api.stacspec.org/v1.0.0-rc.1/collection-search#free-text',
+    'https://api.stacspec.org/v1.0.0-rc.1/collection-search#filter',
+    'https://api.stacspec.org/v1.0.0-rc.1/collection-search#sort',
+    'http://www.opengis.net/spec/ogcapi-common-2/1.0/conf/simple-query',
+    'https://api.stacspec.org/v0.3.0/aggregation',
     'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
     'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/oas30',
     'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson'
@@ -737,6 +1156,21 @@ const getCatalog = async function (txnEnabled, backend, endpoint = '') {
       type: 'application/json',
       href: `${endpoint}/aggregate`
     },
+    {
+      rel: 'aggregations',
+      type: 'application/json',
+      href: `${endpoint}/aggregations`
+    },
+    {
+      rel: QUERYABLES_REL,
+      type: 'application/schema+json',
+      href: `${endpoint}/queryables`
+    },
+    {
+      rel: SORTABLES_REL,
+      type: 'application/schema+json',
+      href: `${endpoint}/sortables`
+    },
     {
       rel: 'service-desc',
       type: 'application/vnd.oai.openapi',
@@ -758,6 +1192,8 @@ const getCatalog = async function (txnEnabled, backend, endpoint = '') {
     })
   }
 
+  // child links are capped at the first COLLECTION_LIMIT collections by id, all
+  // collections can be paged through with the data link to /collections
   const collections = await backend.getCollections(1, COLLECTION_LIMIT)
   const catalog = collectionsToCatalogLinks(collections, endpoint)
   catalog.links = links.concat(catalog.links)
@@ -766,14 +1202,84 @@ const getCatalog = async function (txnEnabled, backend, endpoint = '') {
   return catalog
 }
 
-const getCollections = async function (backend, endpoint = '') {
-  // TODO: implement proper pagination, as this will only return up to
-  // COLLECTION_LIMIT collections
-  const results = await backend.getCollections(1, COLLECTION_LIMIT)
-  const linkedCollections = addCollectionLinks(results, endpoint)
+// the Collection Search parameters that are carried over to the pagination links
+const COLLECTION_SEARCH_PARAMETERS = [
+  'bbox', 'datetime', 'q', 'filter', 'filter-lang', 'filter-crs', 'sortby'
+]
+
+const buildCollectionsPageLink = function (rel, parameters, limit, token, endpoint) {
+  const query = new URLSearchParams()
+  for (const name of COLLECTION_SEARCH_PARAMETERS) {
+    if (parameters[name] !== undefined) {
+      query.set(name, String(parameters[name]))
+    }
+  }
+  query.set('limit', String(limit))
+  query.set(rel, token)
+  return {
+    rel,
+    type: 'application/json',
+    href: `${endpoint}/collections?${query}`,
+    method: 'GET'
+  }
+}
+
+// Collection Search, with the bbox, datetime, q, filter and sortby parameters, paged
+// with limit and the next and prev tokens of the pagination links
+const getCollections = async function (backend, endpoint = '', parameters = {}) {
+  if (parameters.next && parameters.prev) {
+    throw new ValidationError('Expected next OR prev, not both')
+  }
+  const limit = extractLimit(parameters) || COLLECTION_LIMIT
+  const next = parameters.next ? decodePaginationToken(parameters.next).searchAfter : undefined
+  const prev = parameters.prev ? decodePaginationToken(parameters.prev).searchAfter : undefined
+
+  let sortby = extractSortby(parameters)
+  if (sortby) {
+    // without a collections index there are no collections to sort
+    const mapping = await backend.getCollectionsMapping()
+    if (mapping) sortby = validateCollectionSortby(sortby, mapping)
+  }
+
+  const searchParams = pickBy({
+    intersects: extractBbox(parameters),
+    datetime: extractDatetime(parameters),
+    q: extractQ(parameters),
+    filter: extractFilter(parameters),
+    sortby,
+    next,
+    prev
+  })
+
+  let searchResult
+  try {
+    searchResult = await backend.searchCollections(searchParams, limit)
+  } catch (error) {
+    if (isIndexNotFoundError(error)) {
+      searchResult = {
+        results: [],
+        context: { limit, matched: 0, returned: 0 },
+        hasMore: false
+      }
+    } else {
+      throw error
+    }
+  }
+
+  const { results, context } = searchResult
+  const pageTokens = adjacentPageTokens({ next, prev }, searchResult)
+  const links = []
+  if (pageTokens.next) {
+    links.push(buildCollectionsPageLink('next', parameters, limit, pageTokens.next, endpoint))
+  }
+  if (pageTokens.prev) {
+    links.push(buildCollectionsPageLink('prev', parameters, limit, pageTokens.prev, endpoint))
+  }
+
+  addCollectionLinks(results, endpoint)
   const resp = {
     collections: results,
-    links: [
+    links: links.concat([
       {
         rel: 'self',
         type: 'application/json',
@@ -784,13 +1290,10 @@ const getCollections = async function (backend, endpoint = '') {
         type: 'application/geo+json',
         href: `${endpoint}`,
       },
-    ],
-    context: {
-      page: 1,
-      limit: COLLECTION_LIMIT,
-      matched: linkedCollections && linkedCollections.length,
-      returned: linkedCollections && linkedCollections.length
-    }
+    ]),
+    numberMatched: context.matched,
+    numberReturned: context.returned,
+    context
   }
   return resp
 }
@@ -807,6 +1310,60 @@ const getCollection = async function (collectionId, backend, endpoint = '') {
   return new Error('Collection retrieval failed')
 }
 
+// Queryables for all Items, or for the Items of a collection. Collections may
+// override or add to the queryables derived from the index mappings by
+// setting a `queryables` object of property name to JSON Schema.
+const getQueryables = async function (collectionId, backend, endpoint = '') {
+  let collection
+  if (collectionId) {
+    collection = await backend.getCollection(collectionId)
+    if (collection instanceof Error) {
+      return new Error('Collection not found')
+    }
+  }
+
+  const mappings = await backend.getItemMappings(collectionId ? [collectionId] : undefined)
+  const properties = {
+    ...queryablesFromMappings(mappings),
+    ...(collection && collection.queryables)
+  }
+
+  return {
+    $schema: 'https://json-schema.org/draft/2019-09/schema',
+    $id: collectionId
+      ? `${endpoint}/collections/${collectionId}/queryables`
+      : `${endpoint}/queryables`,
+    type: 'object',
+    title: collectionId ? `Queryables for ${collectionId}` : 'Queryables for all Items',
+    properties,
+    additionalProperties: true
+  }
+}
+
+// Sortables for all Items, or for the Items of a collection, the fields of the index
+// mappings that can be sorted on
+const getSortables = async function (collectionId, backend, endpoint = '') {
+  if (collectionId) {
+    const collection = await backend.getCollection(collectionId)
+    if (collection instanceof Error) {
+      return new Error('Collection not found')
+    }
+  }
+
+  const mappings = await backend.getItemMappings(collectionId ? [collectionId] : undefined)
+
+  return {
+    $schema: 'https://json-schema.org/draft/2019-09/schema',
+    $id: collectionId
+      ? `${endpoint}/collections/${collectionId}/sortables`
+      : `${endpoint}/sortables`,
+    type: 'object',
+    title: collectionId ? `Sortables for ${collectionId}` : 'Sortables for all Items',
+    properties: sortablesFromMappings(mappings),
+    additionalProperties: false
+  }
+}
+
 const createCollection = async function (collection, backend) {
   const response = await backend.indexCollection(collection)
   logger.debug(`Create Collection: ${JSON.stringify(response)}`)
@@ -817,6 +1374,64 @@ const createCollection = async function (collection, backend) {
   return new Error(`Error creating collection ${collection}`)
 }
 
+const updateCollection = async function (collection, backend) {
+  const existing = await backend.getCollection(collection.id)
+  if (existing instanceof Error) {
+    return new Error('Collection not found')
+  }
+  const response = await backend.updateCollection(collection)
+  logger.debug(`Update Collection: ${JSON.stringify(response)}`)
+  return collection
+}
+
+// Updates the fields of a collection that are given, objects are merged and other values,
+// including arrays, are replaced
+const partialUpdateCollection = async function (collectionId, fields, backend) {
+  const existing = await backend.getCollection(collectionId)
+  if (existing instanceof Error) {
+    return new Error('Collection not found')
+  }
+  const replaceArrays = (_, value) => (Array.isArray(value) ? value : undefined)
+  const collection = mergeWith({}, existing, fields, { id: collectionId }, replaceArrays)
+  const response = await backend.updateCollection(collection)
+  logger.debug(`Partial Update Collection: ${JSON.stringify(response)}`)
+  return collection
+}
+
+const extractBoolean = function (params, name) {
+  const value = params[name]
+  if (value === undefined || value === 'false' || value === false) {
+    return false
+  }
+  if (value === 'true' || value === true) {
+    return true
+  }
+  throw new ValidationError(`Invalid ${name} value, must be true or false`)
+}
+
+// Deletes a collection, which must have no Items unless the cascade parameter is true, when
+// they are deleted too. The index of the Items is deleted unless retain_index is true.
+const deleteCollection = async function (collectionId, queryParameters, backend) {
+  const cascade = extractBoolean(queryParameters, 'cascade')
+  const retainIndex = extractBoolean(queryParameters, 'retain_index')
+
+  const existing = await backend.getCollection(collectionId)
+  if (existing instanceof Error) {
+    return new Error('Collection not found')
+  }
+  if (!cascade) {
+    const count = await backend.countCollectionItems(collectionId)
+    if (count) {
+      throw new ConflictError(
+        `Collection ${collectionId} has ${count} items, delete them or set cascade=true`
+      )
+    }
+  }
+  const response = await backend.deleteCollection(collectionId, { retainIndex })
+  logger.debug(`Delete Collection: ${JSON.stringify(response)}`)
+  return response
+}
+
 const getItem = async function (collectionId, itemId, backend, endpoint = '') {
   const itemQuery = { collections: [collectionId], id: itemId }
   const { results } = await backend.search(itemQuery)
@@ -827,39 +1442,253 @@ const getItem = async function (collectionId, itemId, backend, endpoint = '') {
   return new Error('Item not found')
 }
 
+// The ETag of a version of an Item document, which changes whenever the Item is written
+const documentEtag = (document) => `"${document._primary_term}-${document._seq_no}"`
+
+// Whether an If-Match or If-None-Match header, * or a list of ETags, matches an ETag. Weak
+// ETags only match with the weak comparison of If-None-Match.
+const etagMatches = function (header, etag, weak = false) {
+  return header.split(',').map((tag) => tag.trim()).some((tag) => (
+    tag === '*' || tag === etag || (weak && tag.replace(/^W\//, '') === etag)
+  ))
+}
+
+// The latest version of an Item and its ETag, for conditional requests
+const getItemWithEtag = async function (collectionId, itemId, backend, endpoint = '') {
+  const document = await backend.getItemDocument(collectionId, itemId)
+  if (!document) {
+    return new Error('Item not found')
+  }
+  const [item] = addItemLinks([document._source], endpoint)
+  return { item, etag: documentEtag(document) }
+}
+
+// The version of an Item that a write is conditional on when there is an If-Match header,
+// throws a PreconditionFailedError if the Item doesn't match it
+const ifMatchVersion = async function (collectionId, itemId, ifMatch, backend) {
+  if (!ifMatch) {
+    return undefined
+  }
+  const document = await backend.getItemDocument(collectionId, itemId)
+  if (!document || !etagMatches(ifMatch, documentEtag(document))) {
+    throw new PreconditionFailedError(`Item ${itemId} does not match If-Match ${ifMatch}`)
+  }
+  return { seqNo: document._seq_no, primaryTerm: document._primary_term }
+}
+
+// Writes an Item conditionally on a version, which fails the precondition if another write
+// has happened since the version was read
+const writeIfVersion = async function (version, write) {
+  try {
+    return await write()
+  } catch (error) {
+    if (version && isVersionConflictError(error)) {
+      throw new PreconditionFailedError('Item was modified by another request')
+    }
+    throw error
+  }
+}
+
+// An Item that was written as it is returned, with its links
+const writtenItem = (item, endpoint) => addItemLinks(
+  [{ ...item, links: [...(item.links || [])] }], endpoint
+)[0]
+
 const partialUpdateItem = async function (
-  collectionId, itemId, queryParameters, backend, endpoint = ''
+  collectionId, itemId, queryParameters, backend, endpoint, ifMatch
 ) {
-  const response = await backend.partialUpdateItem(collectionId, itemId, queryParameters)
+  const version = await ifMatchVersion(collectionId, itemId, ifMatch, backend)
+  const response = await writeIfVersion(version, () => backend.partialUpdateItem(
+    collectionId, itemId, withSplitGeometry(queryParameters), version
+  ))
   logger.debug(`Partial Update Item: ${JSON.stringify(response)}`)
   if (response) {
-    return addItemLinks([response.body.get._source], endpoint)[0]
+    return {
+      item: addItemLinks([response.body.get._source], endpoint)[0],
+      etag: documentEtag(response.body)
+    }
   }
   return new Error(`Error partially updating item ${itemId}`)
 }
 
-const createItem = async function (item, backend) {
-  const response = await backend.indexItem(item)
+const createItem = async function (item, backend, endpoint) {
+  validateItemDatetime(item)
+  const written = withSplitGeometry(item)
+  const response = await backend.indexItem(written)
   logger.debug(`Create Item: ${JSON.stringify(response)}`)
 
-  if (response) {
+  if (response instanceof Error) {
     return response
   }
+  if (response) {
+    return { item: writtenItem(written, endpoint), etag: documentEtag(response.body) }
+  }
   return new Error(`Error creating item in collection ${item.collection}`)
 }
 
-const updateItem = async function (item, backend) {
-  const response = await backend.updateItem(item)
+const updateItem = async function (item, backend, endpoint, ifMatch) {
+  validateItemDatetime(item)
+  const version = await ifMatchVersion(item.collection, item.id, ifMatch, backend)
+  const written = withSplitGeometry(item)
+  const response = await writeIfVersion(version, () => backend.updateItem(written, version))
   logger.debug(`Update Item: ${JSON.stringify(response)}`)
 
-  if (response) {
+  if (response instanceof Error) {
     return response
   }
+  if (response) {
+    return { item: writtenItem(written, endpoint), etag: documentEtag(response.body) }
+  }
   return new Error(`Error updating item ${item.id}`)
 }
 
-const deleteItem = async function (collectionId, itemId, backend) {
-  const response = await backend.deleteItem(collectionId, itemId)
+const BULK_METHODS = ['insert', 'upsert']
+
+// Throws a ValidationError if an Item can't be indexed in a collection
+const validateItem = function (item, collectionId) {
+  if (!isPlainObject(item)) {
+    throw new ValidationError('Invalid Item, expected an object')
+  }
+  if (typeof item.id !== 'string' || !item.id) {
+    throw new ValidationError('Invalid Item, expected an id')
+  }
+  if (item.collection && item.collection !== collectionId) {
+    throw new ValidationError('Collection resource URI must match collection in body')
+  }
+  if (!isPlainObject(item.geometry) && item.geometry !== null) {
+    throw new ValidationError(`Item ${item.id} has no geometry`)
+  }
+  if (!isPlainObject(item.properties)) {
+    throw new ValidationError(`Item ${item.id} has no properties`)
+  }
+  validateItemDatetime(item)
+}
+
+// The Items of a bulk transaction, an array of Items or an object of Items by id, with the
+// id of each Item filled in from its key
+const bulkTransactionItems = function (items) {
+  if (Array.isArray(items)) {
+    return items
+  }
+  if (isPlainObject(items)) {
+    return Object.entries(items).map(([id, item]) => (
+      isPlainObject(item) && item.id === undefined ? { ...item, id } : item
+    ))
+  }
+  throw new ValidationError('Invalid items, expected an array or an object of Items by id')
+}
+
+// The status of an Item from its result in a bulk request
+const bulkItemStatus = function (result) {
+  if (!result.error) {
+    return { status: result.result === 'updated' ? 'updated' : 'created' }
+  }
+  const message = result.error.reason || result.error.type
+  if (result.status === 409) {
+    return { status: 'conflict', message }
+  }
+  return { status: result.status === 400 ? 'invalid' : 'error', message }
+}
+
+/*
+Creates or replaces the Items of a bulk transaction, with the `insert` method (the default)
+Items are only created, and with `upsert` they are created or replaced. Each Item succeeds
+or fails on its own, and the response has the status of each Item, in order: created,
+updated, conflict (an Item that exists, with the insert method), invalid or error.
+*/
+const bulkItems = async function (collectionId, body, backend) {
+  const { items, method = 'insert' } = body || {}
+  if (!BULK_METHODS.includes(method)) {
+    throw new ValidationError(`Invalid method ${method}, must be one of ${BULK_METHODS}`)
+  }
+
+  const reports = bulkTransactionItems(items).map((item) => {
+    const id = isPlainObject(item) ? item.id : undefined
+    try {
+      validateItem(item, collectionId)
+      return { id, item: withSplitGeometry({ ...item, collection: collectionId }) }
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error
+      return { id, status: 'invalid', message: error.message }
+    }
+  })
+
+  const valid = reports.filter((report) => report.item)
+  if (valid.length) {
+    const results = await backend.bulkIndexItems(
+      collectionId, valid.map((report) => report.item), method
+    )
+    if (results instanceof Error) {
+      return results
+    }
+    valid.forEach((report, i) => Object.assign(report, bulkItemStatus(results[i])))
+  }
+
+  const statuses = reports.map(({ id, status, message }) => pickBy({ id, status, message }))
+  const counts = Object.fromEntries(['created', 'updated', 'conflict', 'invalid', 'error']
+    .map((status) => [status, statuses.filter((s) => s.status === status).length]))
+  logger.debug(`Bulk Items: ${JSON.stringify(counts)}`)
+  return { ...counts, items: statuses }
+}
+
+// The links of an Item without those that are added to it when it is returned
+const storedItemLinks = function (item, endpoint) {
+  const [{ links: added }] = addItemLinks([{ ...item, links: [] }], endpoint)
+  return (item.links || []).filter((link) => !added.some((a) => isEqual(a, link)))
+}
+
+/*
+Patches an Item with a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902), as the patch
+type. The patch applies to the Item as it is returned, with its links, and the patched Item
+is validated before it is written. The write is conditional on the version of the Item that
+was patched, so a patch is never applied over another write.
+*/
+const patchItem = async function (
+  collectionId, itemId, patch, patchType, backend, endpoint, ifMatch
+) {
+  const document = await backend.getItemDocument(collectionId, itemId)
+  if (!document) {
+    return new Error('Item not found')
+  }
+  if (ifMatch && !etagMatches(ifMatch, documentEtag(document))) {
+    throw new PreconditionFailedError(`Item ${itemId} does not match If-Match ${ifMatch}`)
+  }
+
+  const [item] = addItemLinks([document._source], endpoint)
+  const patched = patchType === JSON_PATCH ? jsonPatch(item, patch) : mergePatch(item, patch)
+  validateItem(patched, collectionId)
+  if (patched.id !== itemId) {
+    throw new ValidationError('Item ID in resource URI must match id in body')
+  }
+  if (patched.collection !== collectionId) {
+    throw new ValidationError('Collection ID in resource URI must match collection in body')
+  }
+  patched.links = storedItemLinks(patched, endpoint)
+
+  const version = { seqNo: document._seq_no, primaryTerm: document._primary_term }
+  const written = withSplitGeometry(patched)
+  let response
+  try {
+    response = await backend.updateItem(written, version)
+  } catch (error) {
+    if (!isVersionConflictError(error)) throw error
+    throw ifMatch
+      ? new PreconditionFailedError('Item was modified by another request')
+      : new ConflictError(`Item ${itemId} was modified while it was being patched`)
+  }
+  logger.debug(`Patch Item: ${JSON.stringify(response)}`)
+
+  if (response instanceof Error) {
+    return response
+  }
+  return { item: writtenItem(written, endpoint), etag: documentEtag(response.body) }
+}
+
+const deleteItem = async function (collectionId, itemId, backend, ifMatch) {
+  const version = await ifMatchVersion(collectionId, itemId, ifMatch, backend)
+  const response = await writeIfVersion(
+    version, () => backend.deleteItem(collectionId, itemId, version)
+  )
   logger.debug(`Delete Item: ${response}`)
   if (response) {
     return response
@@ -917,9 +1746,18 @@ module.exports = {
   getCatalog,
   getCollections,
   getCollection,
+  getQueryables,
+  getSortables,
   createCollection,
+  updateCollection,
+  partialUpdateCollection,
+  deleteCollection,
   getItem,
+  getItemWithEtag,
+  etagMatches,
   searchItems,
+  exportItems,
+  getItemsTile,
   parsePath,
   extractIntersects,
   extractBbox,
@@ -927,10 +1765,23 @@ module.exports = {
   deleteItem,
   updateItem,
   partialUpdateItem,
+  patchItem,
+  bulkItems,
+  MERGE_PATCH,
+  JSON_PATCH,
   ValidationError,
+  ConflictError,
+  PreconditionFailedError,
   extractLimit,
   extractDatetime,
+  extractDatetimeMode,
+  extractSortby,
+  extractFilter,
+  extractStacQuery,
+  extractAggregations,
+  extractAggregationPrecisions,
   aggregate,
+  getAggregations,
   getItemThumbnail,
   healthCheck,
 }
@@ -0,0 +1,423 @@
+const { ValidationError } = require('./errors')
+const { COORDINATES_DEPTH } = require('./geometry')
+
+/*
+A parser for the text encoding of CQL2. It produces the same CQL2-JSON structure that is
+accepted for filter-lang=cql2-json, so both encodings are validated and translated the
+same way. Syntax errors are reported with the (1-based) character position where parsing
+failed.
+
+Geometry literals are written as WKT, and are parsed into GeoJSON geometries.
+*/
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '<=', '>', '>=']
+
+const KEYWORDS = [
+  'AND', 'OR', 'NOT', 'LIKE', 'BETWEEN', 'IN', 'IS', 'NULL', 'TRUE', 'FALSE'
+]
+
+// the spatial and temporal predicates, which are written as functions, by upper case name
+const PREDICATE_FUNCTIONS = Object.fromEntries([
+  's_intersects', 's_within', 's_contains', 's_disjoint',
+  't_after', 't_before', 't_contains', 't_disjoint', 't_during', 't_equals', 't_finishedBy',
+  't_finishes', 't_intersects', 't_meets', 't_metBy', 't_overlappedBy', 't_overlaps',
+  't_startedBy', 't_starts'
+].map((op) => [op.toUpperCase(), op]))
+
+// the GeoJSON type of each WKT geometry type
+const WKT_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection'
+}
+
+const IDENTIFIER_START = /[A-Za-z_]/
+const IDENTIFIER_PART = /[A-Za-z0-9_:.]/
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/
+
+// the deepest nesting of parentheses, NOT and geometry collections, as the parser recurses
+const MAX_DEPTH = 100
+
+const syntaxError = (message, position) => new ValidationError(
+  `Invalid filter, ${message} at position ${position + 1}`
+)
+
+const tokenize = function (text) {
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const c = text[i]
+    const start = i
+    if (/\s/.test(c)) {
+      i += 1
+    } else if (c === '(' || c === ')' || c === ',') {
+      tokens.push({ type: c, value: c, position: start })
+      i += 1
+    } else if (c === '<' || c === '>' || c === '=') {
+      const twoChars = text.slice(i, i + 2)
+      const op = ['<>', '<=', '>='].includes(twoChars) ? twoChars : c
+      tokens.push({ type: 'operator', value: op, position: start })
+      i += op.length
+    } else if (c === "'") {
+      // string literal, quotes within the string are escaped by doubling them
+      let value = ''
+      i += 1
+      for (;;) {
+        if (i >= text.length) {
+          throw syntaxError('unterminated string', start)
+        }
+        if (text[i] === "'") {
+          if (text[i + 1] === "'") {
+            value += "'"
+            i += 2
+          } else {
+            i += 1
+            break
+          }
+        } else {
+          value += text[i]
+          i += 1
+        }
+      }
+      tokens.push({ type: 'string', value, position: start })
+    } else if (c === '"') {
+      // double-quoted property name
+      const end = text.indexOf('"', i + 1)
+      if (end < 0) {
+        throw syntaxError('unterminated quoted property name', start)
+      }
+      tokens.push({ type: 'identifier', value: text.slice(i + 1, end), position: start })
+      i = end + 1
+    } else if (NUMBER.test(text.slice(i)) && (/[\d.]/.test(c) || /[\d.]/.test(text[i + 1]))) {
+      const [match] = NUMBER.exec(text.slice(i))
+      tokens.push({ type: 'number', value: Number(match), position: start })
+      i += match.length
+    } else if (IDENTIFIER_START.test(c)) {
+      while (i < text.length && IDENTIFIER_PART.test(text[i])) {
+        i += 1
+      }
+      const value = text.slice(start, i)
+      const upper = value.toUpperCase()
+      if (KEYWORDS.includes(upper)) {
+        tokens.push({ type: 'keyword', value: upper, position: start })
+      } else {
+        tokens.push({ type: 'identifier', value, position: start })
+      }
+    } else {
+      throw syntaxError(`unexpected character '${c}'`, start)
+    }
+  }
+  tokens.push({ type: 'end', value: 'end of input', position: text.length })
+  return tokens
+}
+
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text)
+    this.index = 0
+    this.depth = 0
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)]
+  }
+
+  next() {
+    const token = this.peek()
+    if (token.type !== 'end') {
+      this.index += 1
+    }
+    return token
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset)
+    return token.type === 'keyword' && token.value === keyword
+  }
+
+  acceptKeyword(keyword) {
+    if (this.isKeyword(keyword)) {
+      this.next()
+      return true
+    }
+    return false
+  }
+
+  expect(type, description) {
+    const token = this.peek()
+    if (token.type !== type) {
+      throw this.unexpected(description)
+    }
+    return this.next()
+  }
+
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) {
+      throw this.unexpected(keyword)
+    }
+  }
+
+  // parses something nested in the expression at a token, with a syntax error rather than
+  // running out of stack when the nesting is too deep
+  nested(token, parse) {
+    if (this.depth >= MAX_DEPTH) {
+      throw syntaxError('filter is nested too deeply', token.position)
+    }
+    this.depth += 1
+    const result = parse()
+    this.depth -= 1
+    return result
+  }
+
+  unexpected(expected) {
+    const token = this.peek()
+    const found = token.type === 'end' ? 'end of input' : `'${token.value}'`
+    return syntaxError(`expected ${expected} but found ${found}`, token.position)
+  }
+
+  parse() {
+    const expression = this.parseOr()
+    if (this.peek().type !== 'end') {
+      throw this.unexpected('AND, OR or end of input')
+    }
+    return expression
+  }
+
+  parseOr() {
+    const args = [this.parseAnd()]
+    while (this.acceptKeyword('OR')) {
+      args.push(this.parseAnd())
+    }
+    return args.length === 1 ? args[0] : { op: 'or', args }
+  }
+
+  parseAnd() {
+    const args = [this.parseNot()]
+    while (this.acceptKeyword('AND')) {
+      args.push(this.parseNot())
+    }
+    return args.length === 1 ? args[0] : { op: 'and', args }
+  }
+
+  parseNot() {
+    const token = this.peek()
+    if (this.acceptKeyword('NOT')) {
+      return { op: 'not', args: [this.nested(token, () => this.parseNot())] }
+    }
+    return this.parsePrimary()
+  }
+
+  parsePrimary() {
+    const token = this.peek()
+    if (token.type === '(') {
+      this.next()
+      const expression = this.nested(token, () => this.parseOr())
+      this.expect(')', "')'")
+      return expression
+    }
+    if ((this.isKeyword('TRUE') || this.isKeyword('FALSE'))
+        && !this.isComparisonOperator(this.peek(1))) {
+      return this.next().value === 'TRUE'
+    }
+    return this.parsePredicate()
+  }
+
+  isComparisonOperator(token) {
+    return token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)
+  }
+
+  isIdentifier(names, offset = 0) {
+    const token = this.peek(offset)
+    return token.type === 'identifier' && names.includes(token.value.toUpperCase())
+  }
+
+  // a parenthesized, comma-separated list of items
+  parseList(parseItem) {
+    this.expect('(', "'('")
+    const items = [parseItem()]
+    while (this.peek().type === ',') {
+      this.next()
+      items.push(parseItem())
+    }
+    this.expect(')', "')'")
+    return items
+  }
+
+  parsePredicate() {
+    if (this.isIdentifier(Object.keys(PREDICATE_FUNCTIONS)) && this.peek(1).type === '(') {
+      const op = PREDICATE_FUNCTIONS[this.next().value.toUpperCase()]
+      return { op, args: this.parseList(() => this.parseScalar()) }
+    }
+
+    const left = this.parseScalar()
+
+    if (this.isComparisonOperator(this.peek())) {
+      const op = this.next().value
+      return { op, args: [left, this.parseScalar()] }
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const negated = this.acceptKeyword('NOT')
+      this.expectKeyword('NULL')
+      return this.negate({ op: 'isNull', args: [left] }, negated)
+    }
+
+    const negated = this.acceptKeyword('NOT')
+    if (this.acceptKeyword('LIKE')) {
+      return this.negate({ op: 'like', args: [left, this.parseScalar()] }, negated)
+    }
+    if (this.acceptKeyword('BETWEEN')) {
+      const lower = this.parseScalar()
+      this.expectKeyword('AND')
+      const upper = this.parseScalar()
+      return this.negate({ op: 'between', args: [left, lower, upper] }, negated)
+    }
+    if (this.acceptKeyword('IN')) {
+      this.expect('(', "'('")
+      const list = [this.parseScalar()]
+      while (this.peek().type === ',') {
+        this.next()
+        list.push(this.parseScalar())
+      }
+      this.expect(')', "')'")
+      return this.negate({ op: 'in', args: [left, list] }, negated)
+    }
+
+    throw this.unexpected(negated
+      ? 'LIKE, BETWEEN or IN'
+      : 'a comparison operator, LIKE, BETWEEN, IN or IS NULL')
+  }
+
+  negate(expression, negated) {
+    return negated ? { op: 'not', args: [expression] } : expression
+  }
+
+  parseScalar() {
+    const token = this.peek()
+    switch (token.type) {
+    case 'string':
+    case 'number':
+      return this.next().value
+    case 'keyword':
+      if (token.value === 'TRUE' || token.value === 'FALSE') {
+        return this.next().value === 'TRUE'
+      }
+      break
+    case 'identifier':
+      if (this.isIdentifier(Object.keys(WKT_TYPES))
+          && (this.peek(1).type === '(' || this.peek(1).type === 'identifier')) {
+        return this.parseGeometry()
+      }
+      this.next()
+      if (this.peek().type === '(') {
+        return this.parseFunction(token)
+      }
+      return { property: token.value }
+    default:
+      break
+    }
+    throw this.unexpected('a property name or a literal value')
+  }
+
+  parseFunction(nameToken) {
+    const name = nameToken.value.toUpperCase()
+    this.expect('(', "'('")
+    let literal
+    if (name === 'TIMESTAMP') {
+      literal = { timestamp: this.expect('string', 'a timestamp string').value }
+    } else if (name === 'DATE') {
+      literal = { date: this.expect('string', 'a date string').value }
+    } else if (name === 'INTERVAL') {
+      const interval = [this.parseScalar()]
+      this.expect(',', "','")
+      interval.push(this.parseScalar())
+      literal = { interval }
+    } else if (name === 'BBOX') {
+      const bbox = [this.expect('number', 'a number').value]
+      while (this.peek().type === ',') {
+        this.next()
+        bbox.push(this.expect('number', 'a number').value)
+      }
+      literal = { bbox }
+    } else {
+      throw syntaxError(`unsupported function '${nameToken.value}'`, nameToken.position)
+    }
+    this.expect(')', "')'")
+    return literal
+  }
+
+  parseGeometry() {
+    const typeToken = this.expect('identifier', 'a geometry type')
+    const type = WKT_TYPES[typeToken.value.toUpperCase()]
+    if (!type) {
+      throw syntaxError(`unsupported geometry type '${typeToken.value}'`, typeToken.position)
+    }
+    if (this.peek().type === 'identifier') {
+      const dimension = this.next()
+      if (dimension.value.toUpperCase() !== 'Z') {
+        throw syntaxError(`unsupported geometry '${typeToken.value} ${dimension.value}'`,
+          dimension.position)
+      }
+    }
+    if (type === 'GeometryCollection') {
+      return {
+        type,
+        geometries: this.nested(typeToken, () => this.parseList(() => this.parseGeometry()))
+      }
+    }
+    if (type === 'Point') {
+      return { type, coordinates: this.parsePoint() }
+    }
+    if (type === 'MultiPoint') {
+      // the points of a multipoint may or may not be parenthesized
+      const coordinates = this.parseList(() => (this.peek().type === '('
+        ? this.parsePoint()
+        : this.parsePosition()))
+      return { type, coordinates }
+    }
+    return { type, coordinates: this.parseCoordinates(COORDINATES_DEPTH[type]) }
+  }
+
+  // a point is a single position in parentheses
+  parsePoint() {
+    this.expect('(', "'('")
+    const position = this.parsePosition()
+    this.expect(')', "')'")
+    return position
+  }
+
+  parseCoordinates(depth) {
+    if (depth === 0) {
+      return this.parsePosition()
+    }
+    return this.parseList(() => this.parseCoordinates(depth - 1))
+  }
+
+  // a position is 2 or 3 numbers separated by whitespace
+  parsePosition() {
+    const position = [this.expect('number', 'a number').value]
+    while (this.peek().type === 'number' && position.length < 3) {
+      position.push(this.next().value)
+    }
+    if (position.length < 2) {
+      throw this.unexpected('a number')
+    }
+    return position
+  }
+}
+
+const parseCql2Text = function (text) {
+  if (typeof text !== 'string') {
+    throw new ValidationError('Invalid filter, cql2-text filter must be a string')
+  }
+  return new Parser(text).parse()
+}
+
+module.exports = {
+  MAX_DEPTH,
+  parseCql2Text
+}
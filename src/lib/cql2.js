@@ -0,0 +1,336 @@
+const { ValidationError } = require('./errors')
+const { MAX_DEPTH, parseCql2Text } = require('./cql2-text')
+const { validateGeometry, bboxToGeometry, splitAntimeridian } = require('./geometry')
+
+/*
+This module validates filter expressions for the Filter extension and normalizes them
+into the internal filter AST, which is a CQL2-JSON expression where every comparison
+has the property reference as its first argument. The database module translates this
+AST into search database queries.
+
+Spatial literals are normalized into GeoJSON geometries, with bbox literals as polygons.
+Temporal literals are normalized into intervals, { interval: [start, end] }, where an
+instant is an interval that starts and ends at the same time and '..' is an open end.
+*/
+
+const CQL2_JSON = 'cql2-json'
+const CQL2_TEXT = 'cql2-text'
+const SUPPORTED_FILTER_LANGS = [CQL2_JSON, CQL2_TEXT]
+const DEFAULT_FILTER_CRS = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84'
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '<=', '>', '>=']
+
+// the operator to use when the arguments of a comparison are swapped
+const FLIPPED_COMPARISON_OPERATORS = {
+  '=': '=',
+  '<>': '<>',
+  '<': '>',
+  '<=': '>=',
+  '>': '<',
+  '>=': '<='
+}
+
+const SPATIAL_OPERATORS = ['s_intersects', 's_within', 's_contains', 's_disjoint']
+
+// the operator to use when the arguments of a spatial predicate are swapped
+const FLIPPED_SPATIAL_OPERATORS = {
+  s_intersects: 's_intersects',
+  s_within: 's_contains',
+  s_contains: 's_within',
+  s_disjoint: 's_disjoint'
+}
+
+// the temporal operators, each with the operator to use when its arguments are swapped
+const FLIPPED_TEMPORAL_OPERATORS = {
+  t_after: 't_before',
+  t_before: 't_after',
+  t_contains: 't_during',
+  t_during: 't_contains',
+  t_disjoint: 't_disjoint',
+  t_equals: 't_equals',
+  t_finishedBy: 't_finishes',
+  t_finishes: 't_finishedBy',
+  t_intersects: 't_intersects',
+  t_meets: 't_metBy',
+  t_metBy: 't_meets',
+  t_overlappedBy: 't_overlaps',
+  t_overlaps: 't_overlappedBy',
+  t_startedBy: 't_starts',
+  t_starts: 't_startedBy'
+}
+
+const TEMPORAL_OPERATORS = Object.keys(FLIPPED_TEMPORAL_OPERATORS)
+
+const isObject = (x) => typeof x === 'object' && x !== null && !Array.isArray(x)
+
+const isPropertyRef = (x) => isObject(x) && typeof x.property === 'string'
+
+const invalid = (message) => new ValidationError(`Invalid filter, ${message}`)
+
+const validatePropertyRef = function (arg, op) {
+  if (!isPropertyRef(arg)) {
+    throw invalid(`first argument of '${op}' must be a property reference`)
+  }
+  if (!arg.property) {
+    throw invalid('property name must not be empty')
+  }
+  return { property: arg.property }
+}
+
+// The properties that are geometries, which can only be compared with spatial operators
+const SPATIAL_PROPERTIES = ['geometry', 'bbox']
+
+// A property compared with scalar or temporal values, which can't be a spatial property
+const validateScalarPropertyRef = function (arg, op) {
+  const propertyRef = validatePropertyRef(arg, op)
+  if (SPATIAL_PROPERTIES.includes(propertyRef.property)) {
+    throw invalid(`'${op}' cannot be used with the spatial property '${propertyRef.property}'`)
+  }
+  return propertyRef
+}
+
+// Scalar literals are strings, numbers and booleans. Timestamp and date literals
+// are unwrapped into their string values, as the search database compares them as dates.
+const validateScalarLiteral = function (arg, op) {
+  if (['string', 'number', 'boolean'].includes(typeof arg)) {
+    return arg
+  }
+  if (isObject(arg) && typeof arg.timestamp === 'string') {
+    return arg.timestamp
+  }
+  if (isObject(arg) && typeof arg.date === 'string') {
+    return arg.date
+  }
+  throw invalid(`'${op}' requires a string, number, boolean, timestamp or date value`)
+}
+
+const validateArgs = function (node, expectedLength) {
+  const { op, args } = node
+  if (!Array.isArray(args)) {
+    throw invalid(`'${op}' requires an args array`)
+  }
+  if (expectedLength !== undefined && args.length !== expectedLength) {
+    throw invalid(`'${op}' requires ${expectedLength} argument(s), got ${args.length}`)
+  }
+  return args
+}
+
+const validateComparison = function (node) {
+  const [left, right] = validateArgs(node, 2)
+  let { op } = node
+  let propertyArg = left
+  let valueArg = right
+  if (!isPropertyRef(left) && isPropertyRef(right)) {
+    op = FLIPPED_COMPARISON_OPERATORS[op]
+    propertyArg = right
+    valueArg = left
+  }
+  if (isPropertyRef(valueArg)) {
+    throw invalid(`'${op}' comparing two properties is not supported`)
+  }
+  const property = validateScalarPropertyRef(propertyArg, op)
+  const value = validateScalarLiteral(valueArg, op)
+  if (typeof value === 'boolean' && op !== '=' && op !== '<>') {
+    throw invalid(`'${op}' cannot be used with a boolean value`)
+  }
+  return { op, args: [property, value] }
+}
+
+const validateLike = function (node) {
+  const [property, pattern] = validateArgs(node, 2)
+  if (typeof pattern !== 'string') {
+    throw invalid("'like' requires a string pattern")
+  }
+  return { op: 'like', args: [validateScalarPropertyRef(property, 'like'), pattern] }
+}
+
+const validateBetween = function (node) {
+  const args = validateArgs(node)
+  let bounds
+  if (args.length === 3) {
+    bounds = args.slice(1)
+  } else if (args.length === 2 && Array.isArray(args[1]) && args[1].length === 2) {
+    // earlier drafts of CQL2 passed the bounds as a single array
+    bounds = args[1]
+  } else {
+    throw invalid("'between' requires a property, a lower bound and an upper bound")
+  }
+  const [lower, upper] = bounds.map((x) => validateScalarLiteral(x, 'between'))
+  if (typeof lower === 'boolean' || typeof upper === 'boolean') {
+    throw invalid("'between' cannot be used with boolean values")
+  }
+  return { op: 'between', args: [validateScalarPropertyRef(args[0], 'between'), lower, upper] }
+}
+
+const validateIn = function (node) {
+  const [property, list] = validateArgs(node, 2)
+  if (!Array.isArray(list) || !list.length) {
+    throw invalid("'in' requires a non-empty array of values")
+  }
+  return {
+    op: 'in',
+    args: [
+      validateScalarPropertyRef(property, 'in'),
+      list.map((x) => validateScalarLiteral(x, 'in'))
+    ]
+  }
+}
+
+const validateIsNull = function (node) {
+  const [property] = validateArgs(node, 1)
+  return { op: 'isNull', args: [validatePropertyRef(property, 'isNull')] }
+}
+
+const isSpatialLiteral = (x) => isObject(x) && (x.type !== undefined || x.bbox !== undefined)
+
+// Spatial literals are GeoJSON geometries and bbox objects. As with the bbox and intersects
+// parameters, bboxes become polygons, and geometries that cross the antimeridian are split.
+const validateSpatialLiteral = function (arg, op) {
+  if (!isObject(arg)) {
+    throw invalid(`'${op}' requires a GeoJSON geometry or a bbox`)
+  }
+  let geometry = arg
+  if (arg.bbox !== undefined) {
+    const { bbox } = arg
+    if (!Array.isArray(bbox) || ![4, 6].includes(bbox.length) || !bbox.every(Number.isFinite)) {
+      throw invalid(`'${op}' requires a bbox of 4 or 6 numbers`)
+    }
+    geometry = bboxToGeometry(bbox)
+  }
+  return splitAntimeridian(validateGeometry(geometry, 'filter'))
+}
+
+const validateSpatial = function (node) {
+  const [left, right] = validateArgs(node, 2)
+  let { op } = node
+  let propertyArg = left
+  let geometryArg = right
+  if (isSpatialLiteral(left) && isPropertyRef(right)) {
+    op = FLIPPED_SPATIAL_OPERATORS[op]
+    propertyArg = right
+    geometryArg = left
+  }
+  if (isPropertyRef(geometryArg)) {
+    throw invalid(`'${op}' comparing two properties is not supported`)
+  }
+  return {
+    op,
+    args: [validatePropertyRef(propertyArg, op), validateSpatialLiteral(geometryArg, op)]
+  }
+}
+
+const isTemporalLiteral = (x) => isObject(x)
+  && (x.timestamp !== undefined || x.date !== undefined || x.interval !== undefined)
+
+// An instant is a timestamp or date, or a timestamp or date string within an interval
+const validateInstant = function (arg, op, openEnded = false) {
+  if (typeof arg === 'string' && (openEnded || arg !== '..')) {
+    return arg
+  }
+  if (isObject(arg) && typeof arg.timestamp === 'string') {
+    return arg.timestamp
+  }
+  if (isObject(arg) && typeof arg.date === 'string') {
+    return arg.date
+  }
+  throw invalid(`'${op}' requires a timestamp, date or interval value`)
+}
+
+// Temporal literals are timestamps, dates and intervals, which are normalized into intervals
+const validateTemporalLiteral = function (arg, op) {
+  if (isObject(arg) && arg.interval !== undefined) {
+    const { interval } = arg
+    if (!Array.isArray(interval) || interval.length !== 2) {
+      throw invalid(`'${op}' requires an interval with a start and an end`)
+    }
+    return { interval: interval.map((x) => validateInstant(x, op, true)) }
+  }
+  const instant = validateInstant(arg, op)
+  return { interval: [instant, instant] }
+}
+
+const validateTemporal = function (node) {
+  const [left, right] = validateArgs(node, 2)
+  let { op } = node
+  let propertyArg = left
+  let valueArg = right
+  if (isTemporalLiteral(left) && isPropertyRef(right)) {
+    op = FLIPPED_TEMPORAL_OPERATORS[op]
+    propertyArg = right
+    valueArg = left
+  }
+  if (isPropertyRef(valueArg)) {
+    throw invalid(`'${op}' comparing two properties is not supported`)
+  }
+  return {
+    op,
+    args: [validateScalarPropertyRef(propertyArg, op), validateTemporalLiteral(valueArg, op)]
+  }
+}
+
+// The depth is that of the expression in and, or and not expressions, which is limited as
+// the expression is validated and translated recursively
+const validateExpression = function (node, depth = 0) {
+  if (typeof node === 'boolean') {
+    return node
+  }
+  if (!isObject(node) || typeof node.op !== 'string') {
+    throw invalid('expected an expression object with an op')
+  }
+  const { op } = node
+  if (['and', 'or', 'not'].includes(op) && depth >= MAX_DEPTH) {
+    throw invalid(`expressions are nested more than ${MAX_DEPTH} deep`)
+  }
+  if (op === 'and' || op === 'or') {
+    const args = validateArgs(node)
+    if (args.length < 2) {
+      throw invalid(`'${op}' requires at least 2 arguments`)
+    }
+    return { op, args: args.map((arg) => validateExpression(arg, depth + 1)) }
+  }
+  if (op === 'not') {
+    const [arg] = validateArgs(node, 1)
+    return { op, args: [validateExpression(arg, depth + 1)] }
+  }
+  if (COMPARISON_OPERATORS.includes(op)) return validateComparison(node)
+  if (op === 'like') return validateLike(node)
+  if (op === 'between') return validateBetween(node)
+  if (op === 'in') return validateIn(node)
+  if (op === 'isNull') return validateIsNull(node)
+  if (SPATIAL_OPERATORS.includes(op)) return validateSpatial(node)
+  if (TEMPORAL_OPERATORS.includes(op)) return validateTemporal(node)
+
+  throw invalid(`unsupported operator '${op}'`)
+}
+
+const parseCql2Json = function (filter) {
+  let parsed = filter
+  if (typeof filter === 'string') {
+    try {
+      parsed = JSON.parse(filter)
+    } catch (e) {
+      throw invalid('filter is not valid JSON')
+    }
+  }
+  return validateExpression(parsed)
+}
+
+const parseFilter = function (filter, filterLang = CQL2_JSON, filterCrs = undefined) {
+  if (!SUPPORTED_FILTER_LANGS.includes(filterLang)) {
+    throw new ValidationError(
+      `Invalid filter-lang '${filterLang}', must be one of ${SUPPORTED_FILTER_LANGS.join(', ')}`
+    )
+  }
+  if (filterCrs && filterCrs !== DEFAULT_FILTER_CRS) {
+    throw new ValidationError(`Invalid filter-crs, only ${DEFAULT_FILTER_CRS} is supported`)
+  }
+  if (filterLang === CQL2_TEXT) {
+    return validateExpression(parseCql2Text(filter))
+  }
+  return parseCql2Json(filter)
+}
+
+module.exports = {
+  SPATIAL_PROPERTIES,
+  parseFilter
+}
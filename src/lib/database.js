@@ -1,4 +1,6 @@
 const dbClient = require('./databaseClient')
+const { itemsIndexConfiguration } = require('../../fixtures/items')
+const { AGGREGATION_NAMES, aggregationQuery } = require('./aggregations')
 const logger = console //require('./logger')
 
 const COLLECTIONS_INDEX = process.env.COLLECTIONS_INDEX || 'collections'
@@ -12,13 +14,23 @@ const isIndexNotFoundError = (e) => (
     && e.name === 'ResponseError'
     && e.message.includes('index_not_found_exception'))
 
+const isVersionConflictError = (e) => (
+  e instanceof Error
+    && e.name === 'ResponseError'
+    && e.message.includes('version_conflict_engine_exception'))
+
+// the parameters of a write that only succeeds if the document is still at a version
+const versionParameters = (version) => (
+  version ? { ifSeqNo: version.seqNo, ifPrimaryTerm: version.primaryTerm } : {}
+)
+
 /*
 This module is used for connecting to a search database instance, writing records,
 searching records, and managing the indexes. It looks for the OPENSEARCH_HOST environment
 variable which is the URL to the search database host
 */
 
-function buildRangeQuery(property, operators, operatorsObject) {
+function buildRangeQuery(field, operators, operatorsObject) {
   const gt = 'gt'
   const lt = 'lt'
   const gte = 'gte'
@@ -27,83 +39,265 @@ function buildRangeQuery(property, operators, operatorsObject) {
   let rangeQuery
   if (operators.includes(gt) || operators.includes(lt)
          || operators.includes(gte) || operators.includes(lte)) {
-    const propertyKey = `properties.${property}`
     rangeQuery = {
       range: {
-        [propertyKey]: {
+        [field]: {
         }
       }
     }
     // All operators for a property go in a single range query.
     comparisons.forEach((comparison) => {
       if (operators.includes(comparison)) {
-        const existing = rangeQuery.range[propertyKey]
-        rangeQuery.range[propertyKey] = { ...existing, [comparison]: operatorsObject[comparison] }
+        const existing = rangeQuery.range[field]
+        rangeQuery.range[field] = { ...existing, [comparison]: operatorsObject[comparison] }
       }
     })
   }
   return rangeQuery
 }
 
+// Item fields that are not nested under properties
+const ITEM_TOP_LEVEL_FIELDS = ['id', 'collection', 'geometry', 'bbox', 'type', 'stac_version']
+
+function itemFieldForProperty(property) {
+  if (ITEM_TOP_LEVEL_FIELDS.includes(property) || property.startsWith('properties.')) {
+    return property
+  }
+  return `properties.${property}`
+}
+
+// Converts a CQL2 like pattern into a wildcard query pattern. CQL2 uses % and _ as
+// wildcards and backslash as the escape character, wildcard queries use * and ?
+function likeToWildcard(pattern) {
+  let wildcard = ''
+  for (let i = 0; i < pattern.length; i += 1) {
+    const c = pattern[i]
+    if (c === '\\' && i + 1 < pattern.length) {
+      i += 1
+      wildcard += ['*', '?', '\\'].includes(pattern[i]) ? `\\${pattern[i]}` : pattern[i]
+    } else if (c === '%') {
+      wildcard += '*'
+    } else if (c === '_') {
+      wildcard += '?'
+    } else if (c === '*' || c === '?') {
+      wildcard += `\\${c}`
+    } else {
+      wildcard += c
+    }
+  }
+  return wildcard
+}
+
+const CQL2_RANGE_OPERATORS = { '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' }
+
+// the geo_shape relation of each spatial operator
+const SPATIAL_RELATIONS = {
+  s_intersects: 'intersects',
+  s_within: 'within',
+  s_contains: 'contains',
+  s_disjoint: 'disjoint'
+}
+
+// The temporal operators as conditions that must all hold, each comparing the start or end
+// of the property value with the start (0) or end (1) of the interval
+const TEMPORAL_CONDITIONS = {
+  t_after: [['start', 'gt', 1]],
+  t_before: [['end', 'lt', 0]],
+  t_contains: [['start', 'lt', 0], ['end', 'gt', 1]],
+  t_during: [['start', 'gt', 0], ['end', 'lt', 1]],
+  t_equals: [['start', 'eq', 0], ['end', 'eq', 1]],
+  t_finishedBy: [['start', 'lt', 0], ['end', 'eq', 1]],
+  t_finishes: [['start', 'gt', 0], ['end', 'eq', 1]],
+  t_intersects: [['start', 'lte', 1], ['end', 'gte', 0]],
+  t_meets: [['end', 'eq', 0]],
+  t_metBy: [['start', 'eq', 1]],
+  t_overlappedBy: [['start', 'gt', 0], ['start', 'lt', 1], ['end', 'gt', 1]],
+  t_overlaps: [['start', 'lt', 0], ['end', 'gt', 0], ['end', 'lt', 1]],
+  t_startedBy: [['start', 'eq', 0], ['end', 'gt', 1]],
+  t_starts: [['start', 'eq', 0], ['end', 'lt', 1]]
+}
+
+// A range query on the start or end of a property value. The datetime of an Item is the
+// interval from its start_datetime to its end_datetime properties if it has them.
+function temporalBoundQuery(property, bound, range, fieldForProperty) {
+  const field = fieldForProperty(property)
+  if (property !== 'datetime') {
+    return { range: { [field]: range } }
+  }
+  const boundField = fieldForProperty(`${bound}_datetime`)
+  return {
+    bool: {
+      should: [
+        { range: { [boundField]: range } },
+        {
+          bool: {
+            filter: [{ range: { [field]: range } }],
+            must_not: [{ exists: { field: boundField } }]
+          }
+        }
+      ],
+      minimum_should_match: 1
+    }
+  }
+}
+
+// Translates a temporal operator, where an open ('..') start of the interval is before and
+// an open end is after any time
+function buildTemporalQuery(op, property, interval, fieldForProperty) {
+  if (op === 't_disjoint') {
+    return {
+      bool: {
+        should: ['t_before', 't_after'].map(
+          (disjointOp) => buildTemporalQuery(disjointOp, property, interval, fieldForProperty)
+        ),
+        minimum_should_match: 1
+      }
+    }
+  }
+  const queries = []
+  for (const [bound, comparison, index] of TEMPORAL_CONDITIONS[op]) {
+    const value = interval[index]
+    if (value === '..') {
+      // only a value after an open start, or before an open end, compares true
+      const holds = index === 0 ? comparison.startsWith('gt') : comparison.startsWith('lt')
+      if (!holds) return { match_none: {} }
+    } else {
+      const range = comparison === 'eq' ? { gte: value, lte: value } : { [comparison]: value }
+      queries.push(temporalBoundQuery(property, bound, range, fieldForProperty))
+    }
+  }
+  return queries.length ? { bool: { filter: queries } } : { match_all: {} }
+}
+
+// Whether a datetime interval matches the Items whose datetime range intersects it (the
+// default), or only those whose datetime range it contains, set by the datetime-mode
+// parameter, or by DATETIME_SEARCH_MODE for searches without one
+const datetimeSearchContains = (parameters) => (
+  (parameters['datetime-mode'] || process.env.DATETIME_SEARCH_MODE) === 'contains'
+)
+
 // assumes a valid RFC3339 datetime or interval
 // validation was previously done by api.extractDatetime
+// The datetime range of an Item is from its start_datetime to its end_datetime, if it has
+// them, otherwise its datetime. An instant is an interval that starts and ends at that time.
 function buildDatetimeQuery(parameters) {
-  let dateQuery
   const { datetime } = parameters
-  if (datetime) {
-    if (datetime.includes('/')) {
-      const [start, end] = datetime.split('/')
-      const datetimeRange = {}
-      if (start && start !== '..') datetimeRange.gte = start
-      if (end && end !== '..') datetimeRange.lte = end
-      dateQuery = {
-        range: {
-          'properties.datetime': datetimeRange
-        }
-      }
-    } else {
-      dateQuery = {
-        term: {
-          'properties.datetime': datetime
-        }
+  if (!datetime) {
+    return undefined
+  }
+  const [start, end] = datetime.includes('/') ? datetime.split('/') : [datetime, datetime]
+  const isClosed = (x) => x && x !== '..'
+  const boundQuery = (bound, range) => (
+    temporalBoundQuery('datetime', bound, range, itemFieldForProperty)
+  )
+  const queries = []
+  if (datetimeSearchContains(parameters)) {
+    if (isClosed(start)) queries.push(boundQuery('start', { gte: start }))
+    if (isClosed(end)) queries.push(boundQuery('end', { lte: end }))
+  } else {
+    if (isClosed(end)) queries.push(boundQuery('start', { lte: end }))
+    if (isClosed(start)) queries.push(boundQuery('end', { gte: start }))
+  }
+  return { bool: { filter: queries } }
+}
+
+// Translates a filter AST (as validated by cql2.parseFilter) into a query
+function buildFilterQuery(node, fieldForProperty = itemFieldForProperty) {
+  if (node === true) return { match_all: {} }
+  if (node === false) return { match_none: {} }
+
+  const { op, args } = node
+  const subQueries = () => args.map((arg) => buildFilterQuery(arg, fieldForProperty))
+  if (op === 'and') return { bool: { filter: subQueries() } }
+  if (op === 'or') return { bool: { should: subQueries(), minimum_should_match: 1 } }
+  if (op === 'not') return { bool: { must_not: subQueries() } }
+
+  const field = fieldForProperty(args[0].property)
+  switch (op) {
+  case '=':
+    return { term: { [field]: args[1] } }
+  case '<>':
+    // as in SQL, null values are neither equal nor not equal to a value
+    return {
+      bool: {
+        filter: [{ exists: { field } }],
+        must_not: [{ term: { [field]: args[1] } }]
       }
     }
+  case '<':
+  case '<=':
+  case '>':
+  case '>=':
+    return { range: { [field]: { [CQL2_RANGE_OPERATORS[op]]: args[1] } } }
+  case 'like':
+    return { wildcard: { [field]: { value: likeToWildcard(args[1]) } } }
+  case 'between':
+    return { range: { [field]: { gte: args[1], lte: args[2] } } }
+  case 'in':
+    return { terms: { [field]: args[1] } }
+  case 'isNull':
+    return { bool: { must_not: [{ exists: { field } }] } }
+  case 's_intersects':
+  case 's_within':
+  case 's_contains':
+  case 's_disjoint':
+    return { geo_shape: { [field]: { shape: args[1], relation: SPATIAL_RELATIONS[op] } } }
+  default:
+    if (TEMPORAL_CONDITIONS[op] || op === 't_disjoint') {
+      return buildTemporalQuery(op, args[0].property, args[1].interval, fieldForProperty)
+    }
+    throw new Error(`Unsupported filter operator ${op}`)
+  }
+}
+
+// escapes the characters that are special in wildcard query patterns
+const escapeWildcard = (value) => value.replace(/[\\*?]/g, '\\$&')
+
+// Translates the Query extension operators for a property, as validated by
+// api.extractStacQuery, into queries. Range operators are combined into one range query.
+function buildPropertyQuery(property, operatorsObject) {
+  const field = itemFieldForProperty(property)
+  const operators = Object.keys(operatorsObject)
+  const queries = []
+  for (const operator of operators) {
+    const value = operatorsObject[operator]
+    switch (operator) {
+    case 'eq':
+      queries.push({ term: { [field]: value } })
+      break
+    case 'neq':
+      queries.push({ bool: { must_not: [{ term: { [field]: value } }] } })
+      break
+    case 'in':
+      queries.push({ terms: { [field]: value } })
+      break
+    case 'startsWith':
+      queries.push({ wildcard: { [field]: { value: `${escapeWildcard(value)}*` } } })
+      break
+    case 'endsWith':
+      queries.push({ wildcard: { [field]: { value: `*${escapeWildcard(value)}` } } })
+      break
+    case 'contains':
+      queries.push({ wildcard: { [field]: { value: `*${escapeWildcard(value)}*` } } })
+      break
+    default:
+      break
+    }
+  }
+  const rangeQuery = buildRangeQuery(field, operators, operatorsObject)
+  if (rangeQuery) {
+    queries.push(rangeQuery)
   }
-  return dateQuery
+  return queries
 }
 
 function buildQuery(parameters) {
-  const eq = 'eq'
-  const inop = 'in'
-  const { query, intersects, collections, ids } = parameters
+  const { query, intersects, collections, ids, filter } = parameters
   let filterQueries = []
   if (query) {
-    // Using reduce rather than map as we don't currently support all
-    // stac query operators.
-    filterQueries = Object.keys(query).reduce((accumulator, property) => {
-      const operatorsObject = query[property]
-      const operators = Object.keys(operatorsObject)
-      if (operators.includes(eq)) {
-        const termQuery = {
-          term: {
-            [`properties.${property}`]: operatorsObject.eq
-          }
-        }
-        accumulator.push(termQuery)
-      } else if (operators.includes(inop)) {
-        const termsQuery = {
-          terms: {
-            [`properties.${property}`]: operatorsObject.in
-          }
-        }
-        accumulator.push(termsQuery)
-      }
-      const rangeQuery = buildRangeQuery(property, operators, operatorsObject)
-      if (rangeQuery) {
-        accumulator.push(rangeQuery)
-      }
-      return accumulator
-    }, filterQueries)
+    filterQueries = Object.keys(query).reduce((accumulator, property) => (
+      accumulator.concat(buildPropertyQuery(property, query[property]))
+    ), filterQueries)
   }
 
   if (ids) {
@@ -130,6 +324,10 @@ function buildQuery(parameters) {
     })
   }
 
+  if (filter !== undefined) {
+    filterQueries.push(buildFilterQuery(filter))
+  }
+
   const datetimeQuery = buildDatetimeQuery(parameters)
   if (datetimeQuery instanceof Error) {
     throw datetimeQuery
@@ -162,13 +360,120 @@ function buildIdQuery(id) {
   }
 }
 
+// Collection fields matched by the free-text search parameter q
+const COLLECTION_TEXT_FIELDS = ['title', 'description', 'keywords']
+
+// Derived fields added to each Collection for searching by extent. They are not
+// returned in responses.
+const COLLECTION_SEARCH_FIELDS = ['search_extent']
+
+const DEFAULT_COLLECTION_SORTING = [
+  { id: { order: 'asc' } }
+]
+
+/*
+The extent of a STAC Collection can't be searched directly, as the bbox is stored as a
+plain array of numbers and the start and end of the interval are indistinguishable once
+indexed. The overall extent (the first bbox and interval) is stored again in a derived
+search_extent field, as a geo_shape envelope and separate start and end datetimes.
+*/
+function collectionSearchExtent(collection) {
+  const searchExtent = {}
+  const { spatial, temporal } = collection.extent || {}
+  const bbox = spatial && Array.isArray(spatial.bbox) ? spatial.bbox[0] : undefined
+  if (Array.isArray(bbox) && (bbox.length === 4 || bbox.length === 6)) {
+    const [west, south, east, north] = bbox.length === 4
+      ? bbox : [bbox[0], bbox[1], bbox[3], bbox[4]]
+    searchExtent.geometry = {
+      type: 'envelope',
+      coordinates: [[west, north], [east, south]]
+    }
+  }
+  const interval = temporal && Array.isArray(temporal.interval)
+    ? temporal.interval[0] : undefined
+  if (Array.isArray(interval)) {
+    const [start, end] = interval
+    if (start) searchExtent.start_datetime = start
+    if (end) searchExtent.end_datetime = end
+  }
+  return searchExtent
+}
+
+function withSearchExtent(collection) {
+  return { ...collection, search_extent: collectionSearchExtent(collection) }
+}
+
+// a range query on a field where a missing value is unbounded, as for an open interval
+function unboundedRangeQuery(field, range) {
+  return {
+    bool: {
+      should: [
+        { range: { [field]: range } },
+        { bool: { must_not: [{ exists: { field } }] } }
+      ],
+      minimum_should_match: 1
+    }
+  }
+}
+
+function buildCollectionsQuery(parameters) {
+  const { intersects, datetime, q, filter } = parameters
+  const filterQueries = []
+
+  if (intersects) {
+    filterQueries.push({
+      geo_shape: {
+        'search_extent.geometry': { shape: intersects }
+      }
+    })
+  }
+
+  // assumes a valid RFC3339 datetime or interval, validated by api.extractDatetime
+  if (datetime) {
+    const [start, end] = datetime.includes('/') ? datetime.split('/') : [datetime, datetime]
+    if (end && end !== '..') {
+      filterQueries.push(unboundedRangeQuery('search_extent.start_datetime', { lte: end }))
+    }
+    if (start && start !== '..') {
+      filterQueries.push(unboundedRangeQuery('search_extent.end_datetime', { gte: start }))
+    }
+  }
+
+  // the terms of q are alternatives, a Collection must match at least one
+  if (q) {
+    filterQueries.push({
+      bool: {
+        should: q.map((term) => ({
+          multi_match: { query: term, fields: COLLECTION_TEXT_FIELDS }
+        })),
+        minimum_should_match: 1
+      }
+    })
+  }
+
+  // Collection properties are all top-level fields
+  if (filter !== undefined) {
+    filterQueries.push(buildFilterQuery(filter, (property) => property))
+  }
+
+  return {
+    query: {
+      bool: {
+        filter: filterQueries
+      }
+    }
+  }
+}
+
+// Items without a datetime are sorted by their start_datetime
 const DEFAULT_SORTING = [
   { 'properties.datetime': { order: 'desc' } },
+  { 'properties.start_datetime': { order: 'desc' } },
   { id: { order: 'desc' } },
   { collection: { order: 'desc' } }
 ]
 
-function buildSort(parameters) {
+function buildSort(parameters, defaultSorting = DEFAULT_SORTING) {
   const { sortby } = parameters
   if (sortby && sortby.length) {
     return sortby.map((sortRule) => {
@@ -180,15 +485,22 @@ function buildSort(parameters) {
       }
     })
   }
-  return DEFAULT_SORTING
+  return defaultSorting
 }
 
-function buildSearchAfter(parameters) {
-  const { next } = parameters
-  if (next) {
-    return next.split(',')
-  }
-  return undefined
+// Items are unique by collection and id, so these are appended to any sort that doesn't
+// include them, to give every Item a distinct position for search_after
+const ITEM_SORT_TIE_BREAKERS = [
+  { id: { order: 'desc' } },
+  { collection: { order: 'desc' } }
+]
+
+function buildItemSort(parameters) {
+  const sort = buildSort(parameters)
+  const sortFields = sort.map((rule) => Object.keys(rule)[0])
+  return sort.concat(
+    ITEM_SORT_TIE_BREAKERS.filter((rule) => !sortFields.includes(Object.keys(rule)[0]))
+  )
 }
 
 function buildFieldsFilter(parameters) {
@@ -242,7 +554,7 @@ async function indexCollection(collection) {
   const collectionDocResponse = await client.index({
     index: COLLECTIONS_INDEX,
     id: collection.id,
-    body: collection,
+    body: withSearchExtent(collection),
     opType: 'create'
   })
 
@@ -251,6 +563,21 @@ async function indexCollection(collection) {
   return [collectionDocResponse, indexCreateResponse]
 }
 
+/*
+ * Replace an existing Collection
+ *
+ */
+async function updateCollection(collection) {
+  const client = await dbClient.client()
+
+  return await client.index({
+    index: COLLECTIONS_INDEX,
+    id: collection.id,
+    body: withSearchExtent(collection),
+    opType: 'index'
+  })
+}
+
 /*
  * Create a new Item in an index corresponding to the Collection
  *
@@ -285,7 +612,7 @@ async function indexItem(item) {
  * using a partial item description, compliant with RFC 7386.
  *
  */
-async function partialUpdateItem(collectionId, itemId, updateFields) {
+async function partialUpdateItem(collectionId, itemId, updateFields, version) {
   const client = await dbClient.client()
 
   // Handle inserting required default properties to `updateFields`
@@ -304,6 +631,7 @@ async function partialUpdateItem(collectionId, itemId, updateFields) {
     index: collectionId,
     id: itemId,
     _source: true,
+    ...versionParameters(version),
     body: {
       doc: updateFields
     }
@@ -312,9 +640,16 @@ async function partialUpdateItem(collectionId, itemId, updateFields) {
   return response
 }
 
-async function deleteItem(collectionId, itemId) {
+async function deleteItem(collectionId, itemId, version) {
   const client = await dbClient.client()
   if (client === undefined) throw new Error('Client is undefined')
+  if (version) {
+    return await client.delete({
+      index: collectionId,
+      id: itemId,
+      ...versionParameters(version)
+    })
+  }
   return await client.delete_by_query({
     index: collectionId,
     body: buildIdQuery(itemId),
@@ -335,7 +670,8 @@ async function dbQuery(parameters) {
 async function getCollection(collectionId) {
   const response = await dbQuery({
     index: COLLECTIONS_INDEX,
-    body: buildIdQuery(collectionId)
+    body: buildIdQuery(collectionId),
+    _sourceExcludes: COLLECTION_SEARCH_FIELDS
   })
   if (Array.isArray(response.body.hits.hits) && response.body.hits.hits.length) {
     return response.body.hits.hits[0]._source
@@ -349,7 +685,9 @@ async function getCollections(page = 1, limit = 100) {
     const response = await dbQuery({
       index: COLLECTIONS_INDEX,
       size: limit,
-      from: (page - 1) * limit
+      from: (page - 1) * limit,
+      body: { sort: DEFAULT_COLLECTION_SORTING },
+      _sourceExcludes: COLLECTION_SEARCH_FIELDS
     })
     return response.body.hits.hits.map((r) => (r._source))
   } catch (e) {
@@ -358,6 +696,61 @@ async function getCollections(page = 1, limit = 100) {
   return []
 }
 
+// The sort for paging through collections with search_after, which ends with the id so
+// that every collection has a distinct position
+function buildCollectionsSort(parameters) {
+  const sort = buildSort(parameters, DEFAULT_COLLECTION_SORTING)
+  if (sort.some((rule) => Object.keys(rule)[0] === 'id')) {
+    return sort
+  }
+  return sort.concat(DEFAULT_COLLECTION_SORTING)
+}
+
+const reverseSort = (sort) => sort.map((rule) => {
+  const [[field, { order }]] = Object.entries(rule)
+  return { [field]: { order: order === 'desc' ? 'asc' : 'desc' } }
+})
+
+/*
+Search collections with the Collection Search parameters. A page after or before another
+is selected with the `next` or `prev` parameter, the sort values of the last or first
+collection of that page. One more collection than the limit is fetched to tell whether
+there are more collections beyond the returned page, in the direction of paging.
+*/
+async function searchCollections(parameters, limit = 100) {
+  const { next, prev } = parameters
+  const body = buildCollectionsQuery(parameters)
+  const sort = buildCollectionsSort(parameters)
+  body.sort = prev ? reverseSort(sort) : sort
+  if (next || prev) {
+    body.search_after = next || prev
+  }
+  const dbResponse = await dbQuery({
+    index: COLLECTIONS_INDEX,
+    body,
+    size: limit + 1,
+    track_total_hits: true,
+    _sourceExcludes: COLLECTION_SEARCH_FIELDS
+  })
+
+  const hits = dbResponse.body.hits.hits.slice(0, limit)
+  if (prev) {
+    hits.reverse()
+  }
+  const results = hits.map((r) => (r._source))
+  return {
+    results,
+    context: {
+      limit: Number(limit),
+      matched: dbResponse.body.hits.total.value,
+      returned: results.length
+    },
+    hasMore: dbResponse.body.hits.hits.length > limit,
+    firstSortValues: hits.length ? hits[0].sort : undefined,
+    lastSortValues: hits.length ? hits[hits.length - 1].sort : undefined
+  }
+}
+
 async function populateCollectionToIndexMapping() {
   if (process.env.COLLECTION_TO_INDEX_MAPPINGS) {
     try {
@@ -394,18 +787,8 @@ async function populateUnrestrictedIndices() {
   }
 }
 
-async function constructSearchParams(parameters, page, limit) {
-  const { id, collections } = parameters
-
-  let body
-  if (id) {
-    body = buildIdQuery(id)
-  } else {
-    body = buildQuery(parameters)
-    body.sort = buildSort(parameters) // sort applied to the id query causes hang???
-    body.search_after = buildSearchAfter(parameters)
-  }
-
+// the indices containing the Items of the collections, or all Item indices
+async function indicesForCollections(collections) {
   let indices
   if (Array.isArray(collections) && collections.length) {
     if (process.env.COLLECTION_TO_INDEX_MAPPINGS) {
@@ -416,10 +799,85 @@ async function constructSearchParams(parameters, page, limit) {
     }
   } else {
     if (!unrestrictedIndices) {
-      populateUnrestrictedIndices()
+      await populateUnrestrictedIndices()
     }
     indices = unrestrictedIndices
   }
+  return indices
+}
+
+// The index of the Items of a collection, and whether it is the index of the collection
+// or one it is mapped to with COLLECTION_TO_INDEX_MAPPINGS, which may have other Items
+async function collectionItemsIndex(collectionId) {
+  const [index] = await indicesForCollections([collectionId])
+  return { index, mapped: index !== collectionId }
+}
+
+const collectionItemsQuery = (collectionId) => ({ query: { term: { collection: collectionId } } })
+
+// The number of Items in a collection
+async function countCollectionItems(collectionId) {
+  const client = await dbClient.client()
+  const { index } = await collectionItemsIndex(collectionId)
+  try {
+    const response = await client.count({ index, body: collectionItemsQuery(collectionId) })
+    return response.body.count
+  } catch (error) {
+    if (isIndexNotFoundError(error)) {
+      return 0
+    }
+    throw error
+  }
+}
+
+/*
+ * Delete a Collection and its Items. The index of the Items is deleted too, unless
+ * retainIndex is set or it is an index the collection is mapped to, which are left with the
+ * Items of other collections.
+ *
+ */
+async function deleteCollection(collectionId, { retainIndex = false } = {}) {
+  const client = await dbClient.client()
+  const { index, mapped } = await collectionItemsIndex(collectionId)
+
+  try {
+    if (retainIndex || mapped) {
+      await client.delete_by_query({
+        index,
+        body: collectionItemsQuery(collectionId),
+        refresh: true
+      })
+    } else {
+      await client.indices.delete({ index })
+    }
+  } catch (error) {
+    if (!isIndexNotFoundError(error)) {
+      throw error
+    }
+  }
+
+  return await client.delete({
+    index: COLLECTIONS_INDEX,
+    id: collectionId,
+    refresh: true
+  })
+}
+
+async function constructSearchParams(parameters, page, limit) {
+  const { id, collections } = parameters
+
+  let body
+  if (id) {
+    body = buildIdQuery(id)
+  } else {
+    body = buildQuery(parameters)
+    const sort = buildItemSort(parameters) // sort applied to the id query causes hang???
+    // a page before another is searched for in reverse sort order, see search()
+    body.sort = parameters.searchBefore ? reverseSort(sort) : sort
+    body.search_after = parameters.searchBefore || parameters.searchAfter
+  }
+
+  const indices = await indicesForCollections(collections)
 
   const searchParams = {
     index: indices,
@@ -444,91 +902,188 @@ async function constructSearchParams(parameters, page, limit) {
   return searchParams
 }
 
-async function search(parameters, page, limit = 10) {
-  const searchParams = await constructSearchParams(parameters, page, limit)
-  const dbResponse = await dbQuery({
-    ignore_unavailable: true,
-    allow_no_indices: true,
-    ...searchParams
+const isPointInTimeEnabled = () => process.env.ENABLE_POINT_IN_TIME_PAGINATION === 'true'
+
+// OpenSearch limits the points in time that are open at once (search.max_open_pit_context),
+// so they are kept only long enough for a client to read the next page
+const pointInTimeKeepAlive = () => process.env.POINT_IN_TIME_KEEP_ALIVE || '1m'
+
+async function createPointInTime(indices) {
+  const client = await dbClient.client()
+  const response = await client.transport.request({
+    method: 'POST',
+    path: `/${[].concat(indices).map(encodeURIComponent).join(',')}/_search/point_in_time`,
+    querystring: {
+      keep_alive: pointInTimeKeepAlive()
+    }
   })
+  return response.body.pit_id
+}
+
+// A point in time that isn't deleted is only kept until it expires, so failures are logged
+async function deletePointInTime(pit) {
+  try {
+    const client = await dbClient.client()
+    await client.transport.request({
+      method: 'DELETE',
+      path: '/_search/point_in_time',
+      body: { pit_id: [pit] }
+    })
+  } catch (e) {
+    logger.warn(`Failure deleting point in time: ${e}`)
+  }
+}
+
+// A search with a point in time is against the indices the point in time was created for,
+// so it must not name any indices itself
+async function searchPointInTime(searchParams, pit) {
+  const params = { ...searchParams }
+  delete params.index
+  return dbQuery({
+    ...params,
+    body: {
+      ...searchParams.body,
+      pit: { id: pit, keep_alive: pointInTimeKeepAlive() }
+    }
+  })
+}
+
+/*
+Search for Items. The results are paged with the searchAfter parameter, the sort values of
+the last Item of the previous page, or the searchBefore parameter, the sort values of the
+first Item of the next page. These are returned as lastSortValues and firstSortValues. One
+more Item than the limit is fetched to tell whether there are more Items beyond the page, in
+the direction of paging, which is returned as hasMore.
+
+When point in time pagination is enabled and there are more results than the first page, a
+point in time is created for the following pages, so that they are consistent with each
+other while Items are being ingested. The point in time is passed back in with the pit
+parameter. If it has expired, the search continues against the current indices. It is
+deleted once a page is read that has no next page, the end of the results. Searches that
+don't page, such as those for tiles, set pointInTime to false so that none is created.
+*/
+async function search(parameters, page, limit = 10, { pointInTime = true } = {}) {
+  const searchParams = await constructSearchParams(parameters, page, limit)
+  searchParams.size = limit + 1
+
+  let dbResponse
+  let pit
+  if (parameters.pit) {
+    try {
+      dbResponse = await searchPointInTime(searchParams, parameters.pit)
+      pit = dbResponse.body.pit_id || parameters.pit
+    } catch (e) {
+      if (!(e instanceof Error && e.name === 'ResponseError'
+          && e.meta && e.meta.statusCode === 404)) {
+        throw e
+      }
+      logger.warn(`Point in time not found, searching without it: ${e}`)
+    }
+  }
+  if (!dbResponse) {
+    dbResponse = await dbQuery({
+      ignore_unavailable: true,
+      allow_no_indices: true,
+      ...searchParams
+    })
+  }
+
+  const hasMore = dbResponse.body.hits.hits.length > limit
+  const hits = dbResponse.body.hits.hits.slice(0, limit)
+  if (parameters.searchBefore) {
+    hits.reverse()
+  }
+  if (!pit && pointInTime && isPointInTimeEnabled() && !parameters.id && hasMore) {
+    try {
+      pit = await createPointInTime(searchParams.index)
+    } catch (e) {
+      logger.error(`Failure creating point in time, paging without it: ${e}`)
+    }
+  }
+  // the last page, as a page read backwards has the page it was read from after it
+  if (pit && !hasMore && !parameters.searchBefore) {
+    await deletePointInTime(pit)
+    pit = undefined
+  }
 
-  const results = dbResponse.body.hits.hits.map((r) => (r._source))
+  const results = hits.map((r) => (r._source))
   const response = {
     results,
     context: {
       limit: Number(limit),
       matched: dbResponse.body.hits.total.value,
       returned: results.length
-    }
+    },
+    hasMore,
+    firstSortValues: hits.length ? hits[0].sort : undefined,
+    lastSortValues: hits.length ? hits[hits.length - 1].sort : undefined,
+    pit
   }
   return response
 }
 
-async function aggregate(parameters) {
+/*
+All of the Items that match the search parameters, in the order of the sort, read page by
+page with search_after. When point in time pagination is enabled, the pages are read from a
+point in time that is deleted when reading is done or stopped, so that the Items are
+consistent while Items are being ingested.
+*/
+async function* searchAll(parameters, pageSize = 1000) {
   const searchParams = await constructSearchParams(parameters)
-  searchParams.body.size = 0
-  searchParams.body.aggs = {
-    total_count: { value_count: { field: 'id' } },
-    collection_frequency: { terms: { field: 'collection', size: 100 } },
-    platform_frequency: { terms: { field: 'properties.platform', size: 100 } },
-    cloud_cover_frequency: {
-      range: {
-        field: 'properties.eo:cloud_cover',
-        ranges: [
-          { to: 5 },
-          { from: 5, to: 15 },
-          { from: 15, to: 40 },
-          { from: 40 },
-        ],
-      }
-    },
-    datetime_frequency: {
-      date_histogram: {
-        field: 'properties.datetime',
-        calendar_interval: 'month',
-      }
-    },
-    datetime_min: { min: { field: 'properties.datetime' } },
-    datetime_max: { max: { field: 'properties.datetime' } },
-    grid_code_frequency: {
-      terms: {
-        field: 'properties.grid:code',
-        size: 1000,
-        missing: 'none',
-      }
-    },
-    grid_code_landsat_frequency: {
-      terms: {
-        field: 'properties.landsat:wrs_type',
-        size: 1000,
-        missing: 'none',
-        script: {
-          lang: 'painless',
-          source: "return 'WRS' + _value + '-' + "
-            + "doc['properties.landsat:wrs_path'].value + "
-            + "doc['properties.landsat:wrs_row'].value"
-        }
+  searchParams.size = pageSize
+  searchParams.track_total_hits = false
+
+  let pit
+  if (isPointInTimeEnabled()) {
+    try {
+      pit = await createPointInTime(searchParams.index)
+    } catch (e) {
+      logger.error(`Failure creating point in time, searching without it: ${e}`)
+    }
+  }
+
+  try {
+    let searchAfter
+    for (;;) {
+      const pageParams = {
+        ...searchParams,
+        body: { ...searchParams.body, search_after: searchAfter }
       }
-    },
-    sun_elevation_frequency: {
-      histogram: {
-        field: 'properties.view:sun_elevation',
-        interval: 5
+      // pages are read one after another, each starts after the last Item of the previous one
+      // eslint-disable-next-line no-await-in-loop
+      const dbResponse = pit ? await searchPointInTime(pageParams, pit) : await dbQuery({
+        ignore_unavailable: true,
+        allow_no_indices: true,
+        ...pageParams
+      })
+      if (pit) {
+        pit = dbResponse.body.pit_id || pit
       }
-    },
-    sun_azimuth_frequency: {
-      histogram: {
-        field: 'properties.view:sun_azimuth',
-        interval: 5
+
+      const { hits } = dbResponse.body.hits
+      for (const hit of hits) {
+        yield hit._source
       }
-    },
-    off_nadir_frequency: {
-      histogram: {
-        field: 'properties.view:off_nadir',
-        interval: 5
+      if (hits.length < pageSize) {
+        break
       }
+      searchAfter = hits[hits.length - 1].sort
+    }
+  } finally {
+    if (pit) {
+      await deletePointInTime(pit)
     }
   }
+}
+
+// Compute the named aggregations, see the aggregations module, over the Items that
+// match the search parameters. Grid aggregations use the precisions given by name.
+async function aggregate(parameters, aggregations = AGGREGATION_NAMES, precisions = {}) {
+  const searchParams = await constructSearchParams(parameters)
+  searchParams.body.size = 0
+  searchParams.body.aggs = Object.fromEntries(
+    aggregations.map((name) => [name, aggregationQuery(name, precisions[name])])
+  )
 
   const dbResponse = await dbQuery({
     ignore_unavailable: true,
@@ -539,6 +1094,36 @@ async function aggregate(parameters) {
   return dbResponse
 }
 
+// Get the mappings of the indices containing the Items of the collections, or of all
+// Item indices if no collections are given. Remote indices are skipped, as their
+// mappings can't be retrieved from the local cluster. If there are no Item indices
+// yet, the mappings that new Item indices are created with are returned.
+async function getItemMappings(collections) {
+  const client = await dbClient.client()
+  if (client === undefined) throw new Error('Client is undefined')
+  const indices = (await indicesForCollections(collections)).filter((x) => !x.includes(':'))
+  const response = await client.indices.getMapping({
+    index: indices,
+    ignore_unavailable: true,
+    allow_no_indices: true
+  })
+  const mappings = Object.values(response.body).map((x) => x.mappings)
+  return mappings.length ? mappings : [itemsIndexConfiguration().mappings]
+}
+
+// The mapping of the collections index, or undefined if it doesn't exist
+async function getCollectionsMapping() {
+  const client = await dbClient.client()
+  if (client === undefined) throw new Error('Client is undefined')
+  const response = await client.indices.getMapping({
+    index: COLLECTIONS_INDEX,
+    ignore_unavailable: true,
+    allow_no_indices: true
+  })
+  const [index] = Object.values(response.body)
+  return index ? index.mappings : undefined
+}
+
 const getItem = async (collectionId, itemId) => {
   const searchResponse = await search({
     collections: [collectionId],
@@ -548,6 +1133,31 @@ const getItem = async (collectionId, itemId) => {
   return searchResponse.results[0]
 }
 
+// The document of an Item, with the sequence number and primary term that change whenever it
+// is written, or undefined if it doesn't exist. It is read in real time, rather than searched
+// for, so that it is the latest version, except from an index the collection is mapped to,
+// which may be on another cluster.
+async function getItemDocument(collectionId, itemId) {
+  const client = await dbClient.client()
+  const { index, mapped } = await collectionItemsIndex(collectionId)
+  let document
+  if (mapped) {
+    const response = await dbQuery({
+      index,
+      ignore_unavailable: true,
+      body: { ...buildIdQuery(itemId), seq_no_primary_term: true }
+    })
+    document = response.body.hits.hits.find((hit) => hit._source.collection === collectionId)
+  } else {
+    const response = await client.get({ index, id: itemId }, { ignore: [404] })
+    document = response.body.found ? response.body : undefined
+  }
+  if (!document || document._source.collection !== collectionId) {
+    return undefined
+  }
+  return document
+}
+
 const getItemCreated = async (collectionId, itemId) => {
   const item = await getItem(collectionId, itemId)
   if (!item) return undefined
@@ -559,7 +1169,7 @@ const getItemCreated = async (collectionId, itemId) => {
  *  Update an existing Item in an index corresponding to the Collection
  *
  */
-async function updateItem(item) {
+async function updateItem(item, version) {
   const client = await dbClient.client()
 
   const exists = await client.indices.exists({ index: item.collection })
@@ -579,12 +1189,59 @@ async function updateItem(item) {
     index: item.collection,
     id: item.id,
     body: item,
-    opType: 'index'
+    opType: 'index',
+    ...versionParameters(version)
   })
 
   return response
 }
 
+// The created timestamps of the Items that exist, by id
+async function itemsCreated(index, ids) {
+  const client = await dbClient.client()
+  const response = await client.mget({
+    index,
+    body: { ids },
+    _source: ['properties.created']
+  })
+  return Object.fromEntries(response.body.docs
+    .filter((doc) => doc.found && doc._source.properties)
+    .map((doc) => [doc._id, doc._source.properties.created]))
+}
+
+/*
+ * Create or replace many Items in the index of a Collection with the bulk API. With the
+ * insert method Items are only created, and those that exist are conflicts, with the upsert
+ * method they are created or replaced. Returns the bulk API result of each Item, in order.
+ *
+ */
+async function bulkIndexItems(collectionId, items, method = 'insert') {
+  const client = await dbClient.client()
+
+  const exists = await client.indices.exists({ index: collectionId })
+  if (!exists.body) {
+    return new Error(`Index ${collectionId} does not exist, add before creating items`)
+  }
+
+  const now = new Date().toISOString()
+  const created = method === 'upsert'
+    ? await itemsCreated(collectionId, items.map((item) => item.id))
+    : {}
+  const action = method === 'upsert' ? 'index' : 'create'
+
+  const response = await client.bulk({
+    body: items.flatMap((item) => [
+      { [action]: { _index: collectionId, _id: item.id } },
+      {
+        ...item,
+        properties: { ...item.properties, created: created[item.id] || now, updated: now }
+      }
+    ])
+  })
+
+  return response.body.items.map((result) => result[action])
+}
+
 async function healthCheck() {
   const client = await dbClient.client()
   if (client === undefined) throw new Error('Client is undefined')
@@ -595,18 +1252,31 @@ async function healthCheck() {
 
 module.exports = {
   getCollections,
+  searchCollections,
   getCollection,
   indexCollection,
+  updateCollection,
+  countCollectionItems,
+  deleteCollection,
+  getItemMappings,
+  getCollectionsMapping,
   getItem,
+  getItemDocument,
   getItemCreated,
   indexItem,
   updateItem,
+  bulkIndexItems,
   deleteItem,
   partialUpdateItem,
   isIndexNotFoundError,
+  isVersionConflictError,
   search,
   aggregate,
   constructSearchParams,
   buildDatetimeQuery,
+  searchAll,
+  buildFilterQuery,
+  buildCollectionsQuery,
+  withSearchExtent,
   healthCheck
 }
@@ -2,7 +2,7 @@ const _stream = require('stream')
 const through2 = require('through2')
 const logger = console //require('./logger')
 const dbClient = require('./databaseClient')
-const { getItemCreated } = require('./database')
+const { getItemCreated, withSearchExtent } = require('./database')
 
 const COLLECTIONS_INDEX = process.env.COLLECTIONS_INDEX || 'collections'
 
@@ -117,7 +117,7 @@ async function stream() {
       // remove any hierarchy links in a non-mutating way
       const hlinks = ['self', 'root', 'parent', 'child', 'collection', 'item', 'items']
       const links = data.links.filter((link) => !hlinks.includes(link.rel))
-      const dbDataObject = { ...data, links }
+      let dbDataObject = { ...data, links }
 
       if (data.hasOwnProperty('properties')) {
         const now = (new Date()).toISOString()
@@ -126,6 +126,8 @@ async function stream() {
 
         dbDataObject.properties.created = created
         dbDataObject.properties.updated = now
+      } else {
+        dbDataObject = withSearchExtent(dbDataObject)
       }
 
       // create ES record
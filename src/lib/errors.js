@@ -0,0 +1,28 @@
+/* eslint-disable max-classes-per-file */
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ValidationError'
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ConflictError'
+  }
+}
+
+class PreconditionFailedError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PreconditionFailedError'
+  }
+}
+
+module.exports = {
+  ValidationError,
+  ConflictError,
+  PreconditionFailedError
+}
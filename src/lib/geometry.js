@@ -0,0 +1,337 @@
+const { ValidationError } = require('./errors')
+
+/*
+Validation of the GeoJSON geometries in requests, such as the intersects parameter, so that
+invalid geometries are rejected with a message saying where they are invalid, rather than
+failing in the search database. Positions must be in longitude and latitude, polygon rings
+must be closed, and geometries can have at most MAX_VERTICES positions.
+
+Features and FeatureCollections are accepted where a geometry is expected, and stand for
+their geometry, or the collection of their geometries.
+
+Geometries that cross the antimeridian are split into the parts either side of it, as a
+geo_shape is otherwise taken to go the long way around the world. A geometry crosses the
+antimeridian where consecutive positions are more than 180 degrees of longitude apart, as in
+the GeoJSON specification. Bboxes cross it where west is greater than east.
+*/
+
+const MAX_VERTICES = 10000
+
+// the deepest nesting of GeometryCollections, as they are read recursively
+const MAX_COLLECTION_DEPTH = 100
+
+// the depth of nesting of the positions in the coordinates of each geometry type
+const COORDINATES_DEPTH = {
+  Point: 0,
+  LineString: 1,
+  Polygon: 2,
+  MultiPoint: 1,
+  MultiLineString: 2,
+  MultiPolygon: 3
+}
+
+const isObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x)
+
+const samePosition = (a, b) => a.length === b.length && a.every((x, i) => x === b[i])
+
+const invalid = (name, message) => new ValidationError(`Invalid ${name} geometry, ${message}`)
+
+const validateArray = function (name, value, path, minLength, description) {
+  if (!Array.isArray(value) || value.length < minLength) {
+    throw invalid(name, `expected ${description} at ${path}`)
+  }
+}
+
+const validatePosition = function (name, position, path) {
+  if (!Array.isArray(position) || ![2, 3].includes(position.length)
+      || !position.every(Number.isFinite)) {
+    throw invalid(name, `expected a position of 2 or 3 numbers at ${path}`)
+  }
+  const [longitude, latitude] = position
+  if (longitude < -180 || longitude > 180) {
+    throw invalid(name, `longitude ${longitude} at ${path} is not between -180 and 180`)
+  }
+  if (latitude < -90 || latitude > 90) {
+    throw invalid(name, `latitude ${latitude} at ${path} is not between -90 and 90`)
+  }
+  return 1
+}
+
+const validatePositions = function (name, positions, path) {
+  positions.forEach((position, i) => validatePosition(name, position, `${path}[${i}]`))
+  return positions.length
+}
+
+const validateLineString = function (name, coordinates, path) {
+  validateArray(name, coordinates, path, 2, 'a line string of at least 2 positions')
+  return validatePositions(name, coordinates, path)
+}
+
+const validateRing = function (name, ring, path) {
+  validateArray(name, ring, path, 4, 'a linear ring of at least 4 positions')
+  const vertices = validatePositions(name, ring, path)
+  if (!samePosition(ring[0], ring[ring.length - 1])) {
+    throw invalid(name, `the linear ring at ${path} is not closed`)
+  }
+  return vertices
+}
+
+const validatePolygon = function (name, coordinates, path) {
+  validateArray(name, coordinates, path, 1, 'a polygon of at least one linear ring')
+  return coordinates.reduce((n, ring, i) => n + validateRing(name, ring, `${path}[${i}]`), 0)
+}
+
+// validates each member of a multi-geometry
+const members = (validate, description) => function (name, coordinates, path) {
+  validateArray(name, coordinates, path, 1, description)
+  return coordinates.reduce((n, c, i) => n + validate(name, c, `${path}[${i}]`), 0)
+}
+
+// Validate the coordinates of each geometry type, returning the number of vertices
+const COORDINATES_VALIDATORS = {
+  Point: validatePosition,
+  LineString: validateLineString,
+  Polygon: validatePolygon,
+  MultiPoint: members(validatePosition, 'at least one position'),
+  MultiLineString: members(validateLineString, 'at least one line string'),
+  MultiPolygon: members(validatePolygon, 'at least one polygon')
+}
+
+const collectionTooDeep = (name, path) => invalid(
+  name, `GeometryCollections are nested more than ${MAX_COLLECTION_DEPTH} deep at ${path}`
+)
+
+const countVertices = function (name, geometry, path, depth = 0) {
+  if (!isObject(geometry)) {
+    throw invalid(name, `expected a geometry object at ${path}`)
+  }
+  const { type } = geometry
+  if (type === 'GeometryCollection') {
+    if (depth >= MAX_COLLECTION_DEPTH) {
+      throw collectionTooDeep(name, path)
+    }
+    const { geometries } = geometry
+    validateArray(name, geometries, `${path}.geometries`, 1, 'at least one geometry')
+    return geometries.reduce(
+      (n, g, i) => n + countVertices(name, g, `${path}.geometries[${i}]`, depth + 1), 0
+    )
+  }
+  const validate = COORDINATES_VALIDATORS[type]
+  if (!validate) {
+    throw invalid(name, `unknown type ${JSON.stringify(type)} at ${path}`)
+  }
+  return validate(name, geometry.coordinates, `${path}.coordinates`)
+}
+
+// Throws a ValidationError if the geometry isn't valid, the name is that of the parameter
+// it is from
+const validateGeometry = function (geometry, name = 'geometry') {
+  const vertices = countVertices(name, geometry, name)
+  if (vertices > MAX_VERTICES) {
+    throw invalid(name, `it has ${vertices} vertices, more than the maximum of ${MAX_VERTICES}`)
+  }
+  return geometry
+}
+
+// The geometries of a GeometryCollection, with those of nested collections in their place
+const flattenGeometries = function (name, geometries, depth = 0) {
+  if (depth >= MAX_COLLECTION_DEPTH) {
+    throw collectionTooDeep(name, name)
+  }
+  return geometries.flatMap((g) => (
+    isObject(g) && g.type === 'GeometryCollection' && Array.isArray(g.geometries)
+      ? flattenGeometries(name, g.geometries, depth + 1)
+      : [g]
+  ))
+}
+
+// The geometry of a GeoJSON object: a geometry itself, the geometry of a Feature, or the
+// collection of the geometries of the Features in a FeatureCollection
+const geojsonGeometry = function (geojson, name = 'geometry') {
+  if (!isObject(geojson)) {
+    throw new ValidationError(`Invalid ${name}, expected a GeoJSON object`)
+  }
+  let geometries
+  switch (geojson.type) {
+  case 'Feature':
+    if (!isObject(geojson.geometry)) {
+      throw new ValidationError(`Invalid ${name}, expected a Feature with a geometry`)
+    }
+    return geojson.geometry
+  case 'FeatureCollection':
+    if (!Array.isArray(geojson.features)) {
+      throw new ValidationError(`Invalid ${name}, expected a FeatureCollection with features`)
+    }
+    geometries = geojson.features.filter((f) => isObject(f) && isObject(f.geometry))
+      .map((f) => f.geometry)
+    break
+  case 'GeometryCollection':
+    if (!Array.isArray(geojson.geometries)) {
+      return geojson
+    }
+    geometries = geojson.geometries
+    break
+  default:
+    return geojson
+  }
+
+  geometries = flattenGeometries(name, geometries)
+  if (!geometries.length) {
+    throw new ValidationError(`Invalid ${name}, expected at least one geometry`)
+  }
+  return geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries }
+}
+
+const polygon = (west, south, east, north) => (
+  [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+)
+
+// The geometry of a 4 or 6 number bbox, a MultiPolygon of the parts either side of the
+// antimeridian if it crosses it
+const bboxToGeometry = function (bbox) {
+  const [west, south, east, north] = bbox.length === 6
+    ? [bbox[0], bbox[1], bbox[3], bbox[4]]
+    : bbox
+  if (west > east) {
+    return {
+      type: 'MultiPolygon',
+      coordinates: [polygon(west, south, 180, north), polygon(-180, south, east, north)]
+    }
+  }
+  return { type: 'Polygon', coordinates: polygon(west, south, east, north) }
+}
+
+const crosses = (a, b) => Math.abs(b[0] - a[0]) > 180
+
+const crossesAntimeridian = (positions) => (
+  positions.some((position, i) => i > 0 && crosses(positions[i - 1], position))
+)
+
+// The positions with longitudes continuing past ±180 where they cross the antimeridian
+const unwrap = function (positions) {
+  let offset = 0
+  return positions.map((position, i) => {
+    if (i > 0 && crosses(positions[i - 1], position)) {
+      offset += position[0] > positions[i - 1][0] ? -360 : 360
+    }
+    return [position[0] + offset, ...position.slice(1)]
+  })
+}
+
+// The position where the segment from a to b meets a meridian
+const meridianIntersection = function (a, b, longitude) {
+  const t = (longitude - a[0]) / (b[0] - a[0])
+  return [longitude, ...a.slice(1).map((x, i) => x + t * (b[i + 1] - x))]
+}
+
+const shift = (positions, longitude) => positions.map(([x, ...rest]) => [x - longitude, ...rest])
+
+// The parts of an unwrapped line in each 360 degree span of longitude, shifted back into
+// -180 to 180
+const splitLine = function (line) {
+  const parts = []
+  let part = [line[0]]
+  let span = Math.round(line[0][0] / 360)
+  line.slice(1).forEach((position, i) => {
+    const next = Math.round(position[0] / 360)
+    if (next !== span) {
+      const meridian = 360 * Math.max(span, next) - 180
+      const intersection = meridianIntersection(line[i], position, meridian)
+      parts.push(shift([...part, intersection], 360 * span))
+      part = [intersection]
+      span = next
+    }
+    part.push(position)
+  })
+  parts.push(shift(part, 360 * span))
+  return parts.filter((p) => p.length > 1)
+}
+
+// The positions of a ring on the inside of a meridian (Sutherland-Hodgman)
+const clipToMeridian = function (positions, inside, longitude) {
+  return positions.flatMap((position, i) => {
+    const previous = positions[(i + positions.length - 1) % positions.length]
+    if (inside(position)) {
+      return inside(previous)
+        ? [position]
+        : [meridianIntersection(previous, position, longitude), position]
+    }
+    return inside(previous) ? [meridianIntersection(previous, position, longitude)] : []
+  })
+}
+
+// Clips an unwrapped ring to the longitudes from west to east, returning the clipped ring
+// shifted back into -180 to 180, or undefined if nothing of it is left
+const clipRing = function (ring, west, east) {
+  const positions = clipToMeridian(
+    clipToMeridian(ring.slice(0, -1), (p) => p[0] >= west, west),
+    (p) => p[0] <= east,
+    east
+  )
+  if (positions.length < 3 || positions.every((p) => p[0] === positions[0][0])) {
+    return undefined
+  }
+  return shift([...positions, positions[0]], west + 180)
+}
+
+// The polygons of the parts of a polygon in each 360 degree span of longitude
+const splitPolygon = function (coordinates) {
+  const [outer, ...holes] = coordinates.map(unwrap)
+  // holes unwrapped to the same side of the antimeridian as the outer ring
+  const rings = [outer, ...holes.map((hole) => (
+    shift(hole, 360 * Math.round((hole[0][0] - outer[0][0]) / 360))
+  ))]
+  // rings that go around a pole don't close once unwrapped, and can't be split this way
+  if (rings.some((ring) => ring[0][0] !== ring[ring.length - 1][0])) {
+    return [coordinates]
+  }
+  const longitudes = rings.flatMap((ring) => ring.map((p) => p[0]))
+  const first = Math.round(Math.min(...longitudes) / 360)
+  const last = Math.round(Math.max(...longitudes) / 360)
+  const polygons = []
+  for (let span = first; span <= last; span += 1) {
+    const west = 360 * span - 180
+    const [clipped, ...clippedHoles] = rings.map((ring) => clipRing(ring, west, west + 360))
+    if (clipped) {
+      polygons.push([clipped, ...clippedHoles.filter(Boolean)])
+    }
+  }
+  return polygons
+}
+
+// A geometry with any parts that cross the antimeridian split into the parts either side of
+// it, Polygons and LineStrings that cross it become MultiPolygons and MultiLineStrings
+const splitAntimeridian = function (geometry) {
+  const { type, coordinates } = geometry
+  switch (type) {
+  case 'LineString':
+  case 'MultiLineString': {
+    const lines = type === 'LineString' ? [coordinates] : coordinates
+    if (!lines.some(crossesAntimeridian)) {
+      return geometry
+    }
+    return { type: 'MultiLineString', coordinates: lines.flatMap((l) => splitLine(unwrap(l))) }
+  }
+  case 'Polygon':
+  case 'MultiPolygon': {
+    const polygons = type === 'Polygon' ? [coordinates] : coordinates
+    if (!polygons.some((rings) => rings.some(crossesAntimeridian))) {
+      return geometry
+    }
+    return { type: 'MultiPolygon', coordinates: polygons.flatMap(splitPolygon) }
+  }
+  case 'GeometryCollection':
+    return { ...geometry, geometries: geometry.geometries.map(splitAntimeridian) }
+  default:
+    return geometry
+  }
+}
+
+module.exports = {
+  MAX_VERTICES,
+  COORDINATES_DEPTH,
+  validateGeometry,
+  geojsonGeometry,
+  bboxToGeometry,
+  splitAntimeridian
+}
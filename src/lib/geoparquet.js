@@ -0,0 +1,158 @@
+const { Writable } = require('stream')
+const { ParquetSchema, ParquetWriter } = require('parquetjs-lite')
+const { geometryToWkb } = require('./wkb')
+
+/*
+Writes Items as stac-geoparquet (https://github.com/stac-utils/stac-geoparquet), one row per
+Item. The Item properties are flattened into columns, the geometry is WKB encoded and
+described by the GeoParquet `geo` file metadata, and the bbox is a struct column. Links,
+assets and other nested values are JSON columns.
+
+The columns for properties are derived from the Items being written: booleans, numbers and
+strings have their own column types, and the well-known datetime properties are timestamps.
+Properties whose values are of mixed types, objects or arrays are JSON.
+*/
+
+const PARQUET = 'application/vnd.apache.parquet'
+
+const GEOPARQUET_VERSION = '1.0.0'
+
+const ITEM_COLUMNS = {
+  type: { type: 'UTF8', optional: true },
+  stac_version: { type: 'UTF8', optional: true },
+  stac_extensions: { type: 'JSON', optional: true },
+  id: { type: 'UTF8', optional: true },
+  geometry: { type: 'BYTE_ARRAY', optional: true },
+  bbox: {
+    optional: true,
+    fields: {
+      xmin: { type: 'DOUBLE' },
+      ymin: { type: 'DOUBLE' },
+      xmax: { type: 'DOUBLE' },
+      ymax: { type: 'DOUBLE' }
+    }
+  },
+  links: { type: 'JSON', optional: true },
+  assets: { type: 'JSON', optional: true },
+  collection: { type: 'UTF8', optional: true }
+}
+
+const DATETIME_PROPERTIES = ['datetime', 'start_datetime', 'end_datetime', 'created', 'updated']
+
+const isPresent = (value) => value !== undefined && value !== null
+
+// The writer takes an array as the values of a repeated column, so an array that is the value
+// of a JSON column is wrapped in another
+const jsonValue = (value) => (Array.isArray(value) ? [value] : value)
+
+// the column type for the values of a property, timestamps can't be before 1970
+const propertyColumnType = function (name, values) {
+  if (!values.length) return 'UTF8'
+  if (values.every((v) => typeof v === 'boolean')) return 'BOOLEAN'
+  if (values.every((v) => typeof v === 'number')) return 'DOUBLE'
+  if (values.every((v) => typeof v === 'string')) {
+    if (DATETIME_PROPERTIES.includes(name) && values.every((v) => Date.parse(v) >= 0)) {
+      return 'TIMESTAMP_MICROS'
+    }
+    return 'UTF8'
+  }
+  return 'JSON'
+}
+
+// The property columns of a list of Items, in the order the properties are first seen, with
+// properties that have the name of an Item column left out
+const propertyColumns = function (items) {
+  const values = new Map()
+  for (const item of items) {
+    for (const [name, value] of Object.entries(item.properties || {})) {
+      if (!(name in ITEM_COLUMNS)) {
+        if (!values.has(name)) values.set(name, [])
+        if (isPresent(value)) values.get(name).push(value)
+      }
+    }
+  }
+  const columns = {}
+  for (const [name, present] of values) {
+    columns[name] = { type: propertyColumnType(name, present), optional: true }
+  }
+  return columns
+}
+
+const bboxColumn = function (bbox) {
+  if (!Array.isArray(bbox)) return undefined
+  // the 2D extent of a 3D bbox
+  const [xmin, ymin, xmax, ymax] = bbox.length === 6
+    ? [bbox[0], bbox[1], bbox[3], bbox[4]]
+    : bbox
+  return { xmin, ymin, xmax, ymax }
+}
+
+const itemRow = function (item, columns) {
+  const row = {}
+  for (const [name, { type }] of Object.entries(columns)) {
+    const value = item.properties && item.properties[name]
+    if (isPresent(value)) {
+      if (type === 'TIMESTAMP_MICROS') row[name] = new Date(value)
+      else if (type === 'JSON') row[name] = jsonValue(value)
+      else row[name] = value
+    }
+  }
+  return {
+    ...row,
+    type: item.type,
+    stac_version: item.stac_version,
+    stac_extensions: jsonValue(item.stac_extensions),
+    id: item.id,
+    geometry: item.geometry ? geometryToWkb(item.geometry) : undefined,
+    bbox: bboxColumn(item.bbox),
+    links: jsonValue(item.links),
+    assets: item.assets,
+    collection: item.collection
+  }
+}
+
+const geoMetadata = function (items) {
+  const geometryTypes = new Set(
+    items.filter((item) => item.geometry).map((item) => item.geometry.type)
+  )
+  return {
+    version: GEOPARQUET_VERSION,
+    primary_column: 'geometry',
+    columns: {
+      geometry: {
+        encoding: 'WKB',
+        geometry_types: [...geometryTypes]
+      }
+    }
+  }
+}
+
+// Returns a Buffer with the Items as a stac-geoparquet file
+const itemsToParquet = async function (items) {
+  const columns = propertyColumns(items)
+  const schema = new ParquetSchema({ ...ITEM_COLUMNS, ...columns })
+
+  const chunks = []
+  const output = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+
+  const writer = await ParquetWriter.openStream(schema, output)
+  writer.setMetadata('geo', JSON.stringify(geoMetadata(items)))
+  for (const item of items) {
+    // rows are buffered by the writer, and written in row groups
+    // eslint-disable-next-line no-await-in-loop
+    await writer.appendRow(itemRow(item, columns))
+  }
+  await writer.close()
+
+  return Buffer.concat(chunks)
+}
+
+module.exports = {
+  PARQUET,
+  itemsToParquet
+}
@@ -0,0 +1,245 @@
+const { bboxToGeometry } = require('./geometry')
+
+/*
+Renders the catalog, collections and items as HTML pages, for browsing the API in a browser.
+Pages are built from the same responses as the JSON, and navigate with their links. Maps of
+footprints and extents are drawn with Leaflet, loaded from a CDN, over OpenStreetMap tiles.
+*/
+
+const HTML = 'text/html'
+
+const LEAFLET = 'https://unpkg.com/leaflet@1.9.4/dist'
+const TILES = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'
+
+const STYLE = `
+body { font-family: sans-serif; margin: 0 auto; max-width: 1100px; padding: 0 1em; }
+nav { margin: 1em 0; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+th, td { border: 1px solid #ddd; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+#map { height: 400px; margin-bottom: 1em; }
+.paging a { margin-right: 1em; }
+`
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+const escape = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, (c) => ESCAPES[c])
+
+// JSON that can be embedded in a script element
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c')
+
+const displayValue = (value) => (
+  typeof value === 'object' && value !== null ? JSON.stringify(value) : value
+)
+
+// Whether an href is an http(s) or relative URL. Browsers ignore whitespace and control
+// characters in schemes, so they are removed before the scheme is read.
+const isSafeHref = (href) => {
+  const url = [...String(href)].filter((c) => c > ' ').join('')
+  return /^https?:/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url)
+}
+
+// a link, or only its text if the href isn't an http(s) or relative URL, such as a script,
+// as hrefs come from ingested documents
+const anchor = (href, text) => (
+  isSafeHref(href)
+    ? `<a href="${escape(href)}">${escape(text)}</a>`
+    : escape(text)
+)
+
+const findLink = (links, rel) => (links || []).find((link) => link.rel === rel)
+
+// The map of a list of GeoJSON features, fit to their extent
+const map = function (features) {
+  return `<div id="map"></div>
+<script src="${LEAFLET}/leaflet.js"></script>
+<script>
+const map = L.map('map')
+L.tileLayer('${TILES}', {
+  maxZoom: 19,
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+}).addTo(map)
+const features = L.geoJSON(${scriptJson({ type: 'FeatureCollection', features })}, {
+  onEachFeature: (feature, layer) => { if (feature.id) layer.bindTooltip(feature.id) }
+}).addTo(map)
+if (features.getLayers().length) map.fitBounds(features.getBounds())
+else map.setView([0, 0], 1)
+</script>`
+}
+
+const footprint = (item) => ({
+  type: 'Feature',
+  id: item.id,
+  geometry: item.geometry,
+  properties: {}
+})
+
+const bboxFeature = (bbox) => ({
+  type: 'Feature',
+  geometry: bboxToGeometry(bbox),
+  properties: {}
+})
+
+const page = function (title, body, links) {
+  const root = findLink(links, 'root')
+  const nav = root ? `<nav>${anchor(root.href, 'Home')}</nav>` : ''
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(title)}</title>
+<link rel="stylesheet" href="${LEAFLET}/leaflet.css">
+<style>${STYLE}</style>
+</head>
+<body>
+${nav}
+<h1>${escape(title)}</h1>
+${body}
+</body>
+</html>
+`
+}
+
+const table = function (headings, rows) {
+  if (!rows.length) return ''
+  const head = headings.map((h) => `<th>${escape(h)}</th>`).join('')
+  const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join('')}</tr>`)
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body.join('')}</tbody></table>`
+}
+
+// The links of a resource, other than those for paging, which are rendered as navigation
+const linksTable = function (links) {
+  const rows = (links || [])
+    .filter((link) => !['next', 'prev', 'first'].includes(link.rel) && link.method !== 'POST')
+    .map((link) => [
+      escape(link.rel), anchor(link.href, link.title || link.href), escape(link.type)
+    ])
+  return rows.length ? `<h2>Links</h2>${table(['Relation', 'Link', 'Type'], rows)}` : ''
+}
+
+// Navigation to the first, previous and next pages, for GET paging links
+const paging = function (links) {
+  const pages = [['first', 'First'], ['prev', 'Previous'], ['next', 'Next']]
+    .map(([rel, text]) => [findLink(links, rel), text])
+    .filter(([link]) => link && link.method !== 'POST')
+    .map(([link, text]) => anchor(link.href, text))
+  return pages.length ? `<p class="paging">${pages.join('')}</p>` : ''
+}
+
+const propertiesTable = function (properties) {
+  const rows = Object.entries(properties || {})
+    .map(([name, value]) => [escape(name), escape(displayValue(value))])
+  return table(['Property', 'Value'], rows)
+}
+
+const assetsTable = function (assets) {
+  const rows = Object.entries(assets || {}).map(([key, asset]) => [
+    escape(key),
+    escape(asset.title),
+    escape(asset.type),
+    escape((asset.roles || []).join(', ')),
+    anchor(asset.href, 'Download')
+  ])
+  return rows.length
+    ? `<h2>Assets</h2>${table(['Key', 'Title', 'Type', 'Roles', 'Link'], rows)}`
+    : ''
+}
+
+const renderCatalog = function (catalog) {
+  const body = [
+    `<p>${escape(catalog.description)}</p>`,
+    linksTable(catalog.links)
+  ].join('\n')
+  return page(catalog.title || catalog.id, body, catalog.links)
+}
+
+const renderCollections = function (response) {
+  const rows = response.collections.map((collection) => {
+    const self = findLink(collection.links, 'self')
+    return [
+      self ? anchor(self.href, collection.id) : escape(collection.id),
+      escape(collection.title),
+      escape(collection.description)
+    ]
+  })
+  const body = [
+    `<p>${escape(response.numberMatched)} collections</p>`,
+    table(['ID', 'Title', 'Description'], rows),
+    paging(response.links)
+  ].join('\n')
+  return page('Collections', body, response.links)
+}
+
+const renderCollection = function (collection) {
+  const bboxes = (collection.extent && collection.extent.spatial
+    && collection.extent.spatial.bbox) || []
+  const intervals = (collection.extent && collection.extent.temporal
+    && collection.extent.temporal.interval) || []
+  const items = findLink(collection.links, 'items')
+  const body = [
+    `<p>${escape(collection.description)}</p>`,
+    items ? `<p>${anchor(items.href, 'Items')}</p>` : '',
+    bboxes.length ? map(bboxes.slice(0, 1).map(bboxFeature)) : '',
+    table(['License', 'Temporal extent', 'Keywords'], [[
+      escape(collection.license),
+      escape(intervals.length ? intervals[0].map((t) => t || '..').join(' / ') : ''),
+      escape((collection.keywords || []).join(', '))
+    ]]),
+    assetsTable(collection.assets),
+    linksTable(collection.links)
+  ].join('\n')
+  return page(collection.title || collection.id, body, collection.links)
+}
+
+const renderItems = function (featureCollection, title) {
+  const { features, links } = featureCollection
+  const rows = features.map((item) => {
+    const self = findLink(item.links, 'self')
+    const properties = item.properties || {}
+    return [
+      self ? anchor(self.href, item.id) : escape(item.id),
+      escape(item.collection),
+      escape(properties.datetime || properties.start_datetime)
+    ]
+  })
+  const matched = featureCollection.numberMatched === undefined
+    ? ''
+    : ` of ${escape(featureCollection.numberMatched)}`
+  const body = [
+    map(features.filter((item) => item.geometry).map(footprint)),
+    `<p>${escape(featureCollection.numberReturned)}${matched} items</p>`,
+    paging(links),
+    table(['ID', 'Collection', 'Datetime'], rows),
+    paging(links)
+  ].join('\n')
+  return page(title, body, links)
+}
+
+const renderItem = function (item) {
+  const collection = findLink(item.links, 'collection')
+  const body = [
+    collection ? `<p>Collection: ${anchor(collection.href, item.collection)}</p>` : '',
+    item.geometry ? map([footprint(item)]) : '',
+    propertiesTable(item.properties),
+    assetsTable(item.assets),
+    linksTable(item.links)
+  ].join('\n')
+  return page(item.id, body, item.links)
+}
+
+module.exports = {
+  HTML,
+  renderCatalog,
+  renderCollections,
+  renderCollection,
+  renderItems,
+  renderItem
+}
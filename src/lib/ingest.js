@@ -1,8 +1,60 @@
 const { Readable } = require('readable-stream')
 const pump = require('pump')
+const { ValidationError } = require('./errors')
+const { splitAntimeridian } = require('./geometry')
 const logger = console //require('./logger')
 
+// Items must have a datetime, or a start_datetime and end_datetime if their datetime is null,
+// so that they can be found by datetime searches. Throws a ValidationError if not.
+function validateItemDatetime(item) {
+  const properties = item.properties || {}
+  const { datetime, start_datetime: start, end_datetime: end } = properties
+  if (datetime === null || datetime === undefined) {
+    if (!start || !end) {
+      throw new ValidationError(
+        `Item ${item.id} has no datetime, so it must have start_datetime and end_datetime`
+      )
+    }
+  }
+  if (start && end && new Date(start) > new Date(end)) {
+    throw new ValidationError(`Item ${item.id} has a start_datetime after its end_datetime`)
+  }
+}
+
+// Items with geometries that cross the antimeridian are stored with them split into the parts
+// either side of it, which is how OpenSearch indexes the area they cover
+function withSplitGeometry(item) {
+  if (!item || !item.geometry) {
+    return item
+  }
+  try {
+    return { ...item, geometry: splitAntimeridian(item.geometry) }
+  } catch (error) {
+    // a malformed geometry is left as it is, to be rejected by the database
+    return item
+  }
+}
+
+// Collections and valid Items, invalid Items are logged and skipped
+function validEntities(items) {
+  return items.filter((item) => {
+    if (!item || !item.hasOwnProperty('properties')) {
+      return true
+    }
+    try {
+      validateItemDatetime(item)
+      return true
+    } catch (error) {
+      logger.error(`Not ingesting item: ${error.message}`)
+      return false
+    }
+  })
+}
+
 async function ingestItem(item, stream) {
+  if (item.hasOwnProperty('properties')) {
+    validateItemDatetime(item)
+  }
   const readable = new Readable({ objectMode: true })
   const { toDB, dbStream } = await stream()
   const promise = new Promise((resolve, reject) => {
@@ -21,7 +73,7 @@ async function ingestItem(item, stream) {
       }
     )
   })
-  readable.push(item)
+  readable.push(withSplitGeometry(item))
   readable.push(null)
   return promise
 }
@@ -45,9 +97,9 @@ async function ingestItems(items, stream) {
       }
     )
   })
-  items.forEach((item) => readable.push(item))
+  validEntities(items).forEach((item) => readable.push(withSplitGeometry(item)))
   readable.push(null)
   return promise
 }
 
-module.exports = { ingestItem, ingestItems }
+module.exports = { ingestItem, ingestItems, validateItemDatetime, withSplitGeometry }
@@ -0,0 +1,139 @@
+const { geometryToWkt } = require('./wkt')
+
+/*
+Formats of Items other than GeoJSON, for desktop GIS and other tools that don't read STAC:
+
+- CSV, a row for each Item with the id, collection, properties and the geometry as WKT in a
+  `wkt` column. Property values that are objects or arrays are JSON.
+- GeoJSON text sequences (RFC 8142), each Item preceded by a record separator.
+- KML, a Placemark for each Item with its properties as ExtendedData.
+*/
+
+const CSV = 'text/csv'
+const GEOJSON_SEQ = 'application/geo+json-seq'
+const KML = 'application/vnd.google-earth.kml+xml'
+
+const RECORD_SEPARATOR = '\x1e'
+
+const isPresent = (value) => value !== undefined && value !== null
+
+const textValue = function (value) {
+  if (!isPresent(value)) return ''
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// The names of the properties of a list of Items, in the order they are first seen
+const propertyNames = function (items) {
+  const names = new Set()
+  for (const item of items) {
+    Object.keys(item.properties || {}).forEach((name) => names.add(name))
+  }
+  return [...names]
+}
+
+const csvField = function (value) {
+  const text = textValue(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvRow = (fields) => `${fields.map(csvField).join(',')}\r\n`
+
+const itemsToCsv = function (items) {
+  const names = propertyNames(items)
+  const rows = [csvRow(['id', 'collection', ...names, 'wkt'])]
+  for (const item of items) {
+    const properties = item.properties || {}
+    rows.push(csvRow([
+      item.id,
+      item.collection,
+      ...names.map((name) => properties[name]),
+      item.geometry ? geometryToWkt(item.geometry) : undefined
+    ]))
+  }
+  return rows.join('')
+}
+
+const itemsToGeojsonSeq = (items) => (
+  items.map((item) => `${RECORD_SEPARATOR}${JSON.stringify(item)}\n`).join('')
+)
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+}
+
+const escapeXml = (text) => text.replace(/[&<>"']/g, (c) => XML_ESCAPES[c])
+
+const kmlCoordinates = (positions) => (
+  `<coordinates>${positions.map((p) => p.join(',')).join(' ')}</coordinates>`
+)
+
+const kmlRing = (ring) => `<LinearRing>${kmlCoordinates(ring)}</LinearRing>`
+
+const kmlPolygon = function ([outer, ...inner]) {
+  const outerBoundary = `<outerBoundaryIs>${kmlRing(outer)}</outerBoundaryIs>`
+  const innerBoundaries = inner.map((ring) => `<innerBoundaryIs>${kmlRing(ring)}</innerBoundaryIs>`)
+  return `<Polygon>${outerBoundary}${innerBoundaries.join('')}</Polygon>`
+}
+
+const kmlGeometry = function (geometry) {
+  const { type, coordinates, geometries } = geometry
+  switch (type) {
+  case 'Point':
+    return `<Point>${kmlCoordinates([coordinates])}</Point>`
+  case 'LineString':
+    return `<LineString>${kmlCoordinates(coordinates)}</LineString>`
+  case 'Polygon':
+    return kmlPolygon(coordinates)
+  case 'MultiPoint':
+  case 'MultiLineString':
+  case 'MultiPolygon': {
+    const memberType = type.replace('Multi', '')
+    const members = coordinates.map((c) => kmlGeometry({ type: memberType, coordinates: c }))
+    return `<MultiGeometry>${members.join('')}</MultiGeometry>`
+  }
+  case 'GeometryCollection':
+    return `<MultiGeometry>${geometries.map(kmlGeometry).join('')}</MultiGeometry>`
+  default:
+    throw new Error(`Unsupported geometry type ${type}`)
+  }
+}
+
+const kmlPlacemark = function (item) {
+  const data = [['collection', item.collection], ...Object.entries(item.properties || {})]
+    .filter(([, value]) => isPresent(value))
+    .map(([name, value]) => (
+      `<Data name="${escapeXml(name)}"><value>${escapeXml(textValue(value))}</value></Data>`
+    ))
+  return [
+    '<Placemark>',
+    `<name>${escapeXml(textValue(item.id))}</name>`,
+    `<ExtendedData>${data.join('')}</ExtendedData>`,
+    item.geometry ? kmlGeometry(item.geometry) : '',
+    '</Placemark>'
+  ].join('')
+}
+
+const itemsToKml = function (items) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    ...items.map(kmlPlacemark),
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+module.exports = {
+  CSV,
+  GEOJSON_SEQ,
+  KML,
+  itemsToCsv,
+  itemsToGeojsonSeq,
+  itemsToKml
+}
@@ -0,0 +1,89 @@
+const crypto = require('crypto')
+const { ValidationError } = require('./errors')
+const logger = console
+
+/*
+Pagination tokens are opaque to clients. A token carries the sort values of the record a
+page starts after (or before), as used for search_after, and optionally the id of the
+point in time the results are paged from. The payload is base64url encoded JSON, followed
+by an HMAC-SHA256 signature, so that tokens can be passed in a URL as they are and tokens
+that were not issued by this server are rejected.
+*/
+
+const DEFAULT_SECRET = 'stac-server-pagination'
+
+let warnedDefaultSecret = false
+
+const secret = function () {
+  const configured = process.env.PAGINATION_TOKEN_SECRET
+  if (configured) {
+    return configured
+  }
+  if (!warnedDefaultSecret) {
+    logger.warn('PAGINATION_TOKEN_SECRET is not set, pagination tokens use a default secret')
+    warnedDefaultSecret = true
+  }
+  return DEFAULT_SECRET
+}
+
+const sign = (payload) => crypto.createHmac('sha256', secret()).update(payload).digest()
+
+const invalidToken = () => new ValidationError('Invalid pagination token')
+
+const encodePaginationToken = function ({ searchAfter, pit }) {
+  const payload = Buffer.from(JSON.stringify({ searchAfter, pit })).toString('base64url')
+  return `${payload}.${sign(payload).toString('base64url')}`
+}
+
+// Returns the searchAfter and pit of a token, throws a ValidationError if it is invalid
+const decodePaginationToken = function (token) {
+  const [payload, signature, ...rest] = String(token).split('.')
+  if (!payload || !signature || rest.length) {
+    throw invalidToken()
+  }
+
+  const expected = sign(payload)
+  const actual = Buffer.from(signature, 'base64url')
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalidToken()
+  }
+
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(payload, 'base64url').toString())
+  } catch (e) {
+    throw invalidToken()
+  }
+  const { searchAfter, pit } = decoded || {}
+  if (!Array.isArray(searchAfter) || !searchAfter.length
+      || (pit !== undefined && typeof pit !== 'string')) {
+    throw invalidToken()
+  }
+  return { searchAfter, pit }
+}
+
+// The tokens of the pages after and before a page of results, or undefined if there is no
+// such page. The request is paged by its next or prev token, or is for the first page, and
+// the results have the sort values of their first and last records, whether more records
+// were found past the page, and the point in time they are from, if any. Paging backwards,
+// there is always a next page, and a previous page if more were found.
+const adjacentPageTokens = function ({ next, prev }, {
+  hasMore, firstSortValues, lastSortValues, pit
+}) {
+  const hasNext = prev ? Boolean(lastSortValues) : hasMore
+  const hasPrev = prev ? hasMore : Boolean(next)
+  return {
+    next: hasNext && lastSortValues
+      ? encodePaginationToken({ searchAfter: lastSortValues, pit })
+      : undefined,
+    prev: hasPrev && firstSortValues
+      ? encodePaginationToken({ searchAfter: firstSortValues, pit })
+      : undefined
+  }
+}
+
+module.exports = {
+  encodePaginationToken,
+  decodePaginationToken,
+  adjacentPageTokens
+}
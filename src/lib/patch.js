@@ -0,0 +1,177 @@
+const { cloneDeep, isEqual } = require('lodash')
+const { ValidationError, ConflictError } = require('./errors')
+
+/*
+Patches of JSON documents, for PATCH requests:
+
+- JSON Merge Patch (RFC 7396), a document of the members to change, where objects are merged,
+  null removes a member, and other values replace the existing ones.
+- JSON Patch (RFC 6902), a list of operations (add, remove, replace, move, copy and test) on
+  the values at JSON Pointers (RFC 6901). The operations are applied in order, and all of them
+  or none of them are applied.
+*/
+
+const MERGE_PATCH = 'application/merge-patch+json'
+const JSON_PATCH = 'application/json-patch+json'
+
+const isObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x)
+
+const mergePatch = function (target, patch) {
+  if (!isObject(patch)) {
+    return patch
+  }
+  const result = isObject(target) ? { ...target } : {}
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = mergePatch(result[key], value)
+    }
+  }
+  return result
+}
+
+const invalid = (i, message) => new ValidationError(
+  `Invalid JSON Patch operation ${i}, ${message}`
+)
+
+// The reference tokens of a JSON Pointer
+const parsePointer = function (i, pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw invalid(i, `${JSON.stringify(pointer)} is not a JSON Pointer`)
+  }
+  if (/~[^01]|~$/.test(pointer)) {
+    throw invalid(i, `${pointer} has an invalid escape`)
+  }
+  return pointer.split('/').slice(1)
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+const isIndex = (token) => /^(0|[1-9]\d*)$/.test(token)
+
+const hasMember = (value, token) => (
+  Array.isArray(value)
+    ? isIndex(token) && Number(token) < value.length
+    : isObject(value) && Object.prototype.hasOwnProperty.call(value, token)
+)
+
+// The value at the tokens of a pointer, which must exist
+const valueAt = function (i, document, tokens, pointer) {
+  return tokens.reduce((value, token) => {
+    if (!hasMember(value, token)) {
+      throw invalid(i, `there is no value at ${pointer}`)
+    }
+    return value[token]
+  }, document)
+}
+
+// The parent of the value at a pointer, and the last token of the pointer
+const parentOf = function (i, document, tokens, pointer) {
+  const parent = valueAt(i, document, tokens.slice(0, -1), pointer)
+  if (!isObject(parent) && !Array.isArray(parent)) {
+    throw invalid(i, `the parent of ${pointer} is not an object or array`)
+  }
+  return [parent, tokens[tokens.length - 1]]
+}
+
+// Each of these returns the document with the operation applied, modifying it in place
+const add = function (i, document, tokens, pointer, value) {
+  if (!tokens.length) {
+    return value
+  }
+  const [parent, token] = parentOf(i, document, tokens, pointer)
+  if (Array.isArray(parent)) {
+    if (token !== '-' && !(isIndex(token) && Number(token) <= parent.length)) {
+      throw invalid(i, `${pointer} is not an index of the array`)
+    }
+    parent.splice(token === '-' ? parent.length : Number(token), 0, value)
+  } else {
+    parent[token] = value
+  }
+  return document
+}
+
+const remove = function (i, document, tokens, pointer) {
+  if (!tokens.length) {
+    throw invalid(i, 'the whole document can\'t be removed')
+  }
+  const [parent, token] = parentOf(i, document, tokens, pointer)
+  if (!hasMember(parent, token)) {
+    throw invalid(i, `there is no value at ${pointer}`)
+  }
+  if (Array.isArray(parent)) {
+    parent.splice(Number(token), 1)
+  } else {
+    delete parent[token]
+  }
+  return document
+}
+
+const replace = function (i, document, tokens, pointer, value) {
+  if (!tokens.length) {
+    return value
+  }
+  const [parent, token] = parentOf(i, document, tokens, pointer)
+  if (!hasMember(parent, token)) {
+    throw invalid(i, `there is no value at ${pointer}`)
+  }
+  parent[token] = value
+  return document
+}
+
+const applyOperation = function (document, operation, i) {
+  if (!isObject(operation)) {
+    throw invalid(i, 'expected an object')
+  }
+  const { op, path } = operation
+  const tokens = parsePointer(i, path)
+  const needsValue = ['add', 'replace', 'test'].includes(op)
+  if (needsValue && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+    throw invalid(i, `${op} requires a value`)
+  }
+  const { value } = operation
+
+  switch (op) {
+  case 'add':
+    return add(i, document, tokens, path, cloneDeep(value))
+  case 'remove':
+    return remove(i, document, tokens, path)
+  case 'replace':
+    return replace(i, document, tokens, path, cloneDeep(value))
+  case 'move':
+  case 'copy': {
+    const fromTokens = parsePointer(i, operation.from)
+    const moved = valueAt(i, document, fromTokens, operation.from)
+    if (op === 'copy') {
+      return add(i, document, tokens, path, cloneDeep(moved))
+    }
+    if (path.startsWith(`${operation.from}/`)) {
+      throw invalid(i, `${operation.from} can't be moved into one of its children`)
+    }
+    return add(i, remove(i, document, fromTokens, operation.from), tokens, path, moved)
+  }
+  case 'test':
+    if (!isEqual(valueAt(i, document, tokens, path), value)) {
+      throw new ConflictError(`JSON Patch operation ${i} failed, the value at ${path} differs`)
+    }
+    return document
+  default:
+    throw invalid(i, `unknown op ${JSON.stringify(op)}`)
+  }
+}
+
+// Applies the operations to a copy of the document, throws a ValidationError if an operation
+// is invalid, or a ConflictError if a test operation fails
+const jsonPatch = function (document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new ValidationError('Invalid JSON Patch, expected an array of operations')
+  }
+  return operations.reduce(applyOperation, cloneDeep(document))
+}
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  mergePatch,
+  jsonPatch
+}
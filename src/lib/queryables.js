@@ -0,0 +1,125 @@
+/*
+Derives the queryables (the properties that can be used in filter expressions) and the
+sortables (the properties that can be used in sortby) from the mappings of the indices that
+contain Items. Item properties are named without the `properties.` prefix, as they are in
+filter expressions.
+*/
+
+const GEOMETRY_SCHEMA = { $ref: 'https://geojson.org/schema/Geometry.json' }
+
+// JSON Schema types for the mapping field types
+const FIELD_TYPE_SCHEMAS = {
+  keyword: { type: 'string' },
+  constant_keyword: { type: 'string' },
+  wildcard: { type: 'string' },
+  text: { type: 'string' },
+  date: { type: 'string', format: 'date-time' },
+  date_nanos: { type: 'string', format: 'date-time' },
+  boolean: { type: 'boolean' },
+  long: { type: 'integer' },
+  integer: { type: 'integer' },
+  short: { type: 'integer' },
+  byte: { type: 'integer' },
+  unsigned_long: { type: 'integer' },
+  double: { type: 'number' },
+  float: { type: 'number' },
+  half_float: { type: 'number' },
+  scaled_float: { type: 'number' },
+  geo_shape: GEOMETRY_SCHEMA,
+  geo_point: { $ref: 'https://geojson.org/schema/Point.json' }
+}
+
+// the mapping field types that can be sorted on, text and geo fields can't be
+const SORTABLE_FIELD_TYPES = [
+  'keyword', 'constant_keyword', 'date', 'date_nanos', 'boolean', 'long', 'integer', 'short',
+  'byte', 'unsigned_long', 'double', 'float', 'half_float', 'scaled_float'
+]
+
+// Descriptions for the fields every Item has
+const WELL_KNOWN_QUERYABLES = {
+  id: {
+    title: 'Item ID',
+    description: 'Item identifier',
+    type: 'string'
+  },
+  collection: {
+    title: 'Collection ID',
+    description: 'ID of the Collection this Item belongs to',
+    type: 'string'
+  },
+  geometry: {
+    title: 'Item Geometry',
+    description: 'Item footprint',
+    ...GEOMETRY_SCHEMA
+  },
+  datetime: {
+    title: 'Acquired',
+    description: 'Datetime of the Item',
+    type: 'string',
+    format: 'date-time'
+  }
+}
+
+// the top-level Item fields that are queryable
+const TOP_LEVEL_QUERYABLES = ['id', 'collection', 'geometry']
+
+const fieldSchema = function (name, field, fieldTypes) {
+  const schema = FIELD_TYPE_SCHEMAS[field.type]
+  if (!schema || !fieldTypes.includes(field.type)) return undefined
+  return { ...schema, ...WELL_KNOWN_QUERYABLES[name] }
+}
+
+// Adds the schemas for the fields of a mapping object, recursing into objects
+const addFieldSchemas = function (schemas, fields, fieldTypes, prefix = '') {
+  for (const [name, field] of Object.entries(fields || {})) {
+    const fullName = `${prefix}${name}`
+    if (field.properties) {
+      if (field.enabled !== false) {
+        addFieldSchemas(schemas, field.properties, fieldTypes, `${fullName}.`)
+      }
+    } else if (!schemas[fullName]) {
+      const schema = fieldSchema(fullName, field, fieldTypes)
+      if (schema) {
+        schemas[fullName] = schema
+      }
+    }
+  }
+  return schemas
+}
+
+// Builds JSON Schema properties for the fields of the given types from a list of Item index
+// mappings
+const schemasFromMappings = function (mappings, fieldTypes) {
+  const schemas = {}
+  for (const mapping of mappings) {
+    const fields = mapping.properties || {}
+    for (const name of TOP_LEVEL_QUERYABLES) {
+      if (fields[name] && !schemas[name]) {
+        const schema = fieldSchema(name, fields[name], fieldTypes)
+        if (schema) schemas[name] = schema
+      }
+    }
+    if (fields.properties) {
+      addFieldSchemas(schemas, fields.properties.properties, fieldTypes)
+    }
+  }
+  return schemas
+}
+
+const queryablesFromMappings = (mappings) => (
+  schemasFromMappings(mappings, Object.keys(FIELD_TYPE_SCHEMAS))
+)
+
+const sortablesFromMappings = (mappings) => schemasFromMappings(mappings, SORTABLE_FIELD_TYPES)
+
+// The names of the fields of an index mapping that can be sorted on, such as those of the
+// collections index
+const sortableFields = (mapping) => (
+  Object.keys(addFieldSchemas({}, mapping.properties, SORTABLE_FIELD_TYPES))
+)
+
+module.exports = {
+  queryablesFromMappings,
+  sortablesFromMappings,
+  sortableFields
+}
@@ -0,0 +1,88 @@
+const geojsonvt = require('geojson-vt')
+const vtpbf = require('vt-pbf')
+const { ValidationError } = require('./errors')
+
+/*
+Encodes Item footprints as Mapbox Vector Tiles (MVT), for drawing coverage on web maps. Tiles
+are addressed by zoom, column and row in the Web Mercator tiling scheme used by web maps, with
+the origin at the top left. Each tile has a single `items` layer, with a feature for each Item
+that has the Item id, collection and some properties as attributes.
+*/
+
+const MVT = 'application/vnd.mapbox-vector-tile'
+
+const LAYER = 'items'
+const EXTENT = 4096
+const BUFFER = 64
+const MAX_ZOOM = 24
+
+const isInteger = (value) => /^\d+$/.test(String(value))
+
+// The zoom, column and row of a tile, as numbers, throws a ValidationError if it isn't a tile
+const parseTile = function ({ z, x, y }) {
+  if (![z, x, y].every(isInteger)) {
+    throw new ValidationError('Invalid tile, expected integer zoom, column and row')
+  }
+  const [zoom, column, row] = [z, x, y].map(Number)
+  const size = 2 ** zoom
+  if (zoom > MAX_ZOOM || column >= size || row >= size) {
+    throw new ValidationError(`Invalid tile ${zoom}/${column}/${row}`)
+  }
+  return { z: zoom, x: column, y: row }
+}
+
+const tileLongitude = (x, z) => (x / 2 ** z) * 360 - 180
+
+const tileLatitude = (y, z) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * y) / 2 ** z))) * 180)
+  / Math.PI
+
+// The polygon of the extent of a tile, in longitude and latitude
+const tilePolygon = function ({ z, x, y }) {
+  const west = tileLongitude(x, z)
+  const east = tileLongitude(x + 1, z)
+  const north = tileLatitude(y, z)
+  const south = tileLatitude(y + 1, z)
+  return {
+    type: 'Polygon',
+    coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+  }
+}
+
+// tile attributes can only be strings, numbers and booleans
+const attributeValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : value)
+
+const footprint = function (item, propertyNames) {
+  const properties = { id: item.id, collection: item.collection }
+  for (const name of propertyNames) {
+    const value = item.properties && item.properties[name]
+    if (value !== undefined && value !== null) {
+      properties[name] = attributeValue(value)
+    }
+  }
+  return { type: 'Feature', geometry: item.geometry, properties }
+}
+
+// Returns the tile with the footprints of the Items as a Buffer, or null if none of them are
+// in the tile
+const itemsToTile = function (items, { z, x, y }, propertyNames) {
+  const features = items.filter((item) => item.geometry)
+    .map((item) => footprint(item, propertyNames))
+  const index = geojsonvt({ type: 'FeatureCollection', features }, {
+    maxZoom: z,
+    indexMaxZoom: 0,
+    extent: EXTENT,
+    buffer: BUFFER
+  })
+  const tile = index.getTile(z, x, y)
+  if (!tile || !tile.features.length) {
+    return null
+  }
+  return Buffer.from(vtpbf.fromGeojsonVt({ [LAYER]: tile }, { version: 2, extent: EXTENT }))
+}
+
+module.exports = {
+  MVT,
+  parseTile,
+  tilePolygon,
+  itemsToTile
+}
@@ -0,0 +1,88 @@
+/*
+Encodes GeoJSON geometries as Well-Known Binary (WKB), little endian, with the ISO type codes
+for geometries that have Z coordinates.
+*/
+
+const TYPE_CODES = {
+  Point: 1,
+  LineString: 2,
+  Polygon: 3,
+  MultiPoint: 4,
+  MultiLineString: 5,
+  MultiPolygon: 6,
+  GeometryCollection: 7
+}
+
+const Z_OFFSET = 1000
+
+const firstPosition = (coordinates) => (
+  Array.isArray(coordinates[0]) ? firstPosition(coordinates[0]) : coordinates
+)
+
+const hasZ = (coordinates) => firstPosition(coordinates).length > 2
+
+const header = function (type, z) {
+  const buffer = Buffer.alloc(5)
+  buffer.writeUInt8(1, 0)
+  buffer.writeUInt32LE(TYPE_CODES[type] + (z ? Z_OFFSET : 0), 1)
+  return buffer
+}
+
+const uint32 = function (value) {
+  const buffer = Buffer.alloc(4)
+  buffer.writeUInt32LE(value, 0)
+  return buffer
+}
+
+const positions = function (list, z) {
+  const dimensions = z ? 3 : 2
+  const buffer = Buffer.alloc(list.length * dimensions * 8)
+  list.forEach((position, i) => {
+    for (let d = 0; d < dimensions; d += 1) {
+      const value = position[d]
+      buffer.writeDoubleLE(value === undefined ? 0 : value, (i * dimensions + d) * 8)
+    }
+  })
+  return buffer
+}
+
+const positionList = (list, z) => Buffer.concat([uint32(list.length), positions(list, z)])
+
+const encode = function (geometry, parts) {
+  const { type, coordinates, geometries } = geometry
+  if (!(type in TYPE_CODES)) {
+    throw new Error(`Unsupported geometry type ${type}`)
+  }
+  const z = type !== 'GeometryCollection' && hasZ(coordinates)
+  parts.push(header(type, z))
+
+  switch (type) {
+  case 'Point':
+    // an empty point has NaN coordinates
+    parts.push(positions([coordinates.length ? coordinates : [NaN, NaN]], z))
+    break
+  case 'LineString':
+    parts.push(positionList(coordinates, z))
+    break
+  case 'Polygon':
+    parts.push(uint32(coordinates.length))
+    coordinates.forEach((ring) => parts.push(positionList(ring, z)))
+    break
+  case 'GeometryCollection':
+    parts.push(uint32(geometries.length))
+    geometries.forEach((g) => encode(g, parts))
+    break
+  default: {
+    const memberType = type.replace('Multi', '')
+    parts.push(uint32(coordinates.length))
+    coordinates.forEach((c) => encode({ type: memberType, coordinates: c }, parts))
+  }
+  }
+  return parts
+}
+
+const geometryToWkb = (geometry) => Buffer.concat(encode(geometry, []))
+
+module.exports = {
+  geometryToWkb
+}
@@ -0,0 +1,54 @@
+const { COORDINATES_DEPTH } = require('./geometry')
+
+/*
+Encodes GeoJSON geometries as Well-Known Text (WKT), with a Z for geometries that have Z
+coordinates.
+*/
+
+const WKT_TYPES = {
+  Point: 'POINT',
+  LineString: 'LINESTRING',
+  Polygon: 'POLYGON',
+  MultiPoint: 'MULTIPOINT',
+  MultiLineString: 'MULTILINESTRING',
+  MultiPolygon: 'MULTIPOLYGON',
+  GeometryCollection: 'GEOMETRYCOLLECTION'
+}
+
+const firstPosition = (coordinates) => (
+  Array.isArray(coordinates[0]) ? firstPosition(coordinates[0]) : coordinates
+)
+
+const position = (p, z) => (z ? p.slice(0, 3) : p.slice(0, 2)).join(' ')
+
+const coordinatesText = function (coordinates, depth, z) {
+  if (depth === 0) return position(coordinates, z)
+  return `(${coordinates.map((c) => coordinatesText(c, depth - 1, z)).join(', ')})`
+}
+
+const geometryToWkt = function (geometry) {
+  const { type, coordinates, geometries } = geometry
+  const wktType = WKT_TYPES[type]
+  if (!wktType) {
+    throw new Error(`Unsupported geometry type ${type}`)
+  }
+  if (type === 'GeometryCollection') {
+    return geometries.length
+      ? `${wktType} (${geometries.map(geometryToWkt).join(', ')})`
+      : `${wktType} EMPTY`
+  }
+  if (!coordinates.length) {
+    return `${wktType} EMPTY`
+  }
+  const z = firstPosition(coordinates).length > 2
+  const depth = COORDINATES_DEPTH[type]
+  // a point has its position in parentheses like the members of other geometries
+  const text = depth === 0
+    ? `(${position(coordinates, z)})`
+    : coordinatesText(coordinates, depth, z)
+  return `${wktType}${z ? ' Z' : ''} ${text}`
+}
+
+module.exports = {
+  geometryToWkt
+}
@@ -0,0 +1,120 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  t.context.item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { collection: t.context.collectionId }
+  )
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('POST /collections/:collectionId/bulk_items creates items', async (t) => {
+  const { collectionId, item } = t.context
+  const ids = [randomId('item'), randomId('item')]
+
+  const response = await t.context.api.client.post(
+    `collections/${collectionId}/bulk_items`,
+    { json: { items: Object.fromEntries(ids.map((id) => [id, { ...item, id }])) } }
+  )
+
+  t.is(response.created, 2)
+  t.deepEqual(response.items, ids.map((id) => ({ id, status: 'created' })))
+
+  await refreshIndices()
+
+  const fetched = await t.context.api.client.get(`collections/${collectionId}/items/${ids[0]}`)
+  t.is(fetched.id, ids[0])
+})
+
+test('POST /collections/:collectionId/bulk_items reports conflicts and invalid items', async (t) => {
+  const { collectionId, item } = t.context
+  const [existing, invalid, created] = [randomId('item'), randomId('item'), randomId('item')]
+
+  await t.context.api.client.post(
+    `collections/${collectionId}/bulk_items`,
+    { json: { items: [{ ...item, id: existing }] } }
+  )
+
+  const response = await t.context.api.client.post(
+    `collections/${collectionId}/bulk_items`,
+    {
+      json: {
+        items: [
+          { ...item, id: existing },
+          { ...item, id: invalid, properties: { ...item.properties, datetime: null } },
+          { ...item, id: created }
+        ]
+      }
+    }
+  )
+
+  t.deepEqual(response.items.map((i) => i.status), ['conflict', 'invalid', 'created'])
+})
+
+test('POST /collections/:collectionId/bulk_items with upsert replaces items', async (t) => {
+  const { collectionId, item } = t.context
+  const id = randomId('item')
+
+  await t.context.api.client.post(
+    `collections/${collectionId}/bulk_items`,
+    { json: { items: [{ ...item, id }] } }
+  )
+  await refreshIndices()
+  const original = await t.context.api.client.get(`collections/${collectionId}/items/${id}`)
+
+  const response = await t.context.api.client.post(
+    `collections/${collectionId}/bulk_items`,
+    {
+      json: {
+        items: [{ ...item, id, properties: { ...item.properties, foo: 'bar' } }],
+        method: 'upsert'
+      }
+    }
+  )
+
+  t.deepEqual(response.items, [{ id, status: 'updated' }])
+
+  await refreshIndices()
+
+  const updated = await t.context.api.client.get(`collections/${collectionId}/items/${id}`)
+  t.is(updated.properties.foo, 'bar')
+  t.is(updated.properties.created, original.properties.created)
+})
+
+test('POST /collections/:collectionId/bulk_items for a non-existent collection returns Not Found', async (t) => {
+  const response = await t.context.api.client.post(
+    `collections/${randomId('collection')}/bulk_items`,
+    {
+      json: { items: [t.context.item] },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+
+  t.is(response.statusCode, 404)
+})
@@ -0,0 +1,122 @@
+const test = require('ava')
+const { connect } = require('../../src/lib/databaseClient')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+const indexExists = async (index) => {
+  const client = await connect()
+  // @ts-expect-error client can be of two types with the same API
+  const response = await client.indices.exists({ index })
+  return response.body
+}
+
+const ingestCollectionWithItem = async (t) => {
+  const collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: randomId('item'), collection: collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item
+  })
+
+  return collectionId
+}
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('DELETE /collections/:collectionId with items returns Conflict', async (t) => {
+  const collectionId = await ingestCollectionWithItem(t)
+
+  const response = await t.context.api.client.delete(
+    `collections/${collectionId}`,
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+
+  t.is(response.statusCode, 409)
+  t.is(response.body.code, 'Conflict')
+
+  const collection = await t.context.api.client.get(`collections/${collectionId}`)
+  t.is(collection.id, collectionId)
+})
+
+test('DELETE /collections/:collectionId with cascade deletes the items', async (t) => {
+  const collectionId = await ingestCollectionWithItem(t)
+
+  const response = await t.context.api.client.delete(
+    `collections/${collectionId}`,
+    { searchParams: { cascade: 'true' }, resolveBodyOnly: false }
+  )
+
+  t.is(response.statusCode, 204)
+  t.is(response.body, '')
+
+  await refreshIndices()
+
+  const collection = await t.context.api.client.get(
+    `collections/${collectionId}`,
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+  t.is(collection.statusCode, 404)
+
+  const items = await t.context.api.client.get(
+    `collections/${collectionId}/items`,
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+  t.is(items.statusCode, 404)
+  t.false(await indexExists(collectionId))
+})
+
+test('DELETE /collections/:collectionId with cascade and retain_index keeps the index', async (t) => {
+  const collectionId = await ingestCollectionWithItem(t)
+
+  const response = await t.context.api.client.delete(
+    `collections/${collectionId}`,
+    { searchParams: { cascade: 'true', retain_index: 'true' }, resolveBodyOnly: false }
+  )
+
+  t.is(response.statusCode, 204)
+
+  await refreshIndices()
+
+  const search = await t.context.api.client.post('search', {
+    json: { collections: [collectionId] }
+  })
+  t.is(search.features.length, 0)
+  t.true(await indexExists(collectionId))
+})
+
+test('DELETE /collections/:collectionId for a non-existent id returns Not Found', async (t) => {
+  const response = await t.context.api.client.delete(
+    `collections/${randomId('collection')}`,
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+
+  t.is(response.statusCode, 404)
+})
@@ -0,0 +1,70 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('PATCH /collections/:collectionId', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.patch(
+    `collections/${collectionId}`,
+    {
+      json: {
+        title: 'Patched',
+        keywords: ['patched'],
+        extent: { temporal: { interval: [['2020-01-01T00:00:00Z', null]] } }
+      },
+      resolveBodyOnly: false
+    }
+  )
+
+  t.is(response.statusCode, 204)
+
+  await refreshIndices()
+
+  const patched = await t.context.api.client.get(`collections/${collectionId}`)
+  t.is(patched.title, 'Patched')
+  t.deepEqual(patched.keywords, ['patched'])
+  t.deepEqual(patched.extent.temporal.interval, [['2020-01-01T00:00:00Z', null]])
+  // fields that aren't given are kept
+  t.truthy(patched.extent.spatial)
+  t.truthy(patched.description)
+})
+
+test('PATCH /collections/:collectionId for a non-existent id returns Not Found', async (t) => {
+  const response = await t.context.api.client.patch(
+    `collections/${randomId('collection')}`,
+    {
+      json: { title: 'Patched' },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+
+  t.is(response.statusCode, 404)
+})
@@ -0,0 +1,81 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  t.context.collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: t.context.collection
+  })
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('PUT /collections/:collectionId', async (t) => {
+  const { collectionId, collection } = t.context
+
+  const response = await t.context.api.client.put(
+    `collections/${collectionId}`,
+    {
+      json: { ...collection, title: 'Replaced', extent: undefined, license: 'MIT' },
+      resolveBodyOnly: false
+    }
+  )
+
+  t.is(response.statusCode, 204)
+
+  await refreshIndices()
+
+  const updated = await t.context.api.client.get(`collections/${collectionId}`)
+  t.is(updated.title, 'Replaced')
+  t.is(updated.license, 'MIT')
+  t.is(updated.extent, undefined)
+})
+
+test('PUT /collections/:collectionId for a non-existent id returns Not Found', async (t) => {
+  const { collection } = t.context
+  const collectionId = randomId('collection')
+
+  const response = await t.context.api.client.put(
+    `collections/${collectionId}`,
+    {
+      json: { ...collection, id: collectionId },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+
+  t.is(response.statusCode, 404)
+})
+
+test('PUT /collections/:collectionId with a different id in the body returns Bad Request', async (t) => {
+  const { collectionId, collection } = t.context
+
+  const response = await t.context.api.client.put(
+    `collections/${collectionId}`,
+    {
+      json: { ...collection, id: randomId('collection') },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+
+  t.is(response.statusCode, 400)
+})
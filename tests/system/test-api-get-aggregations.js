@@ -0,0 +1,146 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    {
+      id: t.context.collectionId,
+      aggregations: [
+        { name: 'total_count', data_type: 'integer' },
+        { name: 'datetime_min', data_type: 'datetime' },
+        { name: 'platform_frequency', data_type: 'frequency_distribution' }
+      ]
+    }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { collection: t.context.collectionId }
+  )
+  item.properties['proj:centroid'] = { lat: 70.88, lon: -48.96 }
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item
+  })
+
+  await refreshIndices()
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('GET /aggregations lists all aggregations', async (t) => {
+  const response = await t.context.api.client.get('aggregations')
+
+  const names = response.aggregations.map((a) => a.name)
+  t.true(names.includes('total_count'))
+  t.true(names.includes('grid_code_landsat_frequency'))
+  t.deepEqual(
+    response.aggregations.find((a) => a.name === 'cloud_cover_frequency'),
+    { name: 'cloud_cover_frequency', data_type: 'frequency_distribution' }
+  )
+})
+
+test('GET /aggregate with aggregations only computes those', async (t) => {
+  const response = await t.context.api.client.get('aggregate', {
+    searchParams: { aggregations: 'total_count,platform_frequency' }
+  })
+
+  t.deepEqual(response.aggregations.map((a) => a.name), ['total_count', 'platform_frequency'])
+  t.is(response.aggregations[0].value, 1)
+  t.is(response.aggregations[1].buckets[0].key, 'landsat-8')
+})
+
+test('GET /aggregate with an unknown aggregation returns 400', async (t) => {
+  const response = await t.context.api.client.get('aggregate', {
+    searchParams: { aggregations: 'total_count,not_an_aggregation' },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+})
+
+test('GET /aggregate computes grid aggregations with the requested precision', async (t) => {
+  const response = await t.context.api.client.get('aggregate', {
+    searchParams: {
+      aggregations: 'centroid_geohash_grid_frequency,centroid_geotile_grid_frequency',
+      centroid_geohash_grid_frequency_precision: 3,
+      centroid_geotile_grid_frequency_precision: 0
+    }
+  })
+
+  const [geohash, geotile] = response.aggregations
+  t.is(geohash.buckets.length, 1)
+  t.is(geohash.buckets[0].key.length, 3)
+  t.is(geohash.buckets[0].frequency, 1)
+  t.deepEqual(geotile.buckets.map((b) => [b.key, b.frequency]), [['0/0/0', 1]])
+})
+
+test('GET /aggregate with an invalid grid precision returns 400', async (t) => {
+  const response = await t.context.api.client.get('aggregate', {
+    searchParams: {
+      aggregations: 'centroid_geohash_grid_frequency',
+      centroid_geohash_grid_frequency_precision: 13
+    },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+})
+
+test('GET /collections/:collectionId/aggregations lists the collection aggregations', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.get(`collections/${collectionId}/aggregations`)
+
+  t.deepEqual(response.aggregations.map((a) => a.name),
+    ['total_count', 'datetime_min', 'platform_frequency'])
+})
+
+test('GET /collections/:collectionId/aggregate computes the collection aggregations', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.get(`collections/${collectionId}/aggregate`)
+
+  t.deepEqual(response.aggregations.map((a) => a.name),
+    ['total_count', 'datetime_min', 'platform_frequency'])
+  t.is(response.aggregations[0].value, 1)
+
+  const unavailable = await t.context.api.client.get(`collections/${collectionId}/aggregate`, {
+    searchParams: { aggregations: 'grid_code_landsat_frequency' },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+  t.is(unavailable.statusCode, 400)
+})
+
+test('GET /collections/:collectionId/aggregations for a non-existent collection returns 404', async (t) => {
+  const response = await t.context.api.client.get(
+    'collections/DOES_NOT_EXIST/aggregations',
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+
+  t.is(response.statusCode, 404)
+})
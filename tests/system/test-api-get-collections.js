@@ -11,6 +11,7 @@ test.before(async (t) => {
   t.context = standUpResult
 
   const collectionId = randomId('collection')
+  t.context.collectionId = collectionId
 
   const collection = await loadFixture(
     'landsat-8-l1-collection.json',
@@ -22,6 +23,16 @@ test.before(async (t) => {
     ingestTopicArn: t.context.ingestTopicArn,
     item: collection
   })
+
+  // more collections to page through
+  for (const suffix of ['a', 'b']) {
+    // eslint-disable-next-line no-await-in-loop
+    await ingestItem({
+      ingestQueueUrl: t.context.ingestQueueUrl,
+      ingestTopicArn: t.context.ingestTopicArn,
+      item: { ...collection, id: `${collectionId}-${suffix}` }
+    })
+  }
 })
 
 test('GET /collections', async (t) => {
@@ -40,3 +51,90 @@ test('GET /collections has a content type of "application/json', async (t) => {
 
   t.is(response.headers['content-type'], 'application/json; charset=utf-8')
 })
+
+test('GET /collections returns numberMatched and numberReturned', async (t) => {
+  const response = await t.context.api.client.get('collections')
+
+  t.is(response.numberReturned, response.collections.length)
+  t.true(response.numberMatched >= response.numberReturned)
+})
+
+test('GET /collections with bbox, datetime and q', async (t) => {
+  const { collectionId } = t.context
+
+  const matching = await t.context.api.client.get('collections', {
+    searchParams: {
+      bbox: '-10,-10,10,10',
+      datetime: '2020-01-01T00:00:00Z/..',
+      q: 'landsat,nothing'
+    }
+  })
+  t.true(matching.collections.some((c) => c.id === collectionId))
+  t.true(matching.collections.every((c) => c.search_extent === undefined))
+
+  const beforeExtent = await t.context.api.client.get('collections', {
+    searchParams: { datetime: '2000-01-01T00:00:00Z/2001-01-01T00:00:00Z' }
+  })
+  t.false(beforeExtent.collections.some((c) => c.id === collectionId))
+
+  const noText = await t.context.api.client.get('collections', {
+    searchParams: { q: 'nothing-matches-this' }
+  })
+  t.false(noText.collections.some((c) => c.id === collectionId))
+})
+
+test('GET /collections with a filter', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.get('collections', {
+    searchParams: { filter: `id = '${collectionId}'` }
+  })
+
+  t.deepEqual(response.collections.map((c) => c.id), [collectionId])
+  t.is(response.numberMatched, 1)
+})
+
+test('GET /collections with an invalid filter returns 400', async (t) => {
+  const response = await t.context.api.client.get('collections', {
+    searchParams: { filter: 'id =' },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+})
+
+test('GET /collections pages with limit, next and prev', async (t) => {
+  const { collectionId } = t.context
+  const searchParams = { q: 'landsat', limit: 2 }
+
+  const first = await t.context.api.client.get('collections', { searchParams })
+  t.is(first.collections.length, 2)
+  t.is(first.numberMatched, 3)
+  t.falsy(first.links.find((l) => l.rel === 'prev'))
+
+  const nextLink = first.links.find((l) => l.rel === 'next')
+  const second = await t.context.api.client.get(
+    'collections',
+    { searchParams: new URL(nextLink.href).searchParams }
+  )
+  t.deepEqual(second.collections.map((c) => c.id), [`${collectionId}-b`])
+  t.falsy(second.links.find((l) => l.rel === 'next'))
+
+  const prevLink = second.links.find((l) => l.rel === 'prev')
+  const previous = await t.context.api.client.get(
+    'collections',
+    { searchParams: new URL(prevLink.href).searchParams }
+  )
+  t.deepEqual(previous.collections.map((c) => c.id), first.collections.map((c) => c.id))
+})
+
+test('GET /collections with an invalid next token returns 400', async (t) => {
+  const response = await t.context.api.client.get('collections', {
+    searchParams: { next: 'invalid' },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+})
@@ -11,7 +11,7 @@ test.after.always(async (t) => {
 
 test('GET /conformance returns the expected conformsTo list', async (t) => {
   const response = await t.context.api.client.get('conformance')
-  t.is(response.conformsTo.length, 15)
+  t.is(response.conformsTo.length, 31)
 })
 
 test('GET /conformance has a content type of "application/json', async (t) => {
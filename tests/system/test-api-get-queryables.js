@@ -0,0 +1,138 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    {
+      id: t.context.collectionId,
+      queryables: {
+        'landsat:wrs_path': { title: 'WRS Path', type: 'string' }
+      }
+    }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { collection: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item
+  })
+
+  await refreshIndices()
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+test('GET /queryables returns queryables derived from the mappings', async (t) => {
+  const response = await t.context.api.client.get('queryables', { resolveBodyOnly: false })
+
+  t.is(response.statusCode, 200)
+  t.is(response.headers['content-type'], 'application/schema+json; charset=utf-8')
+
+  const { properties } = response.body
+  t.is(properties.id.type, 'string')
+  t.is(properties.datetime.format, 'date-time')
+  t.is(properties['eo:cloud_cover'].type, 'number')
+  t.is(properties['proj:epsg'].type, 'integer')
+  t.truthy(properties.geometry.$ref)
+})
+
+test('GET /collections/:collectionId/queryables includes collection overrides', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.get(`collections/${collectionId}/queryables`)
+
+  t.true(response.$id.endsWith(`/collections/${collectionId}/queryables`))
+  t.deepEqual(response.properties['landsat:wrs_path'], { title: 'WRS Path', type: 'string' })
+  t.is(response.properties['eo:cloud_cover'].type, 'number')
+})
+
+test('GET /collections/:collectionId/queryables for a non-existent collection returns 404', async (t) => {
+  const response = await t.context.api.client.get(
+    'collections/DOES_NOT_EXIST/queryables',
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+
+  t.is(response.statusCode, 404)
+})
+
+test('GET / and GET /collections/:collectionId link to the queryables', async (t) => {
+  const { collectionId } = t.context
+  const rel = 'http://www.opengis.net/def/rel/ogc/1.0/queryables'
+
+  const root = await t.context.api.client.get('')
+  t.true(root.links.find((l) => l.rel === rel).href.endsWith('/queryables'))
+
+  const collection = await t.context.api.client.get(`collections/${collectionId}`)
+  t.true(collection.links.find((l) => l.rel === rel).href
+    .endsWith(`/collections/${collectionId}/queryables`))
+})
+
+test('GET /sortables returns the sortable fields of the mappings', async (t) => {
+  const response = await t.context.api.client.get('sortables', { resolveBodyOnly: false })
+
+  t.is(response.statusCode, 200)
+  t.is(response.headers['content-type'], 'application/schema+json; charset=utf-8')
+
+  const { properties } = response.body
+  t.is(properties.id.type, 'string')
+  t.is(properties.datetime.format, 'date-time')
+  t.is(properties['eo:cloud_cover'].type, 'number')
+  t.falsy(properties.geometry)
+})
+
+test('GET /collections/:collectionId/sortables', async (t) => {
+  const { collectionId } = t.context
+
+  const response = await t.context.api.client.get(`collections/${collectionId}/sortables`)
+  t.true(response.$id.endsWith(`/collections/${collectionId}/sortables`))
+  t.is(response.properties['eo:cloud_cover'].type, 'number')
+
+  const missing = await t.context.api.client.get(
+    'collections/DOES_NOT_EXIST/sortables',
+    { resolveBodyOnly: false, throwHttpErrors: false }
+  )
+  t.is(missing.statusCode, 404)
+})
+
+test('GET /search with a sortby field that is not sortable returns 400', async (t) => {
+  const response = await t.context.api.client.get('search', {
+    searchParams: { sortby: '-geometry' },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+  t.regex(response.body.description, /'geometry' is not sortable/)
+})
+
+test('GET /search sortby properties may leave out the properties prefix', async (t) => {
+  const response = await t.context.api.client.get('search', {
+    searchParams: { sortby: '-eo:cloud_cover' }
+  })
+
+  t.is(response.features.length, 1)
+})
@@ -91,3 +91,31 @@ test('GET / returns links with the correct endpoint if `X-STAC-Endpoint` is set'
   t.not(apiLink, undefined)
   t.is(apiLink.href, `${url}/api`)
 })
+
+test('GET / renders HTML when the Accept header prefers it', async (t) => {
+  const response = await t.context.api.client.get('', {
+    headers: { Accept: 'text/html,application/xhtml+xml,*/*;q=0.8' },
+    responseType: 'text',
+    resolveBodyOnly: false
+  })
+
+  t.is(response.headers['content-type'], 'text/html; charset=utf-8')
+  t.true(response.body.startsWith('<!DOCTYPE html>'))
+  t.true(response.body.includes('/collections'))
+  t.is(response.headers.vary, 'Accept')
+})
+
+test('GET / with f=html renders HTML, and an Accept of */* returns JSON', async (t) => {
+  const page = await t.context.api.client.get('', {
+    searchParams: { f: 'html' },
+    responseType: 'text',
+    resolveBodyOnly: false
+  })
+  t.is(page.headers['content-type'], 'text/html; charset=utf-8')
+
+  const json = await t.context.api.client.get('', {
+    headers: { Accept: '*/*' },
+    resolveBodyOnly: false
+  })
+  t.is(json.headers['content-type'], 'application/json; charset=utf-8')
+})
@@ -0,0 +1,187 @@
+const test = require('ava')
+const { deleteAllIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+// creates an Item, returning its id and ETag
+const createItem = async (t) => {
+  const { collectionId } = t.context
+  const itemId = randomId('item')
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: itemId, collection: collectionId }
+  )
+
+  const response = await t.context.api.client.post(
+    `collections/${collectionId}/items`,
+    { json: item, resolveBodyOnly: false, responseType: 'text' }
+  )
+
+  return { item, itemId, etag: response.headers.etag }
+}
+
+test('GET /collections/:collectionId/items/:itemId has an ETag', async (t) => {
+  const { collectionId } = t.context
+  const { itemId, etag } = await createItem(t)
+
+  const response = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { resolveBodyOnly: false }
+  )
+
+  t.truthy(etag)
+  t.is(response.headers.etag, etag)
+})
+
+test('GET /collections/:collectionId/items/:itemId with a matching If-None-Match returns Not Modified', async (t) => {
+  const { collectionId } = t.context
+  const { itemId, etag } = await createItem(t)
+
+  const notModified = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { headers: { 'If-None-Match': etag }, resolveBodyOnly: false }
+  )
+  t.is(notModified.statusCode, 304)
+
+  const modified = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { headers: { 'If-None-Match': '"0-0"' }, resolveBodyOnly: false }
+  )
+  t.is(modified.statusCode, 200)
+})
+
+test('GET /collections/:collectionId/items/:itemId has a different ETag for each format', async (t) => {
+  const { collectionId } = t.context
+  const { itemId, etag } = await createItem(t)
+
+  const csv = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      searchParams: { f: 'csv' },
+      headers: { 'If-None-Match': etag },
+      resolveBodyOnly: false,
+      responseType: 'text'
+    }
+  )
+  t.is(csv.statusCode, 200)
+  t.not(csv.headers.etag, etag)
+
+  const html = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      searchParams: { f: 'html' },
+      headers: { 'If-None-Match': csv.headers.etag },
+      resolveBodyOnly: false,
+      responseType: 'text'
+    }
+  )
+  t.is(html.statusCode, 200)
+
+  const notModified = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      searchParams: { f: 'csv' },
+      headers: { 'If-None-Match': csv.headers.etag },
+      resolveBodyOnly: false,
+      responseType: 'text'
+    }
+  )
+  t.is(notModified.statusCode, 304)
+})
+
+test('PUT /collections/:collectionId/items/:itemId with If-Match', async (t) => {
+  const { collectionId } = t.context
+  const { item, itemId, etag } = await createItem(t)
+
+  const response = await t.context.api.client.put(
+    `collections/${collectionId}/items/${itemId}`,
+    { json: item, headers: { 'If-Match': etag }, resolveBodyOnly: false }
+  )
+
+  t.is(response.statusCode, 204)
+  t.truthy(response.headers.etag)
+  t.not(response.headers.etag, etag)
+
+  // the ETag the first PUT matched is out of date
+  const stale = await t.context.api.client.put(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      json: item,
+      headers: { 'If-Match': etag },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+
+  t.is(stale.statusCode, 412)
+  t.is(stale.body.code, 'PreconditionFailed')
+})
+
+test('PATCH /collections/:collectionId/items/:itemId with If-Match', async (t) => {
+  const { collectionId } = t.context
+  const { itemId, etag } = await createItem(t)
+
+  const stale = await t.context.api.client.patch(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      json: { properties: { foo: 'bar' } },
+      headers: { 'If-Match': '"0-0"' },
+      resolveBodyOnly: false,
+      throwHttpErrors: false
+    }
+  )
+  t.is(stale.statusCode, 412)
+
+  const response = await t.context.api.client.patch(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      json: { properties: { foo: 'bar' } },
+      headers: { 'If-Match': etag },
+      resolveBodyOnly: false
+    }
+  )
+  t.is(response.statusCode, 204)
+  t.not(response.headers.etag, etag)
+})
+
+test('DELETE /collections/:collectionId/items/:itemId with If-Match', async (t) => {
+  const { collectionId } = t.context
+  const { itemId, etag } = await createItem(t)
+
+  const stale = await t.context.api.client.delete(
+    `collections/${collectionId}/items/${itemId}`,
+    { headers: { 'If-Match': '"0-0"' }, resolveBodyOnly: false, throwHttpErrors: false }
+  )
+  t.is(stale.statusCode, 412)
+
+  const response = await t.context.api.client.delete(
+    `collections/${collectionId}/items/${itemId}`,
+    { headers: { 'If-Match': etag }, resolveBodyOnly: false }
+  )
+  t.is(response.statusCode, 204)
+})
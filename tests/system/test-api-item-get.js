@@ -69,3 +69,61 @@ test('GET /collections/:collectionId/items/:itemId for a non-existent id returns
 
   t.is(response.statusCode, 404)
 })
+
+test('GET /collections/:collectionId/items/:itemId as CSV, GeoJSON-seq and KML', async (t) => {
+  const { collectionId, itemId } = t.context
+  const getFormat = (f) => t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { searchParams: { f }, responseType: 'text', resolveBodyOnly: false }
+  )
+
+  const csv = await getFormat('csv')
+  t.is(csv.headers['content-type'], 'text/csv; charset=utf-8')
+  const [header, row] = csv.body.split('\r\n')
+  t.true(header.startsWith('id,collection,'))
+  t.true(header.endsWith(',wkt'))
+  t.true(row.startsWith(`${itemId},${collectionId},`))
+  t.regex(row, /"POLYGON \(\(/)
+
+  const seq = await getFormat('geojson-seq')
+  t.is(seq.headers['content-type'], 'application/geo+json-seq')
+  t.is(JSON.parse(seq.body.slice(1)).id, itemId)
+
+  const kml = await getFormat('kml')
+  t.is(kml.headers['content-type'], 'application/vnd.google-earth.kml+xml')
+  t.true(kml.body.includes(`<name>${itemId}</name>`))
+})
+
+test('GET /collections/:collectionId/items/:itemId negotiates the format with Accept', async (t) => {
+  const { collectionId, itemId } = t.context
+
+  const response = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { headers: { Accept: 'text/csv' }, responseType: 'text', resolveBodyOnly: false }
+  )
+
+  t.is(response.headers['content-type'], 'text/csv; charset=utf-8')
+})
+
+test('GET /collections/:collectionId/items/:itemId with f=parquet returns Bad Request', async (t) => {
+  const { collectionId, itemId } = t.context
+
+  const response = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { searchParams: { f: 'parquet' }, resolveBodyOnly: false, throwHttpErrors: false }
+  )
+
+  t.is(response.statusCode, 400)
+})
+
+test('GET /collections/:collectionId/items/:itemId renders HTML with f=html', async (t) => {
+  const { collectionId, itemId } = t.context
+
+  const response = await t.context.api.client.get(
+    `collections/${collectionId}/items/${itemId}`,
+    { searchParams: { f: 'html' }, responseType: 'text', resolveBodyOnly: false }
+  )
+
+  t.is(response.headers['content-type'], 'text/html; charset=utf-8')
+  t.true(response.body.includes(`<h1>${itemId}</h1>`))
+})
@@ -60,8 +60,6 @@ test('PATCH /collections/:collectionId/items/:itemId', async (t) => {
 
   t.is(patchResponse.statusCode, 204)
   t.falsy(patchResponse.headers['content-type'])
-  // t.is(patchResponse.body.id, itemId)
-  // t.is(patchResponse.body.properties.foo, 'bar')
 
   // ES needs a second to process the patch request
   // eslint-disable-next-line no-promise-executor-return
@@ -85,3 +83,116 @@ test('PATCH /collections/:collectionId/items/:itemId for a non-existent collecti
 
   t.is(response.statusCode, 404)
 })
+
+// creates an Item to patch, returning its id
+const createItem = async (t) => {
+  const { collectionId } = t.context
+  const itemId = randomId('item')
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: itemId, collection: collectionId }
+  )
+  await t.context.api.client.post(`collections/${collectionId}/items`, { json: item })
+  return itemId
+}
+
+const patchItem = (t, itemId, contentType, patch) => t.context.api.client.patch(
+  `collections/${t.context.collectionId}/items/${itemId}`,
+  {
+    body: JSON.stringify(patch),
+    headers: { 'Content-Type': contentType },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  }
+)
+
+const getItem = (t, itemId) => t.context.api.client.get(
+  `collections/${t.context.collectionId}/items/${itemId}`
+)
+
+test('PATCH /collections/:collectionId/items/:itemId with a JSON Merge Patch', async (t) => {
+  const itemId = await createItem(t)
+
+  const response = await patchItem(t, itemId, 'application/merge-patch+json', {
+    properties: { 'eo:cloud_cover': null, foo: 'bar' }
+  })
+  t.is(response.statusCode, 204)
+  t.truthy(response.headers.etag)
+
+  const item = await getItem(t, itemId)
+  t.is(item.properties.foo, 'bar')
+  t.false('eo:cloud_cover' in item.properties)
+  t.truthy(item.properties.datetime)
+  t.is(item.links.filter((link) => link.rel === 'self').length, 1)
+})
+
+test('PATCH /collections/:collectionId/items/:itemId with a JSON Patch', async (t) => {
+  const itemId = await createItem(t)
+  const before = await getItem(t, itemId)
+
+  const response = await patchItem(t, itemId, 'application/json-patch+json', [
+    { op: 'test', path: '/properties/eo:cloud_cover', value: before.properties['eo:cloud_cover'] },
+    { op: 'replace', path: '/properties/eo:cloud_cover', value: 0 },
+    { op: 'add', path: '/properties/foo', value: 'bar' },
+    { op: 'remove', path: '/assets/B1' }
+  ])
+  t.is(response.statusCode, 204)
+
+  const item = await getItem(t, itemId)
+  t.is(item.properties['eo:cloud_cover'], 0)
+  t.is(item.properties.foo, 'bar')
+  t.false('B1' in item.assets)
+  t.deepEqual(item.links, before.links)
+})
+
+test('PATCH /collections/:collectionId/items/:itemId with an invalid patch returns 400', async (t) => {
+  const itemId = await createItem(t)
+
+  const invalidPath = await patchItem(t, itemId, 'application/json-patch+json', [
+    { op: 'remove', path: '/properties/does-not-exist' }
+  ])
+  t.is(invalidPath.statusCode, 400)
+
+  const invalidItem = await patchItem(t, itemId, 'application/merge-patch+json', {
+    properties: { datetime: null }
+  })
+  t.is(invalidItem.statusCode, 400)
+
+  const failedTest = await patchItem(t, itemId, 'application/json-patch+json', [
+    { op: 'test', path: '/id', value: 'other' }
+  ])
+  t.is(failedTest.statusCode, 409)
+})
+
+test('PATCH /collections/:collectionId/items/:itemId with Prefer: return=representation returns the Item', async (t) => {
+  const itemId = await createItem(t)
+
+  const response = await t.context.api.client.patch(
+    `collections/${t.context.collectionId}/items/${itemId}`,
+    {
+      json: { properties: { foo: 'bar' } },
+      headers: { Prefer: 'return=representation' },
+      resolveBodyOnly: false
+    }
+  )
+  t.is(response.statusCode, 200)
+  t.is(response.headers['preference-applied'], 'return=representation')
+  t.is(response.body.id, itemId)
+  t.is(response.body.properties.foo, 'bar')
+  t.truthy(response.body.properties.updated)
+  t.true(response.body.links.some((link) => link.rel === 'self'))
+
+  const merged = await t.context.api.client.patch(
+    `collections/${t.context.collectionId}/items/${itemId}`,
+    {
+      body: JSON.stringify({ properties: { foo: null } }),
+      headers: {
+        'Content-Type': 'application/merge-patch+json',
+        Prefer: 'return=representation'
+      },
+      resolveBodyOnly: false
+    }
+  )
+  t.is(merged.statusCode, 200)
+  t.false('foo' in merged.body.properties)
+})
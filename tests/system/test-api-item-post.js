@@ -79,6 +79,53 @@ test('POST /collections/:collectionId/items', async (t) => {
   t.is(getResponse.body.collection, collectionId)
 })
 
+test('POST /collections/:collectionId/items with Prefer: return=representation returns the Item', async (t) => {
+  const { collectionId } = t.context
+  const itemId = randomId('item')
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: itemId, collection: collectionId }
+  )
+
+  const response = await t.context.api.client.post(
+    `collections/${collectionId}/items`,
+    {
+      json: item,
+      headers: { Prefer: 'return=representation' },
+      resolveBodyOnly: false
+    }
+  )
+
+  t.is(response.statusCode, 201)
+  t.is(response.headers['content-type'], 'application/geo+json; charset=utf-8')
+  t.is(response.headers['preference-applied'], 'return=representation')
+  t.truthy(response.headers.etag)
+  t.is(response.body.id, itemId)
+  t.truthy(response.body.properties.created)
+  t.is(response.body.properties.created, response.body.properties.updated)
+  t.true(response.body.links.some((link) => (
+    link.rel === 'self' && link.href.endsWith(`/collections/${collectionId}/items/${itemId}`)
+  )))
+})
+
+test('POST /collections/:collectionId/items without a datetime or datetime range returns 400', async (t) => {
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    {
+      id: randomId('item'),
+      collection: t.context.collectionId
+    }
+  )
+  item.properties.datetime = null
+
+  const response = await t.context.api.client.post(
+    `collections/${t.context.collectionId}/items`,
+    { throwHttpErrors: false, resolveBodyOnly: false, json: item }
+  )
+
+  t.is(response.statusCode, 400)
+})
+
 test('POST /collections/:collectionId/items with mismatched collection id', async (t) => {
   t.context.itemId = randomId('item')
 
@@ -74,6 +74,38 @@ test('PUT /collections/:collectionId/items/:itemId', async (t) => {
   t.is(getResponse.body.properties.foo, 'bar')
 })
 
+test('PUT /collections/:collectionId/items/:itemId with Prefer: return=representation returns the Item', async (t) => {
+  const { collectionId } = t.context
+  const itemId = randomId('item')
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: itemId, collection: collectionId }
+  )
+  const created = await t.context.api.client.post(
+    `collections/${collectionId}/items`,
+    { json: item, headers: { Prefer: 'return=representation' } }
+  )
+
+  item.properties.foo = 'bar'
+
+  const response = await t.context.api.client.put(
+    `collections/${collectionId}/items/${itemId}`,
+    {
+      json: item,
+      headers: { Prefer: 'return=representation' },
+      resolveBodyOnly: false
+    }
+  )
+
+  t.is(response.statusCode, 200)
+  t.is(response.headers['preference-applied'], 'return=representation')
+  t.truthy(response.headers.etag)
+  t.is(response.body.properties.foo, 'bar')
+  t.is(response.body.properties.created, created.properties.created)
+  t.true(response.body.properties.updated >= created.properties.updated)
+  t.true(response.body.links.some((link) => link.rel === 'self'))
+})
+
 test('PUT /collections/:collectionId/items/:itemId for a non-existent collection or id returns 404"', async (t) => {
   const { collectionId } = t.context
 
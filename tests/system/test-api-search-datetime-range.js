@@ -0,0 +1,83 @@
+const test = require('ava')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  // an item acquired at an instant, on 2015-03-23
+  t.context.instantItemId = randomId('instant')
+  const instantItem = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: t.context.instantItemId, collection: t.context.collectionId }
+  )
+
+  // a composite of 2015, which has no datetime
+  t.context.rangeItemId = randomId('range')
+  const rangeItem = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: t.context.rangeItemId, collection: t.context.collectionId }
+  )
+  rangeItem.properties = {
+    ...rangeItem.properties,
+    datetime: null,
+    start_datetime: '2015-01-01T00:00:00Z',
+    end_datetime: '2015-12-31T23:59:59Z'
+  }
+
+  for (const item of [instantItem, rangeItem]) {
+    // eslint-disable-next-line no-await-in-loop
+    await ingestItem({
+      ingestQueueUrl: t.context.ingestQueueUrl,
+      ingestTopicArn: t.context.ingestTopicArn,
+      item
+    })
+  }
+
+  await refreshIndices()
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+const searchIds = async (t, datetime) => {
+  const searchParams = { collections: t.context.collectionId }
+  if (datetime) searchParams.datetime = datetime
+  const response = await t.context.api.client.get('search', { searchParams })
+  return response.features.map((f) => f.id)
+}
+
+test('datetime intervals match items by their start and end datetime', async (t) => {
+  const { instantItemId, rangeItemId } = t.context
+
+  t.deepEqual(await searchIds(t, '2015-06-01T00:00:00Z/2015-07-01T00:00:00Z'), [rangeItemId])
+  t.deepEqual(await searchIds(t, '2015-06-15T00:00:00Z'), [rangeItemId])
+  t.deepEqual(await searchIds(t, '2015-03-01T00:00:00Z/2015-04-01T00:00:00Z'),
+    [instantItemId, rangeItemId])
+  t.deepEqual(await searchIds(t, '2016-01-01T00:00:00Z/..'), [])
+})
+
+test('items without a datetime are sorted after those with one', async (t) => {
+  const { instantItemId, rangeItemId } = t.context
+
+  t.deepEqual(await searchIds(t, undefined), [instantItemId, rangeItemId])
+})
@@ -0,0 +1,152 @@
+const test = require('ava')
+const { default: got } = require('got')
+const { ParquetReader } = require('parquetjs-lite')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  t.context.itemIds = []
+  for (let i = 0; i < 3; i += 1) {
+    const id = randomId('item')
+    t.context.itemIds.push(id)
+    // eslint-disable-next-line no-await-in-loop
+    const item = await loadFixture(
+      'stac/LC80100102015082LGN00.json',
+      { id, collection: t.context.collectionId }
+    )
+    // eslint-disable-next-line no-await-in-loop
+    await ingestItem({
+      ingestQueueUrl: t.context.ingestQueueUrl,
+      ingestTopicArn: t.context.ingestTopicArn,
+      item
+    })
+  }
+
+  await refreshIndices()
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+const exportItems = (t, path, options = {}) => got(`${t.context.api.url}/${path}`, {
+  headers: { 'X-Forwarded-Proto': 'http', Accept: 'application/x-ndjson' },
+  ...options
+})
+
+const parseLines = (body) => body.trim().split('\n').map((line) => JSON.parse(line))
+
+test('GET /search exports all matching items as ndjson, ignoring the limit', async (t) => {
+  const response = await exportItems(t, 'search', {
+    searchParams: { collections: t.context.collectionId, limit: 1, sortby: 'id' }
+  })
+
+  t.is(response.headers['content-type'], 'application/x-ndjson; charset=utf-8')
+  const items = parseLines(response.body)
+  t.deepEqual(items.map((item) => item.id), [...t.context.itemIds].sort())
+  t.is(items[0].links[0].rel, 'self')
+})
+
+test('POST /search exports items with the search filters', async (t) => {
+  const [id] = t.context.itemIds
+  const response = await exportItems(t, 'search', {
+    method: 'POST',
+    json: { collections: [t.context.collectionId], ids: [id] }
+  })
+
+  t.deepEqual(parseLines(response.body).map((item) => item.id), [id])
+})
+
+test('GET /collections/:collectionId/items exports the collection items', async (t) => {
+  const response = await exportItems(t, `collections/${t.context.collectionId}/items`)
+
+  t.is(parseLines(response.body).length, t.context.itemIds.length)
+})
+
+test('an export with invalid parameters responds with a 400', async (t) => {
+  const error = await t.throwsAsync(
+    () => exportItems(t, 'search', { searchParams: { sortby: 'assets' } })
+  )
+
+  t.is(error.response.statusCode, 400)
+})
+
+test('f=ndjson exports items without an Accept header', async (t) => {
+  const response = await got(`${t.context.api.url}/search`, {
+    headers: { 'X-Forwarded-Proto': 'http' },
+    searchParams: { collections: t.context.collectionId, f: 'ndjson' }
+  })
+
+  t.is(parseLines(response.body).length, t.context.itemIds.length)
+})
+
+test('GET /search returns a page of items as stac-geoparquet', async (t) => {
+  const response = await got(`${t.context.api.url}/search`, {
+    headers: { 'X-Forwarded-Proto': 'http' },
+    searchParams: { collections: t.context.collectionId, limit: 2, f: 'parquet' },
+    responseType: 'buffer'
+  })
+
+  t.is(response.headers['content-type'], 'application/vnd.apache.parquet')
+  t.regex(response.headers.link, /rel="next"/)
+  t.regex(response.headers.link, /f=parquet/)
+
+  const reader = await ParquetReader.openBuffer(response.body)
+  t.is(Number(reader.getRowCount()), 2)
+  t.is(JSON.parse(reader.getMetadata().geo).primary_column, 'geometry')
+})
+
+test('an unknown f parameter responds with a 400', async (t) => {
+  const error = await t.throwsAsync(
+    () => got(`${t.context.api.url}/search`, { searchParams: { f: 'shp' } })
+  )
+
+  t.is(error.response.statusCode, 400)
+})
+
+test('GET /search returns a page of items as CSV with paging links', async (t) => {
+  const response = await got(`${t.context.api.url}/search`, {
+    headers: { 'X-Forwarded-Proto': 'http', Accept: 'text/csv' },
+    searchParams: { collections: t.context.collectionId, limit: 2 }
+  })
+
+  t.is(response.headers['content-type'], 'text/csv; charset=utf-8')
+  t.regex(response.headers.link, /rel="next"/)
+  t.is(response.headers.vary, 'Accept')
+  // a header and two rows
+  t.is(response.body.trim().split('\r\n').length, 3)
+})
+
+test('POST /search returns items as KML and GeoJSON-seq', async (t) => {
+  const json = { collections: [t.context.collectionId] }
+
+  const kml = await got.post(`${t.context.api.url}/search`, {
+    headers: { 'X-Forwarded-Proto': 'http' }, searchParams: { f: 'kml' }, json
+  })
+  t.is(kml.body.match(/<Placemark>/g).length, t.context.itemIds.length)
+
+  const seq = await got.post(`${t.context.api.url}/search`, {
+    headers: { 'X-Forwarded-Proto': 'http', Accept: 'application/geo+json-seq' }, json
+  })
+  t.is(seq.body.split('\x1e').length - 1, t.context.itemIds.length)
+})
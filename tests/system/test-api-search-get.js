@@ -5,6 +5,7 @@ const { randomId } = require('../helpers/utils')
 const ingest = require('../../src/lib/ingest')
 const stream = require('../../src/lib/databaseStream')
 const systemTests = require('../helpers/system-tests')
+const { decodePaginationToken } = require('../../src/lib/pagination')
 
 test.before(async (t) => {
   await deleteAllIndices()
@@ -51,27 +52,36 @@ test('/search preserve bbox in next links', async (t) => {
   const response = await t.context.api.client.get('search', {
     searchParams: new URLSearchParams({
       bbox,
-      limit: 2,
+      limit: 1,
     })
   })
 
-  t.is(response.features.length, 2)
+  t.is(response.features.length, 1)
   const nextLink = response.links.find((x) => x.rel === 'next')
   const nextUrl = new URL(nextLink.href)
   t.deepEqual(nextUrl.searchParams.get('bbox'), bbox)
 
-  t.deepEqual(nextUrl.searchParams.get('next'),
-    [
-      response.features[1].properties.datetime,
-      response.features[1].id,
-      response.features[1].collection
-    ].join(','))
+  const { searchAfter } = decodePaginationToken(nextUrl.searchParams.get('next'))
+  t.deepEqual(searchAfter.slice(1), [
+    response.features[0].id,
+    response.features[0].collection
+  ])
 
   console.log(`nexturl ${nextUrl}`)
 
+  // the second page is the last, so links back but not forward
   const nextResponse = await got.get(nextUrl).json()
-  t.is(nextResponse.features.length, 0)
+  t.is(nextResponse.features.length, 1)
   t.falsy(nextResponse.links.find((x) => x.rel === 'next'))
+
+  const prevUrl = new URL(nextResponse.links.find((x) => x.rel === 'prev').href)
+  t.deepEqual(prevUrl.searchParams.get('bbox'), bbox)
+  const prevResponse = await got.get(prevUrl).json()
+  t.deepEqual(prevResponse.features.map((f) => f.id), response.features.map((f) => f.id))
+
+  const firstUrl = new URL(nextResponse.links.find((x) => x.rel === 'first').href)
+  t.is(firstUrl.searchParams.get('next'), null)
+  t.deepEqual(firstUrl.searchParams.get('bbox'), bbox)
 })
 
 test('/search preserve bbox and datetime in next links', async (t) => {
@@ -100,12 +110,46 @@ test('/search preserve bbox and datetime in next links', async (t) => {
 
   const nextLink = response.links.find((x) => x.rel === 'next')
   const nextUrl = new URL(nextLink.href)
-  t.deepEqual(nextUrl.searchParams.get('next'),
-    [
-      response.features[0].properties.datetime,
-      response.features[0].id,
-      response.features[0].collection
-    ].join(','))
+  const { searchAfter } = decodePaginationToken(nextUrl.searchParams.get('next'))
+  t.deepEqual(searchAfter.slice(1), [
+    response.features[0].id,
+    response.features[0].collection
+  ])
   t.deepEqual(nextUrl.searchParams.get('bbox'), bbox)
   t.deepEqual(nextUrl.searchParams.get('datetime'), datetime)
 })
+
+test('GET /search with a cql2-text filter', async (t) => {
+  const fixtureFiles = [
+    'catalog.json',
+    'collection.json',
+    'LC80100102015050LGN00.json',
+    'LC80100102015082LGN00.json'
+  ]
+  const items = await Promise.all(fixtureFiles.map((x) => systemTests.loadJson(x)))
+  await ingest.ingestItems(items, stream)
+  await refreshIndices()
+
+  const response = await t.context.api.client.get('search', {
+    searchParams: new URLSearchParams({
+      filter: "eo:cloud_cover < 5 AND platform = 'landsat-8'",
+      'filter-lang': 'cql2-text'
+    })
+  })
+
+  t.is(response.features.length, 1)
+  t.is(response.features[0].id, 'LC80100102015050LGN00')
+})
+
+test('GET /search with an invalid cql2-text filter returns 400', async (t) => {
+  const response = await t.context.api.client.get('search', {
+    searchParams: new URLSearchParams({
+      filter: 'eo:cloud_cover <'
+    }),
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+
+  t.is(response.statusCode, 400)
+  t.regex(response.body.description, /at position 17/)
+})
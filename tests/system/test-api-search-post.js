@@ -102,6 +102,44 @@ test('/search bbox', async (t) => {
   t.is(response.features.length, 0)
 })
 
+test('/search bbox that crosses the antimeridian', async (t) => {
+  const response = await t.context.api.client.post('search', {
+    json: {
+      bbox: [170, -90, -170, 90]
+    }
+  })
+  t.is(response.features.length, 0)
+})
+
+test('/search intersects with a Feature or FeatureCollection', async (t) => {
+  const feature = { type: 'Feature', geometry: intersectsGeometry, properties: {} }
+  const featureCollection = { type: 'FeatureCollection', features: [feature] }
+
+  for (const intersects of [intersectsGeometry, feature, featureCollection]) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await t.context.api.client.post('search', {
+      json: { intersects }
+    })
+    // @ts-expect-error We need to type this response
+    const ids = response.features.map((item) => item.id)
+    t.true(ids.includes('LC80100102015082LGN00'))
+  }
+})
+
+test('/search intersects with an invalid geometry returns 400', async (t) => {
+  const [ring] = intersectsGeometry.coordinates
+  const response = await t.context.api.client.post('search', {
+    json: {
+      intersects: { type: 'Polygon', coordinates: [ring.slice(0, -1)] }
+    },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+  t.is(response.statusCode, 400)
+  t.is(response.body.code, 'BadRequest')
+  t.regex(response.body.description, /is not closed/)
+})
+
 test('POST /search has a content type of "application/geo+json; charset=utf-8', async (t) => {
   const response = await t.context.api.client.post('search', {
     json: {},
@@ -264,6 +302,75 @@ test('/search in query', async (t) => {
   t.is(response.features.length, 3)
 })
 
+test('/search filter', async (t) => {
+  let response = await t.context.api.client.post('search', {
+    json: {
+      filter: {
+        op: 'and',
+        args: [
+          { op: '=', args: [{ property: 'platform' }, 'landsat-8'] },
+          { op: '<', args: [{ property: 'eo:cloud_cover' }, 5] }
+        ]
+      },
+      'filter-lang': 'cql2-json'
+    }
+  })
+  t.is(response.features.length, 1)
+  t.is(response.features[0].id, 'LC80100102015050LGN00')
+
+  response = await t.context.api.client.post('search', {
+    json: {
+      filter: {
+        op: 'or',
+        args: [
+          { op: 'like', args: [{ property: 'id' }, 'collection2%'] },
+          { op: 'in', args: [{ property: 'eo:cloud_cover' }, [8.26]] }
+        ]
+      }
+    }
+  })
+  t.is(response.features.length, 2)
+})
+
+test('/search filter with spatial and temporal operators', async (t) => {
+  const search = async (filter, filterLang = 'cql2-json') => {
+    const response = await t.context.api.client.post('search', {
+      json: { filter, 'filter-lang': filterLang }
+    })
+    return response.features.map((f) => f.id).sort()
+  }
+
+  t.is((await search({
+    op: 's_intersects', args: [{ property: 'geometry' }, intersectsGeometry]
+  })).length, 3)
+  t.deepEqual(await search({
+    op: 's_disjoint', args: [{ property: 'geometry' }, intersectsGeometry]
+  }), [])
+  t.deepEqual(await search({
+    op: 't_during',
+    args: [
+      { property: 'datetime' },
+      { interval: ['2015-02-01T00:00:00Z', '2015-03-01T00:00:00Z'] }
+    ]
+  }), ['LC80100102015050LGN00', 'collection2_item'])
+  t.deepEqual(await search(
+    "S_INTERSECTS(geometry, BBOX(-50, 70, -49, 71)) AND T_AFTER(datetime, TIMESTAMP('2015-03-01T00:00:00Z'))",
+    'cql2-text'
+  ), ['LC80100102015082LGN00'])
+})
+
+test('/search invalid filter returns 400', async (t) => {
+  const response = await t.context.api.client.post('search', {
+    json: {
+      filter: { op: 'foo', args: [] }
+    },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+  t.is(response.statusCode, 400)
+  t.is(response.body.code, 'BadRequest')
+})
+
 test('/search limit only', async (t) => {
   const response = await t.context.api.client.post('search', {
     json: {
@@ -319,6 +426,67 @@ test('/search limit next query', async (t) => {
   t.is(response.features.length, 1)
 })
 
+test('/search pages through results with a custom sortby', async (t) => {
+  const sortby = [{ field: 'properties.eo:cloud_cover', direction: 'asc' }]
+  const all = await t.context.api.client.post('search', {
+    json: { sortby, limit: 100 }
+  })
+
+  const ids = []
+  let body = { sortby, limit: 1 }
+  for (let i = 0; i < all.features.length; i += 1) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await t.context.api.client.post('search', { json: body })
+    t.is(response.features.length, 1)
+    ids.push(response.features[0].id)
+    const nextLink = linkRel(response, 'next')
+    if (!nextLink) break
+    body = nextLink.body
+  }
+
+  t.deepEqual(ids, all.features.map((f) => f.id))
+})
+
+test('/search with a tampered next token returns 400', async (t) => {
+  const response = await t.context.api.client.post('search', {
+    json: { limit: 1 }
+  })
+  const { next } = linkRel(response, 'next').body
+  const [payload, signature] = next.split('.')
+  const tampered = `${payload.slice(0, -2)}${signature.slice(0, 2)}.${signature}`
+
+  const error = await t.context.api.client.post('search', {
+    json: { limit: 1, next: tampered },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+  t.is(error.statusCode, 400)
+})
+
+test('/search query string operators and top-level fields', async (t) => {
+  const response = await t.context.api.client.post('search', {
+    json: {
+      query: {
+        id: { startsWith: 'LC8010010', endsWith: 'LGN00', contains: '2015050' },
+        collection: { eq: 'landsat-8-l1' },
+        'landsat:wrs_row': { neq: '11' }
+      }
+    }
+  })
+  t.deepEqual(response.features.map((f) => f.id), ['LC80100102015050LGN00'])
+})
+
+test('/search query with an unknown operator returns 400', async (t) => {
+  const response = await t.context.api.client.post('search', {
+    json: {
+      query: { 'eo:cloud_cover': { lessThan: 10 } }
+    },
+    resolveBodyOnly: false,
+    throwHttpErrors: false
+  })
+  t.is(response.statusCode, 400)
+})
+
 test('/search ids', async (t) => {
   const response = await t.context.api.client.post('search', {
     json: {
@@ -378,21 +546,12 @@ test('/search preserve intersects geometry in next link', async (t) => {
     }
   })
 
+  // next link is not included on the last page
   t.is(response.features.length, 1)
-  t.is(response.links.length, 1)
-  t.truthy(linkRel(response, 'next'))
-
-  // next link is not included when there are 0 items in the results
-  response = await t.context.api.client.post('search', {
-    json: {
-      intersects: intersectsGeometry,
-      limit: 1,
-      next: linkRel(response, 'next').body.next
-    }
-  })
-
-  t.is(response.features.length, 0)
-  t.is(response.links.length, 0)
+  t.deepEqual(response.links.map((l) => l.rel), ['prev', 'first'])
+  t.deepEqual(linkRel(response, 'prev').body.intersects, intersectsGeometry)
+  t.false(linkRel(response, 'prev').merge)
+  t.deepEqual(linkRel(response, 'first').body, { intersects: intersectsGeometry, limit: 1 })
 
   const datetime = '2015-02-19T00:00:00Z/2021-02-19T00:00:00Z'
   response = await t.context.api.client.post('search', {
@@ -0,0 +1,98 @@
+const test = require('ava')
+const Pbf = require('pbf')
+const { VectorTile } = require('@mapbox/vector-tile')
+const { deleteAllIndices, refreshIndices } = require('../helpers/database')
+const { ingestItem } = require('../helpers/ingest')
+const { randomId, loadFixture } = require('../helpers/utils')
+const systemTests = require('../helpers/system-tests')
+
+test.before(async (t) => {
+  await deleteAllIndices()
+  const standUpResult = await systemTests.setup()
+
+  t.context = standUpResult
+
+  t.context.collectionId = randomId('collection')
+
+  const collection = await loadFixture(
+    'landsat-8-l1-collection.json',
+    { id: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item: collection
+  })
+
+  // an item in Greenland, in the north west tile at zoom 1
+  t.context.itemId = randomId('item')
+  const item = await loadFixture(
+    'stac/LC80100102015082LGN00.json',
+    { id: t.context.itemId, collection: t.context.collectionId }
+  )
+
+  await ingestItem({
+    ingestQueueUrl: t.context.ingestQueueUrl,
+    ingestTopicArn: t.context.ingestTopicArn,
+    item
+  })
+
+  await refreshIndices()
+})
+
+test.after.always(async (t) => {
+  if (t.context.api) await t.context.api.close()
+})
+
+const getTile = (t, path, searchParams = {}) => t.context.api.client.get(path, {
+  searchParams,
+  responseType: 'buffer',
+  resolveBodyOnly: false,
+  throwHttpErrors: false
+})
+
+test('GET /collections/:collectionId/tiles/:z/:x/:y.mvt returns the item footprints', async (t) => {
+  const { collectionId, itemId } = t.context
+  const response = await getTile(t, `collections/${collectionId}/tiles/1/0/0.mvt`)
+
+  t.is(response.statusCode, 200)
+  t.is(response.headers['content-type'], 'application/vnd.mapbox-vector-tile')
+
+  const layer = new VectorTile(new Pbf(response.body)).layers.items
+  t.is(layer.length, 1)
+  t.is(layer.feature(0).properties.id, itemId)
+  t.is(layer.feature(0).properties.collection, collectionId)
+})
+
+test('GET /collections/:collectionId/tiles/:z/:x/:y.mvt without items returns No Content', async (t) => {
+  const response = await getTile(t, `collections/${t.context.collectionId}/tiles/1/1/1.mvt`)
+
+  t.is(response.statusCode, 204)
+})
+
+test('GET /collections/:collectionId/tiles/:z/:x/:y.mvt for a missing collection returns Not Found', async (t) => {
+  const response = await getTile(t, 'collections/DOES_NOT_EXIST/tiles/0/0/0.mvt')
+
+  t.is(response.statusCode, 404)
+})
+
+test('GET /search/tiles/:z/:x/:y.mvt filters items with the search parameters', async (t) => {
+  const { collectionId } = t.context
+
+  const matching = await getTile(t, 'search/tiles/0/0/0.mvt', {
+    collections: collectionId, datetime: '2015-03-01T00:00:00Z/2015-04-01T00:00:00Z'
+  })
+  t.is(matching.statusCode, 200)
+
+  const filtered = await getTile(t, 'search/tiles/0/0/0.mvt', {
+    collections: collectionId, filter: 'eo:cloud_cover > 50'
+  })
+  t.is(filtered.statusCode, 204)
+})
+
+test('GET /search/tiles/:z/:x/:y.mvt with an invalid tile returns Bad Request', async (t) => {
+  const response = await getTile(t, 'search/tiles/1/2/0.mvt')
+
+  t.is(response.statusCode, 400)
+})
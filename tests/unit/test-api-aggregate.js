@@ -0,0 +1,147 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+const { defaultAggregations } = require('../../src/lib/aggregations')
+
+const aggregateStub = () => sinon.stub().resolves({
+  body: {
+    aggregations: {
+      total_count: { value: 2 },
+      datetime_max: { value: 1, value_as_string: '2015-03-23T15:05:56.000Z' },
+      platform_frequency: {
+        sum_other_doc_count: 0,
+        buckets: [{ key: 'landsat-8', doc_count: 2 }]
+      }
+    }
+  }
+})
+
+test('aggregate computes the generic aggregations by default', async (t) => {
+  const aggregate = aggregateStub()
+  const response = await api.aggregate(null, {}, { aggregate }, 'endpoint', 'GET')
+
+  const names = defaultAggregations()
+  for (const name of [
+    'centroid_geohash_grid_frequency', 'grid_code_landsat_frequency', 'sun_elevation_frequency'
+  ]) {
+    t.false(names.includes(name))
+  }
+  t.true(names.includes('platform_frequency'))
+  t.deepEqual(aggregate.firstCall.args[1], names)
+  t.deepEqual(response.aggregations.map((a) => a.name), names)
+  t.is(response.links[0].href, 'endpoint/aggregate')
+})
+
+test('aggregate computes the requested aggregations', async (t) => {
+  const aggregate = aggregateStub()
+  const response = await api.aggregate(
+    null,
+    { aggregations: 'total_count,datetime_max,platform_frequency' },
+    { aggregate },
+    'endpoint',
+    'GET'
+  )
+
+  t.deepEqual(aggregate.firstCall.args[1],
+    ['total_count', 'datetime_max', 'platform_frequency'])
+  t.deepEqual(response.aggregations, [
+    { name: 'total_count', data_type: 'integer', value: 2 },
+    { name: 'datetime_max', data_type: 'datetime', value: '2015-03-23T15:05:56.000Z' },
+    {
+      name: 'platform_frequency',
+      data_type: 'frequency_distribution',
+      overflow: 0,
+      buckets: [{
+        key: 'landsat-8', data_type: 'string', frequency: 2, to: undefined, from: undefined
+      }]
+    }
+  ])
+})
+
+test('aggregate rejects unknown aggregations', async (t) => {
+  const aggregate = aggregateStub()
+  await t.throwsAsync(
+    api.aggregate(null, { aggregations: ['total_count', 'nope'] }, { aggregate }, 'e', 'POST'),
+    { instanceOf: api.ValidationError, message: /nope not available/ }
+  )
+  await t.throwsAsync(
+    api.aggregate(null, { aggregations: { total_count: true } }, { aggregate }, 'e', 'POST'),
+    { instanceOf: api.ValidationError }
+  )
+})
+
+test('collection aggregations are limited to those of the collection', async (t) => {
+  const aggregate = aggregateStub()
+  const getCollection = sinon.stub().resolves({
+    id: 'landsat-8-l1',
+    aggregations: [
+      { name: 'total_count', data_type: 'integer' },
+      { name: 'unknown_frequency', data_type: 'frequency_distribution' }
+    ]
+  })
+  const backend = { aggregate, getCollection }
+
+  const available = await api.getAggregations('landsat-8-l1', backend, 'endpoint')
+  t.deepEqual(available.aggregations, [{ name: 'total_count', data_type: 'integer' }])
+  t.is(available.links[0].href, 'endpoint/collections/landsat-8-l1/aggregations')
+
+  const response = await api.aggregate('landsat-8-l1', {}, backend, 'endpoint', 'GET')
+  t.deepEqual(aggregate.firstCall.args[0].collections, ['landsat-8-l1'])
+  t.deepEqual(aggregate.firstCall.args[1], ['total_count'])
+  t.is(response.links[0].href, 'endpoint/collections/landsat-8-l1/aggregate')
+
+  await t.throwsAsync(
+    api.aggregate('landsat-8-l1', { aggregations: 'platform_frequency' }, backend, 'e', 'GET'),
+    { instanceOf: api.ValidationError }
+  )
+})
+
+test('collection aggregations for a missing collection', async (t) => {
+  const getCollection = sinon.stub().resolves(new Error('Collection not found'))
+  const backend = { aggregate: aggregateStub(), getCollection }
+
+  t.true(await api.getAggregations('missing', backend, 'endpoint') instanceof Error)
+  t.true(await api.aggregate('missing', {}, backend, 'endpoint', 'GET') instanceof Error)
+  t.false(backend.aggregate.called)
+})
+
+test('grid aggregations use the requested precision', async (t) => {
+  const aggregate = sinon.stub().resolves({
+    body: {
+      aggregations: {
+        centroid_geohash_grid_frequency: {
+          buckets: [{ key: '9q', doc_count: 3 }, { key: '9r', doc_count: 1 }]
+        }
+      }
+    }
+  })
+  const response = await api.aggregate(
+    null,
+    {
+      aggregations: 'centroid_geohash_grid_frequency,geometry_geotile_grid_frequency',
+      centroid_geohash_grid_frequency_precision: '2',
+    },
+    { aggregate },
+    'endpoint',
+    'GET'
+  )
+
+  t.deepEqual(aggregate.firstCall.args[2], { centroid_geohash_grid_frequency: 2 })
+  t.deepEqual(response.aggregations[0].buckets.map((b) => [b.key, b.frequency]),
+    [['9q', 3], ['9r', 1]])
+  t.deepEqual(response.aggregations[1].buckets, [])
+})
+
+test('grid aggregation precisions are validated', (t) => {
+  t.deepEqual(api.extractAggregationPrecisions({ centroid_geohex_grid_frequency_precision: 15 }),
+    { centroid_geohex_grid_frequency: 15 })
+  for (const params of [
+    { centroid_geohex_grid_frequency_precision: 16 },
+    { geometry_geohash_grid_frequency_precision: '0' },
+    { geometry_geotile_grid_frequency_precision: '1.5' },
+    { centroid_geotile_grid_frequency_precision: 'high' },
+    { centroid_geotile_grid_frequency_precision: '' },
+  ]) {
+    t.throws(() => api.extractAggregationPrecisions(params), { message: /precision/ })
+  }
+})
@@ -38,6 +38,12 @@ test('extractBbox invalid bbox values', (t) => {
     [1, 2, 3],
     [1, 2, 3, 4, 5],
     [1, 2, 3, 4, 5, 6, 7],
+    [0, 0, 200, 10], // longitude > 180
+    [-181, 0, 10, 10], // longitude < -180
+    [0, -91, 10, 10], // latitude < -90
+    [0, 0, 10, 90.5], // latitude > 90
+    [0, 0, 0, 200, 10, 0], // longitude > 180, 3d
+    [0, 0, 0, 10, 100, 0], // latitude > 90, 3d
   ]
 
   for (const bbox of invalidBboxes) {
@@ -50,3 +56,34 @@ test('extractBbox invalid bbox values', (t) => {
     }, { instanceOf: api.ValidationError })
   }
 })
+
+test('extractBbox rejects values that are not numbers', (t) => {
+  for (const bbox of [[0, 0, '1', 1], [0, 0, null, 1], [0, 0, Infinity, 1]]) {
+    t.throws(() => api.extractBbox({ bbox }, 'POST'),
+      { instanceOf: api.ValidationError, message: 'Invalid bbox, must be numbers' })
+  }
+})
+
+test('extractBbox accepts the bounds of the world and bboxes across the antimeridian', (t) => {
+  t.is(api.extractBbox({ bbox: '-180,-90,180,90' }).type, 'Polygon')
+  t.is(api.extractBbox({ bbox: [170, -10, -170, 10] }, 'POST').type, 'MultiPolygon')
+})
+
+test('extractBbox 3d bbox', (t) => {
+  const intersectsGeometry = api.extractBbox({ bbox: [0, 1, 10, 2, 3, 20] }, 'POST')
+  t.deepEqual(intersectsGeometry, {
+    type: 'Polygon',
+    coordinates: [[[0, 1], [2, 1], [2, 3], [0, 3], [0, 1]]]
+  })
+})
+
+test('extractBbox splits a bbox that crosses the antimeridian', (t) => {
+  const intersectsGeometry = api.extractBbox({ bbox: '170,-10,-170,10' })
+  t.deepEqual(intersectsGeometry, {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[170, -10], [180, -10], [180, 10], [170, 10], [170, -10]]],
+      [[[-180, -10], [-170, -10], [-170, 10], [-180, 10], [-180, -10]]]
+    ]
+  })
+})
@@ -0,0 +1,85 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+
+const item = (id, properties = { datetime: '2020-01-01T00:00:00Z' }) => ({
+  type: 'Feature',
+  id,
+  geometry: { type: 'Point', coordinates: [0, 0] },
+  properties,
+  links: [],
+  assets: {}
+})
+
+test('bulkItems indexes the valid Items and reports the status of each', async (t) => {
+  const bulkIndexItems = sinon.stub().resolves([
+    { status: 201, result: 'created' },
+    { status: 409, error: { type: 'version_conflict_engine_exception', reason: 'exists' } },
+    { status: 400, error: { type: 'mapper_parsing_exception', reason: 'bad field' } }
+  ])
+  const response = await api.bulkItems('a', {
+    items: {
+      one: item('one'),
+      two: item('two'),
+      three: item('three', { datetime: null }),
+      four: item('four')
+    }
+  }, { bulkIndexItems })
+
+  const [collectionId, items, method] = bulkIndexItems.firstCall.args
+  t.is(collectionId, 'a')
+  t.deepEqual(items.map((i) => i.id), ['one', 'two', 'four'])
+  t.true(items.every((i) => i.collection === 'a'))
+  t.is(method, 'insert')
+
+  t.deepEqual(response, {
+    created: 1,
+    updated: 0,
+    conflict: 1,
+    invalid: 2,
+    error: 0,
+    items: [
+      { id: 'one', status: 'created' },
+      { id: 'two', status: 'conflict', message: 'exists' },
+      {
+        id: 'three',
+        status: 'invalid',
+        message: 'Item three has no datetime, so it must have start_datetime and end_datetime'
+      },
+      { id: 'four', status: 'invalid', message: 'bad field' }
+    ]
+  })
+})
+
+test('bulkItems upserts an array of Items', async (t) => {
+  const bulkIndexItems = sinon.stub().resolves([
+    { status: 200, result: 'updated' },
+    { status: 201, result: 'created' }
+  ])
+  const response = await api.bulkItems('a', {
+    items: [item('one'), { ...item('two'), collection: 'b' }, item('three')],
+    method: 'upsert'
+  }, { bulkIndexItems })
+
+  t.is(bulkIndexItems.firstCall.args[2], 'upsert')
+  t.deepEqual(response.items.map((i) => i.status), ['updated', 'invalid', 'created'])
+})
+
+test('bulkItems fills in ids from the keys of the items', async (t) => {
+  const bulkIndexItems = sinon.stub().resolves([{ status: 201, result: 'created' }])
+  const { id, ...withoutId } = item('one')
+  await api.bulkItems('a', { items: { [id]: withoutId } }, { bulkIndexItems })
+
+  t.is(bulkIndexItems.firstCall.args[1][0].id, 'one')
+})
+
+test('bulkItems rejects invalid transactions', async (t) => {
+  const backend = { bulkIndexItems: sinon.stub().resolves([]) }
+  await t.throwsAsync(api.bulkItems('a', { items: [], method: 'replace' }, backend),
+    { instanceOf: api.ValidationError, message: /Invalid method/ })
+  await t.throwsAsync(api.bulkItems('a', { items: 'one' }, backend),
+    { instanceOf: api.ValidationError, message: /Invalid items/ })
+  await t.throwsAsync(api.bulkItems('a', undefined, backend),
+    { instanceOf: api.ValidationError })
+  t.false(backend.bulkIndexItems.called)
+})
@@ -0,0 +1,195 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+const { encodePaginationToken } = require('../../src/lib/pagination')
+
+const searchResult = (results) => ({
+  results,
+  context: { limit: 100, matched: results.length, returned: results.length }
+})
+
+// the mapping of a collections index, with the fields the collections have
+const collectionsMapping = {
+  properties: {
+    id: { type: 'keyword' },
+    title: { type: 'text' },
+    extent: { properties: { temporal: { properties: { interval: { type: 'date' } } } } },
+    links: { type: 'object', enabled: false }
+  }
+}
+
+test('getCollections passes the collection search parameters to the backend', async (t) => {
+  const searchCollections = sinon.stub().resolves(searchResult([]))
+  const getCollectionsMapping = sinon.stub().resolves(collectionsMapping)
+  await api.getCollections({ searchCollections, getCollectionsMapping }, 'endpoint', {
+    bbox: '-10,-10,10,10',
+    datetime: '2020-01-01T00:00:00Z/..',
+    q: 'landsat, sentinel',
+    filter: "license = 'MIT'",
+    sortby: '-id'
+  })
+
+  const [params] = searchCollections.firstCall.args
+  t.is(params.intersects.type, 'Polygon')
+  t.is(params.datetime, '2020-01-01T00:00:00Z/..')
+  t.deepEqual(params.q, ['landsat', 'sentinel'])
+  t.deepEqual(params.filter, { op: '=', args: [{ property: 'license' }, 'MIT'] })
+  t.deepEqual(params.sortby, [{ field: 'id', direction: 'desc' }])
+})
+
+test('getCollections only sorts by sortable fields', async (t) => {
+  const searchCollections = sinon.stub().resolves(searchResult([]))
+  const backend = {
+    searchCollections, getCollectionsMapping: sinon.stub().resolves(collectionsMapping)
+  }
+
+  await api.getCollections(backend, 'endpoint', { sortby: '-extent.temporal.interval' })
+  t.deepEqual(searchCollections.firstCall.args[0].sortby,
+    [{ field: 'extent.temporal.interval', direction: 'desc' }])
+
+  for (const sortby of ['title', 'links', 'nope']) {
+    // eslint-disable-next-line no-await-in-loop
+    await t.throwsAsync(api.getCollections(backend, 'endpoint', { sortby }),
+      { instanceOf: api.ValidationError, message: new RegExp(`'${sortby}' is not sortable`) })
+  }
+})
+
+test('getCollections returns numberMatched and numberReturned', async (t) => {
+  const searchCollections = sinon.stub().resolves({
+    results: [{ id: 'a', links: [] }],
+    context: { limit: 100, matched: 3, returned: 1 }
+  })
+  const response = await api.getCollections({ searchCollections }, 'endpoint')
+
+  t.is(response.numberMatched, 3)
+  t.is(response.numberReturned, 1)
+  t.is(response.collections[0].links.find((l) => l.rel === 'self').href,
+    'endpoint/collections/a')
+})
+
+test('getCollections rejects an invalid filter', async (t) => {
+  const searchCollections = sinon.stub().resolves(searchResult([]))
+  await t.throwsAsync(
+    api.getCollections({ searchCollections }, 'endpoint', { filter: 'license =' }),
+    { instanceOf: api.ValidationError }
+  )
+})
+
+test('getCollections links to the next page when there are more collections', async (t) => {
+  const searchCollections = sinon.stub().resolves({
+    ...searchResult([{ id: 'a' }, { id: 'b' }]),
+    hasMore: true,
+    firstSortValues: ['a'],
+    lastSortValues: ['b']
+  })
+  const response = await api.getCollections({ searchCollections }, 'endpoint', {
+    limit: '2', q: 'landsat'
+  })
+
+  t.is(searchCollections.firstCall.args[1], 2)
+  t.falsy(response.links.find((l) => l.rel === 'prev'))
+  const next = response.links.find((l) => l.rel === 'next')
+  const url = new URL(next.href, 'http://localhost')
+  t.is(url.searchParams.get('q'), 'landsat')
+  t.is(url.searchParams.get('limit'), '2')
+
+  await api.getCollections({ searchCollections }, 'endpoint', {
+    limit: '2', next: url.searchParams.get('next')
+  })
+  t.deepEqual(searchCollections.secondCall.args[0].next, ['b'])
+})
+
+test('getCollections paging backwards links to both pages', async (t) => {
+  const searchCollections = sinon.stub().resolves({
+    ...searchResult([{ id: 'c' }]),
+    hasMore: false,
+    firstSortValues: ['c'],
+    lastSortValues: ['c']
+  })
+  const prev = encodePaginationToken({ searchAfter: ['d'] })
+  const response = await api.getCollections({ searchCollections }, 'endpoint', { prev })
+
+  t.deepEqual(searchCollections.firstCall.args[0].prev, ['d'])
+  t.truthy(response.links.find((l) => l.rel === 'next'))
+  t.falsy(response.links.find((l) => l.rel === 'prev'))
+})
+
+test('getCollections rejects invalid pagination tokens', async (t) => {
+  const searchCollections = sinon.stub().resolves(searchResult([]))
+  await t.throwsAsync(
+    api.getCollections({ searchCollections }, 'endpoint', { next: 'not-a-token' }),
+    { instanceOf: api.ValidationError }
+  )
+  await t.throwsAsync(
+    api.getCollections({ searchCollections }, 'endpoint', { next: 'WyJhIl0', prev: 'WyJhIl0' }),
+    { instanceOf: api.ValidationError }
+  )
+})
+
+test('updateCollection returns an Error if the collection does not exist', async (t) => {
+  const backend = {
+    getCollection: sinon.stub().resolves(new Error('Collection not found')),
+    updateCollection: sinon.stub().resolves({})
+  }
+  const response = await api.updateCollection({ id: 'a' }, backend)
+
+  t.true(response instanceof Error)
+  t.false(backend.updateCollection.called)
+})
+
+test('partialUpdateCollection merges objects and replaces arrays', async (t) => {
+  const backend = {
+    getCollection: sinon.stub().resolves({
+      id: 'a',
+      title: 'A',
+      keywords: ['x', 'y'],
+      extent: { spatial: { bbox: [[0, 0, 1, 1]] }, temporal: { interval: [[null, null]] } }
+    }),
+    updateCollection: sinon.stub().resolves({})
+  }
+  await api.partialUpdateCollection('a', {
+    id: 'b',
+    keywords: ['z'],
+    extent: { temporal: { interval: [['2020-01-01T00:00:00Z', null]] } }
+  }, backend)
+
+  t.deepEqual(backend.updateCollection.firstCall.args[0], {
+    id: 'a',
+    title: 'A',
+    keywords: ['z'],
+    extent: {
+      spatial: { bbox: [[0, 0, 1, 1]] },
+      temporal: { interval: [['2020-01-01T00:00:00Z', null]] }
+    }
+  })
+})
+
+test('deleteCollection refuses to delete a collection with items without cascade', async (t) => {
+  const backend = {
+    getCollection: sinon.stub().resolves({ id: 'a' }),
+    countCollectionItems: sinon.stub().resolves(2),
+    deleteCollection: sinon.stub().resolves({})
+  }
+  await t.throwsAsync(api.deleteCollection('a', {}, backend),
+    { instanceOf: api.ConflictError, message: /has 2 items/ })
+  t.false(backend.deleteCollection.called)
+
+  await api.deleteCollection('a', { cascade: 'true' }, backend)
+  t.deepEqual(backend.deleteCollection.firstCall.args, ['a', { retainIndex: false }])
+
+  await api.deleteCollection('a', { cascade: 'true', retain_index: 'true' }, backend)
+  t.deepEqual(backend.deleteCollection.secondCall.args, ['a', { retainIndex: true }])
+})
+
+test('deleteCollection deletes a collection without items', async (t) => {
+  const backend = {
+    getCollection: sinon.stub().resolves({ id: 'a' }),
+    countCollectionItems: sinon.stub().resolves(0),
+    deleteCollection: sinon.stub().resolves({})
+  }
+  await api.deleteCollection('a', {}, backend)
+  t.true(backend.deleteCollection.calledOnce)
+
+  await t.throwsAsync(api.deleteCollection('a', { cascade: 'yes' }, backend),
+    { instanceOf: api.ValidationError })
+})
@@ -77,3 +77,13 @@ test('extractDatetime invalid datetime values', (t) => {
     }, { instanceOf: api.ValidationError })
   }
 })
+
+test('extractDatetimeMode', (t) => {
+  t.is(api.extractDatetimeMode({}), undefined)
+  t.is(api.extractDatetimeMode({ 'datetime-mode': 'contains' }), 'contains')
+  t.is(api.extractDatetimeMode({ 'datetime-mode': 'intersects' }), 'intersects')
+  for (const datetimeMode of ['within', 'CONTAINS', ['contains']]) {
+    t.throws(() => api.extractDatetimeMode({ 'datetime-mode': datetimeMode }),
+      { instanceOf: api.ValidationError })
+  }
+})
@@ -0,0 +1,108 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+
+const item = {
+  type: 'Feature',
+  id: 'item',
+  collection: 'a',
+  geometry: { type: 'Point', coordinates: [0, 0] },
+  properties: { datetime: '2020-01-01T00:00:00Z' },
+  links: []
+}
+
+const document = { _source: item, _seq_no: 7, _primary_term: 2, found: true }
+
+const versionConflict = () => Object.assign(
+  new Error('version_conflict_engine_exception'), { name: 'ResponseError' }
+)
+
+test('etagMatches compares lists of ETags', (t) => {
+  t.true(api.etagMatches('"2-7"', '"2-7"'))
+  t.true(api.etagMatches('"1-1", "2-7"', '"2-7"'))
+  t.true(api.etagMatches('*', '"2-7"'))
+  t.false(api.etagMatches('"2-6"', '"2-7"'))
+  t.false(api.etagMatches('W/"2-7"', '"2-7"'))
+  t.true(api.etagMatches('W/"2-7"', '"2-7"', true))
+})
+
+test('getItemWithEtag returns the ETag of the Item version', async (t) => {
+  const getItemDocument = sinon.stub().resolves(document)
+  const response = await api.getItemWithEtag('a', 'item', { getItemDocument }, 'endpoint')
+
+  t.is(response.etag, '"2-7"')
+  t.is(response.item.id, 'item')
+
+  const missing = await api.getItemWithEtag(
+    'a', 'item', { getItemDocument: sinon.stub().resolves(undefined) }
+  )
+  t.true(missing instanceof Error)
+})
+
+test('updateItem with a matching If-Match writes the version it matched', async (t) => {
+  const backend = {
+    getItemDocument: sinon.stub().resolves(document),
+    updateItem: sinon.stub().resolves({ body: { _seq_no: 8, _primary_term: 2 } })
+  }
+  const response = await api.updateItem({ ...item }, backend, '', '"2-7"')
+
+  t.deepEqual(backend.updateItem.firstCall.args[1], { seqNo: 7, primaryTerm: 2 })
+  t.is(response.etag, '"2-8"')
+})
+
+test('updateItem without If-Match writes unconditionally', async (t) => {
+  const backend = {
+    getItemDocument: sinon.stub().resolves(document),
+    updateItem: sinon.stub().resolves({ body: { _seq_no: 8, _primary_term: 2 } })
+  }
+  await api.updateItem({ ...item }, backend, '', undefined)
+
+  t.false(backend.getItemDocument.called)
+  t.is(backend.updateItem.firstCall.args[1], undefined)
+})
+
+test('writes with an If-Match that does not match fail the precondition', async (t) => {
+  const backend = {
+    getItemDocument: sinon.stub().resolves(document),
+    updateItem: sinon.stub().resolves({}),
+    partialUpdateItem: sinon.stub().resolves({}),
+    deleteItem: sinon.stub().resolves({})
+  }
+  await t.throwsAsync(api.updateItem({ ...item }, backend, '', '"2-6"'),
+    { instanceOf: api.PreconditionFailedError })
+  await t.throwsAsync(api.partialUpdateItem('a', 'item', {}, backend, '', '"2-6"'),
+    { instanceOf: api.PreconditionFailedError })
+  await t.throwsAsync(api.deleteItem('a', 'item', backend, '"2-6"'),
+    { instanceOf: api.PreconditionFailedError })
+  await t.throwsAsync(
+    api.deleteItem('a', 'item', { getItemDocument: sinon.stub().resolves(undefined) }, '*'),
+    { instanceOf: api.PreconditionFailedError }
+  )
+  t.false(backend.updateItem.called)
+  t.false(backend.partialUpdateItem.called)
+  t.false(backend.deleteItem.called)
+})
+
+test('writes that conflict with another write since If-Match was checked fail the precondition', async (t) => {
+  const backend = {
+    getItemDocument: sinon.stub().resolves(document),
+    deleteItem: sinon.stub().rejects(versionConflict())
+  }
+  await t.throwsAsync(api.deleteItem('a', 'item', backend, '"2-7"'),
+    { instanceOf: api.PreconditionFailedError })
+})
+
+test('createItem and updateItem return the written Item with its links', async (t) => {
+  const backend = {
+    indexItem: sinon.stub().resolves({ body: { _seq_no: 0, _primary_term: 1 } }),
+    updateItem: sinon.stub().resolves({ body: { _seq_no: 8, _primary_term: 2 } })
+  }
+  const created = await api.createItem({ ...item, links: [] }, backend, 'endpoint')
+  const updated = await api.updateItem({ ...item, links: [] }, backend, 'endpoint')
+
+  for (const { item: written } of [created, updated]) {
+    t.is(written.links[0].href, 'endpoint/collections/a/items/item')
+  }
+  t.deepEqual(backend.indexItem.firstCall.args[0].links, [])
+  t.is(created.etag, '"1-0"')
+})
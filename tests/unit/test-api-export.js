@@ -0,0 +1,129 @@
+const test = require('ava')
+const sinon = require('sinon')
+const { default: got } = require('got')
+const api = require('../../src/lib/api')
+const { itemsIndexConfiguration } = require('../../fixtures/items')
+const { event } = require('../helpers/aws-tests')
+
+// exports sent from Lambda are limited to this many bytes, and streamed from a server
+process.env['EXPORT_MAX_BYTES'] = '1000'
+process.env['AWS_REGION'] = 'us-east-1'
+const { handler } = require('../../src/lambdas/api')
+const { startApi } = require('../helpers/api')
+
+const backendStub = (items) => ({
+  searchAll: sinon.stub().callsFake(async function* searchAll() {
+    yield* items
+  }),
+  getItemMappings: sinon.stub().resolves([itemsIndexConfiguration().mappings])
+})
+
+const collect = async (iterable) => {
+  const result = []
+  for await (const value of iterable) {
+    result.push(value)
+  }
+  return result
+}
+
+test('exportItems searches for all items with the search parameters', async (t) => {
+  const backend = backendStub([])
+  await collect(await api.exportItems(
+    'landsat-8-l1',
+    { datetime: '2015-01-01T00:00:00Z/..', sortby: '-datetime', fields: 'id', limit: '5' },
+    backend,
+    'endpoint',
+    'GET'
+  ))
+
+  const [searchParams] = backend.searchAll.firstCall.args
+  t.deepEqual(searchParams.collections, ['landsat-8-l1'])
+  t.is(searchParams.datetime, '2015-01-01T00:00:00Z/..')
+  t.deepEqual(searchParams.sortby, [{ field: 'properties.datetime', direction: 'desc' }])
+  t.deepEqual(searchParams.fields, { include: ['id'], exclude: [] })
+  t.false('limit' in searchParams)
+})
+
+test('exportItems adds links to each item', async (t) => {
+  const backend = backendStub([
+    { id: 'a', collection: 'c', links: [] },
+    { id: 'b', collection: 'c', links: [{ rel: 'license', href: 'l' }] }
+  ])
+  const items = await collect(await api.exportItems(null, {}, backend, 'endpoint', 'POST'))
+
+  t.deepEqual(items.map((item) => item.type), ['Feature', 'Feature'])
+  t.is(items[0].links[0].href, 'endpoint/collections/c/items/a')
+  t.deepEqual(items[1].links.map((link) => link.rel),
+    ['self', 'license', 'parent', 'collection', 'root', 'thumbnail'])
+})
+
+test('exportItems rejects invalid parameters before searching', async (t) => {
+  const backend = backendStub([])
+  await t.throwsAsync(
+    () => api.exportItems(null, { bbox: [0, 0, 1, 1], intersects: {} }, backend, 'e', 'POST'),
+    { instanceOf: api.ValidationError }
+  )
+  t.false(backend.searchAll.called)
+})
+
+// Items of about 100 bytes each, searched for by an export
+const stubExport = (count) => {
+  const ids = Array.from({ length: count }, (_, i) => `item-${i}`)
+  const read = []
+  sinon.stub(api, 'exportItems').callsFake(async function* exportItems() {
+    for (const id of ids) {
+      read.push(id)
+      yield { type: 'Feature', id, properties: { description: 'x'.repeat(60) } }
+    }
+  })
+  return read
+}
+
+const exportEvent = {
+  ...event,
+  path: '/search',
+  pathParameters: { proxy: 'search' },
+  queryStringParameters: { f: 'ndjson' },
+  multiValueQueryStringParameters: { f: ['ndjson'] }
+}
+
+const responseBody = (response) => (
+  response.isBase64Encoded ? Buffer.from(response.body, 'base64').toString() : response.body
+)
+
+test.afterEach.always(() => {
+  sinon.restore()
+})
+
+test.serial('exports from Lambda are sent when they are within EXPORT_MAX_BYTES', async (t) => {
+  stubExport(5)
+  const response = await handler(exportEvent, {})
+
+  t.is(response.statusCode, 200)
+  t.regex(response.headers['content-type'], /^application\/x-ndjson/)
+  const body = responseBody(response)
+  t.is(body.trim().split('\n').length, 5)
+})
+
+test.serial('exports from Lambda larger than EXPORT_MAX_BYTES are rejected', async (t) => {
+  const read = stubExport(1000)
+  const response = await handler(exportEvent, {})
+
+  t.is(response.statusCode, 400)
+  const body = responseBody(response)
+  t.regex(body, /Export is larger than the maximum of 1000 bytes/)
+  t.true(read.length < 20)
+})
+
+test.serial('exports from a server are streamed without a limit', async (t) => {
+  stubExport(1000)
+  const server = await startApi()
+  try {
+    const body = await got(`${server.url}/search`, {
+      searchParams: { f: 'ndjson' }, headers: { 'X-Forwarded-Proto': 'http' }
+    }).text()
+    t.is(body.trim().split('\n').length, 1000)
+  } finally {
+    await server.close()
+  }
+})
@@ -1,5 +1,12 @@
 const test = require('ava')
 const api = require('../../src/lib/api')
+const { MAX_VERTICES } = require('../../src/lib/geometry')
+
+const square = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]
+const polygon = { type: 'Polygon', coordinates: square }
+const point = { type: 'Point', coordinates: [2, 3] }
+
+const feature = (geometry) => ({ type: 'Feature', geometry, properties: {} })
 
 test('extractIntersectsNull', (t) => {
   const params = {}
@@ -8,12 +15,148 @@ test('extractIntersectsNull', (t) => {
     'Returns undefined when no intersects parameter')
 })
 
-test('extractIntersects FeatureCollection', (t) => {
-  t.throws(() => {
-    api.extractIntersects({
-      intersects: { type: 'FeatureCollection' }
+test('extractIntersects returns a geometry', (t) => {
+  t.deepEqual(api.extractIntersects({ intersects: polygon }), polygon)
+  t.deepEqual(api.extractIntersects({ intersects: JSON.stringify(point) }), point)
+})
+
+test('extractIntersects Feature is its geometry', (t) => {
+  t.deepEqual(api.extractIntersects({ intersects: feature(polygon) }), polygon)
+})
+
+test('extractIntersects FeatureCollection is the collection of its geometries', (t) => {
+  t.deepEqual(api.extractIntersects({
+    intersects: {
+      type: 'FeatureCollection',
+      features: [feature(polygon), feature(null), feature(point)]
+    }
+  }), { type: 'GeometryCollection', geometries: [polygon, point] })
+
+  t.deepEqual(api.extractIntersects({
+    intersects: { type: 'FeatureCollection', features: [feature(point)] }
+  }), point)
+})
+
+test('extractIntersects flattens nested GeometryCollections', (t) => {
+  t.deepEqual(api.extractIntersects({
+    intersects: {
+      type: 'GeometryCollection',
+      geometries: [polygon, { type: 'GeometryCollection', geometries: [point] }]
+    }
+  }), { type: 'GeometryCollection', geometries: [polygon, point] })
+})
+
+test('extractIntersects rejects GeometryCollections that are nested too deeply', (t) => {
+  const nest = (depth) => {
+    let geometry = point
+    for (let i = 0; i < depth; i += 1) {
+      geometry = { type: 'GeometryCollection', geometries: [geometry, point] }
+    }
+    return geometry
+  }
+  for (const intersects of [nest(20000), feature(nest(20000)), nest(101)]) {
+    t.throws(() => api.extractIntersects({ intersects }), {
+      instanceOf: api.ValidationError,
+      message: /^Invalid intersects geometry, GeometryCollections are nested more than 100 deep/
     })
-  },
-  { instanceOf: Error, message: 'Expected GeoJSON geometry, not Feature or FeatureCollection' },
-  'Throws exception when GeoJSON type is FeatureCollection')
+  }
+  t.is(api.extractIntersects({ intersects: nest(100) }).geometries.length, 101)
+
+  const filter = {
+    op: 's_intersects', args: [{ property: 'geometry' }, nest(20000).geometries[0]]
+  }
+  t.throws(() => api.extractFilter({ filter }), {
+    instanceOf: api.ValidationError,
+    message: /^Invalid filter geometry, GeometryCollections are nested more than 100 deep/
+  })
+})
+
+test('extractIntersects FeatureCollection without geometries', (t) => {
+  for (const intersects of [
+    { type: 'FeatureCollection' },
+    { type: 'FeatureCollection', features: [] },
+    { type: 'FeatureCollection', features: [feature(null)] },
+    { type: 'Feature', geometry: null }
+  ]) {
+    t.throws(
+      () => api.extractIntersects({ intersects }),
+      { instanceOf: api.ValidationError, message: /^Invalid intersects, expected/ },
+      JSON.stringify(intersects)
+    )
+  }
+})
+
+test('extractIntersects rejects invalid geometries', (t) => {
+  const invalid = [
+    [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] },
+      'the linear ring at intersects.coordinates[0] is not closed'],
+    [{ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] },
+      'expected a linear ring of at least 4 positions at intersects.coordinates[0]'],
+    [{ type: 'Point', coordinates: [181, 0] },
+      'longitude 181 at intersects.coordinates is not between -180 and 180'],
+    [{ type: 'LineString', coordinates: [[0, 0], [0, -91]] },
+      'latitude -91 at intersects.coordinates[1] is not between -90 and 90'],
+    [{ type: 'MultiPoint', coordinates: [[0, 0], [0, 'a']] },
+      'expected a position of 2 or 3 numbers at intersects.coordinates[1]'],
+    [{ type: 'GeometryCollection', geometries: [point, { type: 'Circle' }] },
+      'unknown type "Circle" at intersects.geometries[1]'],
+    [feature({ type: 'LineString', coordinates: [[0, 0]] }),
+      'expected a line string of at least 2 positions at intersects.coordinates']
+  ]
+  for (const [intersects, message] of invalid) {
+    t.throws(
+      () => api.extractIntersects({ intersects }),
+      { instanceOf: api.ValidationError, message: `Invalid intersects geometry, ${message}` }
+    )
+  }
+})
+
+test('extractIntersects rejects geometries with too many vertices', (t) => {
+  const coordinates = Array.from({ length: MAX_VERTICES + 1 }, (_, i) => [i / MAX_VERTICES, 0])
+  t.throws(
+    () => api.extractIntersects({ intersects: { type: 'LineString', coordinates } }),
+    { instanceOf: api.ValidationError, message: /more than the maximum of 10000/ }
+  )
+})
+
+test('extractIntersects rejects invalid JSON', (t) => {
+  t.throws(
+    () => api.extractIntersects({ intersects: '{"type": "Point",' }),
+    { instanceOf: api.ValidationError, message: 'Invalid GeoJSON geometry' }
+  )
+})
+
+test('extractIntersects splits a polygon that crosses the antimeridian', (t) => {
+  const intersects = {
+    type: 'Polygon',
+    coordinates: [[[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]]
+  }
+  t.deepEqual(api.extractIntersects({ intersects }), {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[170, -10], [180, -10], [180, 10], [170, 10], [170, -10]]],
+      [[[-180, -10], [-170, -10], [-170, 10], [-180, 10], [-180, -10]]]
+    ]
+  })
+})
+
+test('extractIntersects splits a line that crosses the antimeridian', (t) => {
+  const intersects = { type: 'LineString', coordinates: [[170, 0], [-170, 10], [-160, 10]] }
+  t.deepEqual(api.extractIntersects({ intersects }), {
+    type: 'MultiLineString',
+    coordinates: [
+      [[170, 0], [180, 5]],
+      [[-180, 5], [-170, 10], [-160, 10]]
+    ]
+  })
+})
+
+test('extractIntersects leaves geometries that do not cross the antimeridian', (t) => {
+  const intersects = {
+    type: 'Polygon',
+    coordinates: [[
+      [-170, -10], [0, -10], [170, -10], [170, 10], [0, 10], [-170, 10], [-170, -10]
+    ]]
+  }
+  t.deepEqual(api.extractIntersects({ intersects }), intersects)
 })
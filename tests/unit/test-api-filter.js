@@ -0,0 +1,89 @@
+const test = require('ava')
+const api = require('../../src/lib/api')
+
+test('extractFilter undefined', (t) => {
+  t.is(api.extractFilter({}), undefined, 'Returns undefined when no filter parameter')
+})
+
+test('extractFilter parses a JSON string', (t) => {
+  const filter = api.extractFilter({
+    filter: '{"op":"=","args":[{"property":"platform"},"landsat-8"]}',
+    'filter-lang': 'cql2-json'
+  })
+  t.deepEqual(filter, { op: '=', args: [{ property: 'platform' }, 'landsat-8'] })
+})
+
+test('extractFilter normalizes comparisons with the property second', (t) => {
+  const filter = api.extractFilter({
+    filter: { op: '<', args: [10, { property: 'eo:cloud_cover' }] }
+  })
+  t.deepEqual(filter, { op: '>', args: [{ property: 'eo:cloud_cover' }, 10] })
+})
+
+test('extractFilter unwraps timestamp literals', (t) => {
+  const filter = api.extractFilter({
+    filter: {
+      op: 'and',
+      args: [
+        { op: '>=', args: [{ property: 'datetime' }, { timestamp: '2015-01-01T00:00:00Z' }] },
+        { op: 'between', args: [{ property: 'view:sun_elevation' }, [10, 20]] }
+      ]
+    }
+  })
+  t.deepEqual(filter.args[0].args, [{ property: 'datetime' }, '2015-01-01T00:00:00Z'])
+  t.deepEqual(filter.args[1].args, [{ property: 'view:sun_elevation' }, 10, 20])
+})
+
+test('extractFilter rejects non-spatial operators on spatial properties', (t) => {
+  for (const filter of [
+    { op: '=', args: [{ property: 'geometry' }, 'POINT(0 0)'] },
+    { op: '<', args: [1, { property: 'bbox' }] },
+    { op: 'like', args: [{ property: 'geometry' }, 'POINT%'] },
+    { op: 'between', args: [{ property: 'bbox' }, 0, 1] },
+    { op: 'in', args: [{ property: 'geometry' }, ['a']] },
+    { op: 't_after', args: [{ property: 'geometry' }, '2020-01-01T00:00:00Z'] }
+  ]) {
+    t.throws(() => api.extractFilter({ filter }),
+      { instanceOf: api.ValidationError, message: /cannot be used with the spatial property/ })
+  }
+  t.truthy(api.extractFilter({ filter: 'geometry IS NULL' }))
+  t.truthy(api.extractFilter({ filter: 'S_INTERSECTS(geometry, POINT(0 0))' }))
+})
+
+test('extractFilter invalid filters', (t) => {
+  const invalidFilters = [
+    '{"op":',
+    { op: 'foo', args: [] },
+    { op: 'and', args: [{ op: 'isNull', args: [{ property: 'a' }] }] },
+    { op: '=', args: [{ property: 'a' }] },
+    { op: '=', args: [{ property: 'a' }, { property: 'b' }] },
+    { op: '=', args: ['a', 'b'] },
+    { op: '<', args: [{ property: 'a' }, true] },
+    { op: 'like', args: [{ property: 'a' }, 1] },
+    { op: 'in', args: [{ property: 'a' }, []] },
+    { op: 'between', args: [{ property: 'a' }, 1] },
+    { op: 's_intersects', args: [{ property: 'geometry' }, { type: 'Point', coordinates: [1] }] },
+    { op: 's_intersects', args: [{ property: 'geometry' }, { bbox: [0, 1, 2] }] },
+    { op: 's_within', args: [{ property: 'geometry' }, 'POINT(1 2)'] },
+    { op: 't_after', args: [{ property: 'datetime' }, { interval: ['2020-01-01'] }] },
+    { op: 't_after', args: [{ property: 'datetime' }, '..'] },
+    { op: 't_before', args: [{ property: 'datetime' }, { property: 'updated' }] },
+    { args: [] }
+  ]
+
+  for (const filter of invalidFilters) {
+    t.throws(() => {
+      api.extractFilter({ filter })
+    }, { instanceOf: api.ValidationError }, `filter ${JSON.stringify(filter)}`)
+  }
+})
+
+test('extractFilter invalid filter-lang and filter-crs', (t) => {
+  const filter = { op: 'isNull', args: [{ property: 'a' }] }
+  t.throws(() => {
+    api.extractFilter({ filter, 'filter-lang': 'cql-text' })
+  }, { instanceOf: api.ValidationError })
+  t.throws(() => {
+    api.extractFilter({ filter, 'filter-crs': 'http://www.opengis.net/def/crs/EPSG/0/4326' })
+  }, { instanceOf: api.ValidationError })
+})
@@ -0,0 +1,62 @@
+const test = require('ava')
+const api = require('../../src/lib/api')
+
+test('extractStacQuery undefined', (t) => {
+  t.is(api.extractStacQuery({}), undefined, 'Returns undefined when no query parameter')
+})
+
+test('extractStacQuery parses a JSON string', (t) => {
+  const query = api.extractStacQuery({
+    query: '{"eo:cloud_cover":{"lt":10},"platform":{"in":["landsat-8"]}}'
+  })
+  t.deepEqual(query, { 'eo:cloud_cover': { lt: 10 }, platform: { in: ['landsat-8'] } })
+})
+
+test('extractStacQuery accepts every Query extension operator', (t) => {
+  const query = {
+    id: { startsWith: 'LC8', endsWith: '00', contains: '1001' },
+    collection: { neq: 'landsat-8-l2' },
+    'properties.eo:cloud_cover': { gt: 1, gte: 1, lt: 10, lte: 10 },
+    'landsat:scene_id': { eq: 'LC80100102015050LGN00' },
+    'sat:orbit_state': { in: ['ascending', 'descending'] },
+    'view:off_nadir': { eq: 0 },
+    'landsat:processed': { eq: true }
+  }
+  t.deepEqual(api.extractStacQuery({ query }), query)
+})
+
+test('extractStacQuery rejects unknown operators', (t) => {
+  const error = t.throws(
+    () => api.extractStacQuery({ query: { 'eo:cloud_cover': { lessThan: 10 } } }),
+    { instanceOf: api.ValidationError }
+  )
+  t.regex(error.message, /unknown operator 'lessThan' for 'eo:cloud_cover'/)
+})
+
+test('extractStacQuery rejects values of the wrong type', (t) => {
+  const invalid = [
+    { platform: { in: 'landsat-8' } },
+    { platform: { in: [] } },
+    { platform: { startsWith: 8 } },
+    { 'eo:cloud_cover': { lt: true } },
+    { 'eo:cloud_cover': { eq: { value: 1 } } },
+    { 'eo:cloud_cover': 10 },
+    { 'eo:cloud_cover': {} },
+    ['eo:cloud_cover']
+  ]
+  for (const query of invalid) {
+    t.throws(() => api.extractStacQuery({ query }), { instanceOf: api.ValidationError })
+  }
+})
+
+test('extractStacQuery rejects spatial properties', (t) => {
+  for (const property of ['geometry', 'bbox']) {
+    t.throws(() => api.extractStacQuery({ query: { [property]: { eq: 'POINT(0 0)' } } }),
+      { instanceOf: api.ValidationError, message: new RegExp(`'${property}' is spatial`) })
+  }
+})
+
+test('extractStacQuery rejects invalid JSON', (t) => {
+  t.throws(() => api.extractStacQuery({ query: '{"platform":' }),
+    { instanceOf: api.ValidationError })
+})
@@ -0,0 +1,88 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+const { itemsIndexConfiguration } = require('../../fixtures/items')
+
+const backendStub = () => ({
+  search: sinon.stub().resolves({
+    results: [], context: { limit: 10, matched: 0, returned: 0 }
+  }),
+  getItemMappings: sinon.stub().resolves([itemsIndexConfiguration().mappings]),
+  getCollection: sinon.stub().resolves({ id: 'landsat-8-l1' })
+})
+
+test('extractSortby parses GET and POST sortby', (t) => {
+  t.deepEqual(api.extractSortby({ sortby: '-datetime,+id,collection' }), [
+    { field: 'datetime', direction: 'desc' },
+    { field: 'id', direction: 'asc' },
+    { field: 'collection', direction: 'asc' }
+  ])
+  t.deepEqual(api.extractSortby({ sortby: [{ field: 'id' }, { field: 'a', direction: 'DESC' }] }), [
+    { field: 'id', direction: 'asc' },
+    { field: 'a', direction: 'desc' }
+  ])
+})
+
+test('extractSortby rejects invalid sortby', (t) => {
+  for (const sortby of [
+    'id,,datetime',
+    '-',
+    { field: 'id' },
+    [{ field: 'id', direction: 'up' }],
+    [{ direction: 'asc' }],
+    ['id']
+  ]) {
+    t.throws(
+      () => api.extractSortby({ sortby }),
+      { instanceOf: api.ValidationError, message: /Invalid sortby/ },
+      JSON.stringify(sortby)
+    )
+  }
+})
+
+test('searchItems sorts by sortable fields with the properties prefix', async (t) => {
+  const backend = backendStub()
+  await api.searchItems(
+    'landsat-8-l1', { sortby: '-datetime,properties.sat:absolute_orbit,id' }, backend, 'e', 'GET'
+  )
+
+  t.deepEqual(backend.getItemMappings.firstCall.args[0], ['landsat-8-l1'])
+  t.deepEqual(backend.search.firstCall.args[0].sortby, [
+    { field: 'properties.datetime', direction: 'desc' },
+    { field: 'properties.sat:absolute_orbit', direction: 'asc' },
+    { field: 'id', direction: 'asc' }
+  ])
+})
+
+test('searchItems rejects sortby fields that are not sortable', async (t) => {
+  for (const field of ['geometry', 'properties.not_mapped', 'assets']) {
+    const backend = backendStub()
+    // eslint-disable-next-line no-await-in-loop
+    await t.throwsAsync(
+      api.searchItems(null, { sortby: [{ field, direction: 'asc' }] }, backend, 'e', 'POST'),
+      { instanceOf: api.ValidationError, message: new RegExp(`'${field}' is not sortable`) }
+    )
+    t.false(backend.search.called)
+  }
+})
+
+test('searchItems without sortby does not read the mappings', async (t) => {
+  const backend = backendStub()
+  await api.searchItems(null, {}, backend, 'e', 'GET')
+  t.false(backend.getItemMappings.called)
+})
+
+test('getSortables lists the sortable fields', async (t) => {
+  const backend = backendStub()
+  const sortables = await api.getSortables('landsat-8-l1', backend, 'endpoint')
+
+  t.is(sortables.$id, 'endpoint/collections/landsat-8-l1/sortables')
+  t.deepEqual(sortables.properties.id, {
+    title: 'Item ID', description: 'Item identifier', type: 'string'
+  })
+  t.truthy(sortables.properties.datetime)
+  t.falsy(sortables.properties.geometry)
+
+  backend.getCollection.resolves(new Error('Collection not found'))
+  t.true(await api.getSortables('missing', backend, 'endpoint') instanceof Error)
+})
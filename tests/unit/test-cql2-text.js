@@ -0,0 +1,241 @@
+const test = require('ava')
+const { parseCql2Text } = require('../../src/lib/cql2-text')
+const { parseFilter } = require('../../src/lib/cql2')
+const { ValidationError } = require('../../src/lib/errors')
+
+test('parseCql2Text comparisons and logical operators', (t) => {
+  t.deepEqual(
+    parseCql2Text("eo:cloud_cover < 10 AND platform = 'sentinel-2a'"),
+    {
+      op: 'and',
+      args: [
+        { op: '<', args: [{ property: 'eo:cloud_cover' }, 10] },
+        { op: '=', args: [{ property: 'platform' }, 'sentinel-2a'] }
+      ]
+    }
+  )
+  t.deepEqual(
+    parseCql2Text('a = 1 or b = 2 and not c <> 3'),
+    {
+      op: 'or',
+      args: [
+        { op: '=', args: [{ property: 'a' }, 1] },
+        {
+          op: 'and',
+          args: [
+            { op: '=', args: [{ property: 'b' }, 2] },
+            { op: 'not', args: [{ op: '<>', args: [{ property: 'c' }, 3] }] }
+          ]
+        }
+      ]
+    },
+    'AND binds more tightly than OR'
+  )
+})
+
+test('parseCql2Text advanced comparison operators', (t) => {
+  t.deepEqual(
+    parseCql2Text("id NOT LIKE 'LC8%'"),
+    { op: 'not', args: [{ op: 'like', args: [{ property: 'id' }, 'LC8%'] }] }
+  )
+  t.deepEqual(
+    parseCql2Text('view:sun_elevation BETWEEN -10.5 AND 2e1'),
+    { op: 'between', args: [{ property: 'view:sun_elevation' }, -10.5, 20] }
+  )
+  t.deepEqual(
+    parseCql2Text("collection IN ('a', 'it''s')"),
+    { op: 'in', args: [{ property: 'collection' }, ['a', "it's"]] }
+  )
+  t.deepEqual(
+    parseCql2Text('"eo:cloud cover" IS NOT NULL'),
+    { op: 'not', args: [{ op: 'isNull', args: [{ property: 'eo:cloud cover' }] }] }
+  )
+  t.deepEqual(
+    parseCql2Text("datetime > TIMESTAMP('2020-01-01T00:00:00Z')"),
+    { op: '>', args: [{ property: 'datetime' }, { timestamp: '2020-01-01T00:00:00Z' }] }
+  )
+})
+
+test('parseCql2Text spatial predicates with WKT geometries', (t) => {
+  t.deepEqual(
+    parseCql2Text('S_INTERSECTS(geometry, POLYGON((0 0, 1 0, 1 1, 0 0)))'),
+    {
+      op: 's_intersects',
+      args: [
+        { property: 'geometry' },
+        { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+      ]
+    }
+  )
+  t.deepEqual(
+    parseCql2Text('s_within(geometry, BBOX(-10, -5.5, 10, 5.5))').args[1],
+    { bbox: [-10, -5.5, 10, 5.5] }
+  )
+  t.deepEqual(
+    parseCql2Text('s_disjoint(geometry, MULTIPOINT Z((1 2 3), 4 5 6))').args[1],
+    { type: 'MultiPoint', coordinates: [[1, 2, 3], [4, 5, 6]] }
+  )
+  t.deepEqual(
+    parseCql2Text('s_contains(geometry, GEOMETRYCOLLECTION(POINT(1 2), LINESTRING(0 0, 1 1)))')
+      .args[1],
+    {
+      type: 'GeometryCollection',
+      geometries: [
+        { type: 'Point', coordinates: [1, 2] },
+        { type: 'LineString', coordinates: [[0, 0], [1, 1]] }
+      ]
+    }
+  )
+  t.deepEqual(
+    parseCql2Text('point = 1'),
+    { op: '=', args: [{ property: 'point' }, 1] },
+    'geometry type names can be property names'
+  )
+})
+
+test('parseCql2Text temporal predicates', (t) => {
+  t.deepEqual(
+    parseCql2Text("T_DURING(datetime, INTERVAL('2020-01-01T00:00:00Z', '..'))"),
+    { op: 't_during', args: [{ property: 'datetime' }, { interval: ['2020-01-01T00:00:00Z', '..'] }] }
+  )
+  t.deepEqual(
+    parseCql2Text("not t_finishedBy(datetime, DATE('2020-01-01'))"),
+    {
+      op: 'not',
+      args: [{ op: 't_finishedBy', args: [{ property: 'datetime' }, { date: '2020-01-01' }] }]
+    }
+  )
+})
+
+test('spatial and temporal literals are normalized', (t) => {
+  t.deepEqual(
+    parseFilter('s_within(POINT(1 2), geometry)', 'cql2-text'),
+    { op: 's_contains', args: [{ property: 'geometry' }, { type: 'Point', coordinates: [1, 2] }] },
+    'the property is moved to the first argument'
+  )
+  t.deepEqual(
+    parseFilter({ op: 's_intersects', args: [{ property: 'geometry' }, { bbox: [0, 1, 2, 3] }] })
+      .args[1],
+    { type: 'Polygon', coordinates: [[[0, 1], [2, 1], [2, 3], [0, 3], [0, 1]]] }
+  )
+  t.deepEqual(
+    parseFilter("T_AFTER(TIMESTAMP('2020-01-01T00:00:00Z'), datetime)", 'cql2-text'),
+    {
+      op: 't_before',
+      args: [
+        { property: 'datetime' },
+        { interval: ['2020-01-01T00:00:00Z', '2020-01-01T00:00:00Z'] }
+      ]
+    }
+  )
+  t.deepEqual(
+    parseFilter("t_intersects(updated, INTERVAL(DATE('2020-01-01'), '..'))", 'cql2-text'),
+    { op: 't_intersects', args: [{ property: 'updated' }, { interval: ['2020-01-01', '..'] }] }
+  )
+})
+
+test('spatial literals that cross the antimeridian are split', (t) => {
+  t.deepEqual(
+    parseFilter('S_INTERSECTS(geometry, BBOX(170, -10, -170, 10))', 'cql2-text').args[1],
+    {
+      type: 'MultiPolygon',
+      coordinates: [
+        [[[170, -10], [180, -10], [180, 10], [170, 10], [170, -10]]],
+        [[[-180, -10], [-170, -10], [-170, 10], [-180, 10], [-180, -10]]]
+      ]
+    }
+  )
+  t.is(
+    parseFilter('S_INTERSECTS(geometry, LINESTRING(170 0, -170 0))', 'cql2-text').args[1].type,
+    'MultiLineString'
+  )
+})
+
+test('invalid spatial literals are rejected', (t) => {
+  for (const filter of [
+    'S_INTERSECTS(geometry, POINT(200 0))',
+    'S_INTERSECTS(geometry, POLYGON((0 0, 1 0, 1 1, 0 1)))',
+    'S_INTERSECTS(geometry, BBOX(0, -100, 1, 1))'
+  ]) {
+    t.throws(() => parseFilter(filter, 'cql2-text'), { instanceOf: ValidationError }, filter)
+  }
+  t.throws(() => parseFilter({
+    op: 's_intersects',
+    args: [{ property: 'geometry' }, { type: 'Point', coordinates: [0, 91] }]
+  }), { instanceOf: ValidationError })
+})
+
+test('cql2-text and cql2-json filters produce the same AST', (t) => {
+  const text = "(platform = 'landsat-8' OR gsd <= 30) AND NOT id IN ('a', 'b')"
+  const json = {
+    op: 'and',
+    args: [
+      {
+        op: 'or',
+        args: [
+          { op: '=', args: [{ property: 'platform' }, 'landsat-8'] },
+          { op: '<=', args: [{ property: 'gsd' }, 30] }
+        ]
+      },
+      { op: 'not', args: [{ op: 'in', args: [{ property: 'id' }, ['a', 'b']] }] }
+    ]
+  }
+  t.deepEqual(parseFilter(text, 'cql2-text'), parseFilter(json, 'cql2-json'))
+})
+
+test('parseCql2Text reports the position of syntax errors', (t) => {
+  const invalidFilters = [
+    ["a = 'b", 'Invalid filter, unterminated string at position 5'],
+    ['a == 1', "Invalid filter, expected a property name or a literal value but found '=' at position 4"],
+    ['(a = 1', "Invalid filter, expected ')' but found end of input at position 7"],
+    ['a = 1 b = 2', "Invalid filter, expected AND, OR or end of input but found 'b' at position 7"],
+    ['a # 1', "Invalid filter, unexpected character '#' at position 3"],
+    ['a IS 1', "Invalid filter, expected NULL but found '1' at position 6"],
+    ['a BETWEEN 1 OR 2', "Invalid filter, expected AND but found 'OR' at position 13"],
+    ['a', 'Invalid filter, expected a comparison operator, LIKE, BETWEEN, IN or IS NULL but found end of input at position 2'],
+    ['foo(1) = 2', "Invalid filter, unsupported function 'foo' at position 1"],
+    ['s_intersects(geometry, POINT(1))', "Invalid filter, expected a number but found ')' at position 31"],
+    ['s_intersects(geometry, POINT(1 2, 3 4))', "Invalid filter, expected ')' but found ',' at position 33"],
+    ['s_intersects(geometry, MULTIPOINT((1 2), (3 4, 5 6)))', "Invalid filter, expected ')' but found ',' at position 46"],
+    ['s_intersects(geometry, POINT M(1 2 3))', "Invalid filter, unsupported geometry 'POINT M' at position 30"],
+    ["t_after(datetime, INTERVAL('2020-01-01'))", "Invalid filter, expected ',' but found ')' at position 40"]
+  ]
+
+  for (const [filter, message] of invalidFilters) {
+    t.throws(() => {
+      parseCql2Text(filter)
+    }, { instanceOf: ValidationError, message }, filter)
+  }
+})
+
+test('parseCql2Text rejects filters that are nested too deeply', (t) => {
+  for (const filter of [
+    `${'('.repeat(20000)}a = 1${')'.repeat(20000)}`,
+    `${'NOT '.repeat(20000)}a = 1`,
+    `s_intersects(geometry, ${'GEOMETRYCOLLECTION('.repeat(20000)}POINT(1 2)${')'.repeat(20000)})`
+  ]) {
+    t.throws(() => parseCql2Text(filter), {
+      instanceOf: ValidationError, message: /filter is nested too deeply at position \d+/
+    })
+  }
+  t.truthy(parseCql2Text(`${'('.repeat(50)}a = 1${')'.repeat(50)}`))
+})
+
+test('parseFilter rejects cql2-json filters that are nested too deeply', (t) => {
+  const nest = (depth) => {
+    let filter = { op: '=', args: [{ property: 'a' }, 1] }
+    for (let i = 0; i < depth; i += 1) {
+      filter = i % 2 ? { op: 'not', args: [filter] } : { op: 'and', args: [filter, true] }
+    }
+    return filter
+  }
+  const comparison = '{"op":"=","args":[{"property":"a"},1]}'
+  const text = `${'{"op":"not","args":['.repeat(20000)}${comparison}${']}'.repeat(20000)}`
+  for (const filter of [nest(20000), text, nest(101)]) {
+    t.throws(() => parseFilter(filter, 'cql2-json'), {
+      instanceOf: ValidationError, message: /nested more than 100 deep/
+    })
+  }
+  t.truthy(parseFilter(nest(100), 'cql2-json'))
+  t.truthy(parseFilter(`${'NOT ('.repeat(50)}a = 1${')'.repeat(50)}`, 'cql2-text'))
+})
@@ -0,0 +1,159 @@
+const test = require('ava')
+const sinon = require('sinon')
+const dbClient = require('../../src/lib/databaseClient')
+const db = require('../../src/lib/database')
+const api = require('../../src/lib/api')
+
+// a search response with a hit for each of the ids
+const searchResponse = (ids, pit) => ({
+  body: {
+    hits: {
+      total: { value: ids.length },
+      hits: ids.map((id, i) => ({ _source: { id }, sort: [i, id] }))
+    },
+    pit_id: pit
+  }
+})
+
+// a client with the responses to searches, in order, that creates points in time
+const stubClient = (...responses) => {
+  const client = {
+    search: sinon.stub(),
+    transport: {
+      request: sinon.stub().callsFake(async ({ method }) => (
+        method === 'POST' ? { body: { pit_id: 'created-pit' } } : { body: {} }
+      ))
+    }
+  }
+  responses.forEach((response, i) => {
+    if (response instanceof Error) {
+      client.search.onCall(i).rejects(response)
+    } else {
+      client.search.onCall(i).resolves(response)
+    }
+  })
+  sinon.stub(dbClient, 'client').resolves(client)
+  return client
+}
+
+test.beforeEach(() => {
+  process.env.ENABLE_POINT_IN_TIME_PAGINATION = 'true'
+})
+
+test.afterEach.always(() => {
+  sinon.restore()
+  delete process.env.ENABLE_POINT_IN_TIME_PAGINATION
+})
+
+test.serial('a tile is searched without creating a point in time', async (t) => {
+  const ids = Array.from({ length: 1001 }, (_, i) => `item-${i}`)
+  const client = stubClient(searchResponse(ids))
+  await api.getItemsTile('x', { z: '0', x: '0', y: '0' }, {}, db)
+
+  t.is(client.search.callCount, 1)
+  t.is(client.transport.request.callCount, 0)
+})
+
+const pitRequests = (client, method) => client.transport.request.getCalls()
+  .map((call) => call.args[0]).filter((request) => request.method === method)
+
+test.serial('search creates a point in time when there are more results', async (t) => {
+  const client = stubClient(searchResponse(['a', 'b', 'c']))
+  const response = await db.search({ collections: ['x'] }, undefined, 2)
+
+  t.true(response.hasMore)
+  t.is(response.pit, 'created-pit')
+  const [create] = pitRequests(client, 'POST')
+  t.is(create.path, '/x/_search/point_in_time')
+  t.deepEqual(create.querystring, { keep_alive: '1m' })
+  t.is(pitRequests(client, 'DELETE').length, 0)
+})
+
+test.serial('search does not create a point in time for a single page', async (t) => {
+  const client = stubClient(searchResponse(['a', 'b']))
+  const response = await db.search({ collections: ['x'] }, undefined, 2)
+
+  t.false(response.hasMore)
+  t.is(response.pit, undefined)
+  t.is(client.transport.request.callCount, 0)
+})
+
+test.serial('search reuses the point in time of the previous page', async (t) => {
+  const client = stubClient(searchResponse(['c', 'd', 'e'], 'renewed-pit'))
+  const response = await db.search(
+    { collections: ['x'], searchAfter: [1, 'b'], pit: 'old-pit' }, undefined, 2
+  )
+
+  const [searchParams] = client.search.firstCall.args
+  t.is(searchParams.index, undefined)
+  t.deepEqual(searchParams.body.pit, { id: 'old-pit', keep_alive: '1m' })
+  t.is(response.pit, 'renewed-pit')
+  t.is(client.transport.request.callCount, 0)
+})
+
+test.serial('search continues without a point in time that has expired', async (t) => {
+  const expired = Object.assign(new Error('search_context_missing_exception'), {
+    name: 'ResponseError', meta: { statusCode: 404 }
+  })
+  const client = stubClient(expired, searchResponse(['c', 'd', 'e']))
+  const response = await db.search(
+    { collections: ['x'], searchAfter: [1, 'b'], pit: 'old-pit' }, undefined, 2
+  )
+
+  t.is(client.search.callCount, 2)
+  const [searchParams] = client.search.secondCall.args
+  t.deepEqual(searchParams.index, ['x'])
+  t.is(searchParams.body.pit, undefined)
+  t.deepEqual(response.results.map(({ id }) => id), ['c', 'd'])
+  t.is(response.pit, 'created-pit')
+  t.is(pitRequests(client, 'POST').length, 1)
+})
+
+test.serial('search deletes the point in time on the last page', async (t) => {
+  const client = stubClient(searchResponse(['e'], 'old-pit'))
+  const response = await db.search(
+    { collections: ['x'], searchAfter: [1, 'd'], pit: 'old-pit' }, undefined, 2
+  )
+
+  t.false(response.hasMore)
+  t.is(response.pit, undefined)
+  t.deepEqual(pitRequests(client, 'DELETE').map(({ body }) => body), [{ pit_id: ['old-pit'] }])
+  t.is(pitRequests(client, 'POST').length, 0)
+})
+
+test.serial('search keeps the point in time on the first page read backwards', async (t) => {
+  const client = stubClient(searchResponse(['b', 'a'], 'old-pit'))
+  const response = await db.search(
+    { collections: ['x'], searchBefore: [2, 'c'], pit: 'old-pit' }, undefined, 2
+  )
+
+  t.false(response.hasMore)
+  t.deepEqual(response.results.map(({ id }) => id), ['a', 'b'])
+  t.is(response.pit, 'old-pit')
+  t.is(client.transport.request.callCount, 0)
+})
+
+test.serial('searchAll deletes its point in time when all items are read', async (t) => {
+  const client = stubClient(searchResponse(['a', 'b'], 'pit-1'), searchResponse(['c'], 'pit-2'))
+  const ids = []
+  for await (const item of db.searchAll({ collections: ['x'] }, 2)) {
+    ids.push(item.id)
+  }
+
+  t.deepEqual(ids, ['a', 'b', 'c'])
+  t.is(pitRequests(client, 'POST').length, 1)
+  t.is(client.search.secondCall.args[0].body.pit.id, 'pit-1')
+  t.deepEqual(pitRequests(client, 'DELETE').map(({ body }) => body), [{ pit_id: ['pit-2'] }])
+})
+
+test.serial('searchAll deletes its point in time when reading is stopped', async (t) => {
+  const client = stubClient(searchResponse(['a', 'b'], 'pit-1'))
+  // eslint-disable-next-line no-unreachable-loop
+  for await (const item of db.searchAll({ collections: ['x'] }, 2)) {
+    t.is(item.id, 'a')
+    break
+  }
+
+  t.is(client.search.callCount, 1)
+  t.deepEqual(pitRequests(client, 'DELETE').map(({ body }) => body), [{ pit_id: ['pit-1'] }])
+})
@@ -1,6 +1,18 @@
 const test = require('ava')
 const db = require('../../src/lib/database')
 
+// The ranges of a datetime query by field, each is compared with the start_datetime or
+// end_datetime of an item, or its datetime if it doesn't have them
+const datetimeRanges = (query) => Object.assign({}, ...query.bool.filter.map((q) => {
+  const [field, range] = Object.entries(q.bool.should[0].range)[0]
+  const fallback = q.bool.should[1].bool
+  if (fallback.filter[0].range['properties.datetime'] !== range
+      || fallback.must_not[0].exists.field !== field) {
+    throw new Error(`Unexpected datetime query ${JSON.stringify(q)}`)
+  }
+  return { [field]: range }
+}))
+
 test('search id parameter doesnt override other parameters', async (t) => {
   const ids = 'a,b,c'
   const range = '2007-03-01T13:00:00Z/2008-05-11T15:30:00Z'
@@ -16,8 +28,12 @@ test('search id parameter doesnt override other parameters', async (t) => {
     ids,
     'query contains id filter'
   )
-  t.assert(
-    searchBody.body.query.bool.filter[1].range['properties.datetime'],
+  t.deepEqual(
+    datetimeRanges(searchBody.body.query.bool.filter[1]),
+    {
+      'properties.start_datetime': { lte: '2008-05-11T15:30:00Z' },
+      'properties.end_datetime': { gte: '2007-03-01T13:00:00Z' }
+    },
     'query contains datetime filter'
   )
 })
@@ -36,13 +52,41 @@ test('search datetime parameter intervals are correctly parsed', async (t) => {
     ['1985-04-12T23:20:50.52-01:00/1986-04-12T23:20:50.52-01:00', '1985-04-12T23:20:50.52-01:00', '1986-04-12T23:20:50.52-01:00']
   ]
 
-  await datetimes.map(async ([datetime, start, end]) => {
-    const dtQuery = await db.buildDatetimeQuery({ datetime: datetime })
-    t.is(dtQuery.range['properties.datetime'].gte, start, 'datetime interval start')
-    t.is(dtQuery.range['properties.datetime'].lte, end, 'datetime interval end')
+  datetimes.forEach(([datetime, start, end]) => {
+    const dtQuery = db.buildDatetimeQuery({ datetime: datetime })
+    const expected = {}
+    if (end) expected['properties.start_datetime'] = { lte: end }
+    if (start) expected['properties.end_datetime'] = { gte: start }
+    t.deepEqual(datetimeRanges(dtQuery), expected, `datetime interval ${datetime}`)
   })
 })
 
+test('search datetime parameter intervals contain items in contains mode', (t) => {
+  process.env.DATETIME_SEARCH_MODE = 'contains'
+  try {
+    const dtQuery = db.buildDatetimeQuery({ datetime: '2020-01-01T00:00:00Z/..' })
+    t.deepEqual(datetimeRanges(dtQuery),
+      { 'properties.start_datetime': { gte: '2020-01-01T00:00:00Z' } })
+  } finally {
+    delete process.env.DATETIME_SEARCH_MODE
+  }
+})
+
+test('search datetime-mode parameter overrides DATETIME_SEARCH_MODE', (t) => {
+  const datetime = '2020-01-01T00:00:00Z/..'
+  t.deepEqual(datetimeRanges(db.buildDatetimeQuery({ datetime, 'datetime-mode': 'contains' })),
+    { 'properties.start_datetime': { gte: '2020-01-01T00:00:00Z' } })
+
+  process.env.DATETIME_SEARCH_MODE = 'contains'
+  try {
+    const dtQuery = db.buildDatetimeQuery({ datetime, 'datetime-mode': 'intersects' })
+    t.deepEqual(datetimeRanges(dtQuery),
+      { 'properties.end_datetime': { gte: '2020-01-01T00:00:00Z' } })
+  } finally {
+    delete process.env.DATETIME_SEARCH_MODE
+  }
+})
+
 test('search datetime parameter instants are correctly parsed', async (t) => {
   const validDatetimes = [
     '1985-04-12T23:20:50.52Z',
@@ -71,8 +115,209 @@ test('search datetime parameter instants are correctly parsed', async (t) => {
     '1985-04-12' // date only is not required by STAC, but accepted here
   ]
 
-  await validDatetimes.map(async (datetime) => {
-    const dtQuery = await db.buildDatetimeQuery({ datetime: datetime })
-    t.is(dtQuery.term['properties.datetime'], datetime, 'datetime instant parses correctly')
+  validDatetimes.forEach((datetime) => {
+    const dtQuery = db.buildDatetimeQuery({ datetime: datetime })
+    t.deepEqual(
+      datetimeRanges(dtQuery),
+      {
+        'properties.start_datetime': { lte: datetime },
+        'properties.end_datetime': { gte: datetime }
+      },
+      'datetime instant parses correctly'
+    )
+  })
+})
+
+test('filter comparisons are translated to term and range queries', (t) => {
+  t.deepEqual(
+    db.buildFilterQuery({ op: '=', args: [{ property: 'platform' }, 'landsat-8'] }),
+    { term: { 'properties.platform': 'landsat-8' } }
+  )
+  t.deepEqual(
+    db.buildFilterQuery({ op: '<=', args: [{ property: 'eo:cloud_cover' }, 10] }),
+    { range: { 'properties.eo:cloud_cover': { lte: 10 } } }
+  )
+  t.deepEqual(
+    db.buildFilterQuery({ op: 'between', args: [{ property: 'gsd' }, 10, 30] }),
+    { range: { 'properties.gsd': { gte: 10, lte: 30 } } }
+  )
+  t.deepEqual(
+    db.buildFilterQuery({ op: 'in', args: [{ property: 'collection' }, ['a', 'b']] }),
+    { terms: { collection: ['a', 'b'] } },
+    'top-level fields are not prefixed with properties'
+  )
+})
+
+test('filter logical operators are translated to bool queries', (t) => {
+  const isNull = { op: 'isNull', args: [{ property: 'platform' }] }
+  const query = db.buildFilterQuery({
+    op: 'or',
+    args: [
+      { op: 'not', args: [isNull] },
+      { op: 'and', args: [isNull, { op: '<>', args: [{ property: 'id' }, 'a'] }] }
+    ]
+  })
+  t.is(query.bool.minimum_should_match, 1)
+  t.deepEqual(query.bool.should[0], {
+    bool: { must_not: [{ bool: { must_not: [{ exists: { field: 'properties.platform' } }] } }] }
+  })
+  t.deepEqual(query.bool.should[1].bool.filter[1], {
+    bool: { filter: [{ exists: { field: 'id' } }], must_not: [{ term: { id: 'a' } }] }
   })
 })
+
+test('filter like patterns are translated to wildcard queries', (t) => {
+  const wildcard = (pattern) => db.buildFilterQuery(
+    { op: 'like', args: [{ property: 'id' }, pattern] }
+  ).wildcard.id.value
+
+  t.is(wildcard('LC8%'), 'LC8*')
+  t.is(wildcard('LC_0'), 'LC?0')
+  t.is(wildcard('a*b?'), 'a\\*b\\?')
+  t.is(wildcard('100\\%'), '100%')
+})
+
+test('filter spatial operators are translated to geo_shape queries', (t) => {
+  const shape = { type: 'Point', coordinates: [1, 2] }
+  t.deepEqual(
+    db.buildFilterQuery({ op: 's_within', args: [{ property: 'geometry' }, shape] }),
+    { geo_shape: { geometry: { shape, relation: 'within' } } }
+  )
+})
+
+test('filter temporal operators compare the datetime interval of items', (t) => {
+  const interval = ['2020-01-01T00:00:00Z', '2020-02-01T00:00:00Z']
+  const query = db.buildFilterQuery(
+    { op: 't_intersects', args: [{ property: 'datetime' }, { interval }] }
+  )
+  t.deepEqual(query.bool.filter[0].bool.should, [
+    { range: { 'properties.start_datetime': { lte: interval[1] } } },
+    {
+      bool: {
+        filter: [{ range: { 'properties.datetime': { lte: interval[1] } } }],
+        must_not: [{ exists: { field: 'properties.start_datetime' } }]
+      }
+    }
+  ])
+  t.deepEqual(query.bool.filter[1].bool.should[0],
+    { range: { 'properties.end_datetime': { gte: interval[0] } } })
+
+  t.deepEqual(
+    db.buildFilterQuery(
+      { op: 't_equals', args: [{ property: 'updated' }, { interval: [interval[0], interval[0]] }] }
+    ),
+    { bool: { filter: [0, 1].map(() => ({
+      range: { 'properties.updated': { gte: interval[0], lte: interval[0] } }
+    })) } },
+    'other properties are compared as instants'
+  )
+})
+
+test('filter temporal operators with open intervals', (t) => {
+  const temporal = (op, interval) => db.buildFilterQuery(
+    { op, args: [{ property: 'updated' }, { interval }] }
+  )
+  t.deepEqual(temporal('t_before', ['..', '2020-01-01']), { match_none: {} })
+  t.deepEqual(temporal('t_after', ['2020-01-01', '..']), { match_none: {} })
+  t.deepEqual(temporal('t_intersects', ['..', '..']), { match_all: {} })
+  t.deepEqual(
+    temporal('t_during', ['2020-01-01', '..']),
+    { bool: { filter: [{ range: { 'properties.updated': { gt: '2020-01-01' } } }] } }
+  )
+  t.is(temporal('t_disjoint', ['2019-01-01', '2020-01-01']).bool.should.length, 2)
+})
+
+test('search filter parameter is added to the query', async (t) => {
+  const filter = { op: '=', args: [{ property: 'platform' }, 'landsat-8'] }
+  const searchBody = await db.constructSearchParams({ filter }, 1)
+
+  t.deepEqual(
+    searchBody.body.query.bool.filter[0],
+    { term: { 'properties.platform': 'landsat-8' } }
+  )
+})
+
+test('collections are indexed with a searchable extent', (t) => {
+  const collection = db.withSearchExtent({
+    id: 'collection',
+    extent: {
+      spatial: { bbox: [[-180, -90, 0, 180, 90, 100]] },
+      temporal: { interval: [['2013-06-01T00:00:00Z', null]] }
+    }
+  })
+
+  t.deepEqual(collection.search_extent, {
+    geometry: { type: 'envelope', coordinates: [[-180, 90], [180, -90]] },
+    start_datetime: '2013-06-01T00:00:00Z'
+  })
+})
+
+test('collection search datetime treats open extents as unbounded', (t) => {
+  const query = db.buildCollectionsQuery({ datetime: '2020-01-01T00:00:00Z/..' })
+
+  t.is(query.query.bool.filter.length, 1)
+  t.deepEqual(query.query.bool.filter[0].bool.should, [
+    { range: { 'search_extent.end_datetime': { gte: '2020-01-01T00:00:00Z' } } },
+    { bool: { must_not: [{ exists: { field: 'search_extent.end_datetime' } }] } }
+  ])
+})
+
+test('collection search q terms match any text field', (t) => {
+  const query = db.buildCollectionsQuery({ q: ['landsat', 'sentinel'] })
+
+  t.deepEqual(query.query.bool.filter[0].bool.should, [
+    { multi_match: { query: 'landsat', fields: ['title', 'description', 'keywords'] } },
+    { multi_match: { query: 'sentinel', fields: ['title', 'description', 'keywords'] } }
+  ])
+})
+
+test('collection search filter properties are not prefixed', (t) => {
+  const filter = { op: '=', args: [{ property: 'license' }, 'MIT'] }
+  const query = db.buildCollectionsQuery({ filter })
+
+  t.deepEqual(query.query.bool.filter[0], { term: { license: 'MIT' } })
+})
+
+test('search sort always ends with the id and collection tie-breakers', async (t) => {
+  const sortby = [{ field: 'properties.eo:cloud_cover', direction: 'asc' }]
+  const searchBody = await db.constructSearchParams({ sortby }, 1)
+  t.deepEqual(searchBody.body.sort, [
+    { 'properties.eo:cloud_cover': { order: 'asc' } },
+    { id: { order: 'desc' } },
+    { collection: { order: 'desc' } }
+  ])
+
+  const withId = await db.constructSearchParams(
+    { sortby: [{ field: 'id', direction: 'asc' }] }, 1
+  )
+  t.deepEqual(withId.body.sort, [
+    { id: { order: 'asc' } },
+    { collection: { order: 'desc' } }
+  ])
+})
+
+test('search after is taken from the pagination token sort values', async (t) => {
+  const searchBody = await db.constructSearchParams({ searchAfter: [1, 'a', 'c'] })
+  t.deepEqual(searchBody.body.search_after, [1, 'a', 'c'])
+})
+
+test('search query operators are translated to queries', async (t) => {
+  const query = {
+    id: { startsWith: 'LC8*', endsWith: '00', contains: '1001' },
+    collection: { neq: 'landsat-8-l2' },
+    'eo:cloud_cover': { gt: 1, lte: 10 },
+    'properties.platform': { eq: 'landsat-8' },
+    'sat:orbit_state': { in: ['ascending'] }
+  }
+  const searchBody = await db.constructSearchParams({ query }, 1)
+
+  t.deepEqual(searchBody.body.query.bool.filter, [
+    { wildcard: { id: { value: 'LC8\\**' } } },
+    { wildcard: { id: { value: '*00' } } },
+    { wildcard: { id: { value: '*1001*' } } },
+    { bool: { must_not: [{ term: { collection: 'landsat-8-l2' } }] } },
+    { range: { 'properties.eo:cloud_cover': { gt: 1, lte: 10 } } },
+    { term: { 'properties.platform': 'landsat-8' } },
+    { terms: { 'properties.sat:orbit_state': ['ascending'] } }
+  ])
+})
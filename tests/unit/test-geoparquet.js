@@ -0,0 +1,76 @@
+const test = require('ava')
+const { ParquetReader } = require('parquetjs-lite')
+const { itemsToParquet } = require('../../src/lib/geoparquet')
+const { geometryToWkb } = require('../../src/lib/wkb')
+const item = require('../fixtures/stac/LC80100102015082LGN00.json')
+
+const readRows = async (buffer) => {
+  const reader = await ParquetReader.openBuffer(buffer)
+  const cursor = reader.getCursor()
+  const rows = []
+  let row = await cursor.next()
+  while (row) {
+    rows.push(row)
+    row = await cursor.next() // eslint-disable-line no-await-in-loop
+  }
+  return { reader, rows }
+}
+
+test('geometryToWkb encodes geometries as little endian WKB', (t) => {
+  t.is(
+    geometryToWkb({ type: 'Point', coordinates: [1, 2] }).toString('hex'),
+    '0101000000000000000000f03f0000000000000040'
+  )
+  t.is(
+    geometryToWkb({ type: 'LineString', coordinates: [[1, 2, 3], [4, 5, 6]] }).readUInt32LE(1),
+    1002
+  )
+
+  const multiPolygon = geometryToWkb({
+    type: 'MultiPolygon',
+    coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]], [[[2, 2], [3, 2], [3, 3], [2, 2]]]]
+  })
+  t.is(multiPolygon.readUInt32LE(1), 6)
+  t.is(multiPolygon.readUInt32LE(5), 2)
+  // header, count, then two polygons of a header, ring count and ring of 4 positions
+  t.is(multiPolygon.length, 9 + 2 * (9 + 4 + 4 * 16))
+})
+
+test('itemsToParquet writes items with flattened properties and WKB geometry', async (t) => {
+  const { reader, rows } = await readRows(await itemsToParquet([item]))
+  const [row] = rows
+
+  t.is(row.id, item.id)
+  t.is(row.collection, item.collection)
+  t.deepEqual(row.geometry, geometryToWkb(item.geometry))
+  t.deepEqual(row.bbox, {
+    xmin: item.bbox[0], ymin: item.bbox[1], xmax: item.bbox[2], ymax: item.bbox[3]
+  })
+  t.deepEqual(row.assets, item.assets)
+  t.deepEqual(row.links, item.links)
+  t.is(row['eo:cloud_cover'], item.properties['eo:cloud_cover'])
+  t.deepEqual(row.datetime, new Date(item.properties.datetime))
+
+  const geo = JSON.parse(reader.getMetadata().geo)
+  t.is(geo.primary_column, 'geometry')
+  t.deepEqual(geo.columns.geometry, { encoding: 'WKB', geometry_types: ['Polygon'] })
+})
+
+test('itemsToParquet writes properties of mixed types as JSON', async (t) => {
+  const items = [
+    { ...item, id: 'a', properties: { datetime: '1965-01-01T00:00:00Z', mixed: 1, tags: ['x'] } },
+    { ...item, id: 'b', properties: { datetime: null, mixed: 'one' } }
+  ]
+  const { reader, rows } = await readRows(await itemsToParquet(items))
+
+  t.is(reader.schema.fields.datetime.originalType, 'UTF8')
+  t.is(reader.schema.fields.mixed.originalType, 'JSON')
+  t.deepEqual(rows.map((row) => row.mixed), [1, 'one'])
+  t.deepEqual(rows[0].tags, ['x'])
+  t.is(rows[1].datetime, undefined)
+})
+
+test('itemsToParquet writes an empty file for no items', async (t) => {
+  const { rows } = await readRows(await itemsToParquet([]))
+  t.deepEqual(rows, [])
+})
@@ -0,0 +1,117 @@
+const test = require('ava')
+const html = require('../../src/lib/html')
+const item = require('../fixtures/stac/LC80100102015082LGN00.json')
+
+const itemWithLinks = (id) => ({
+  ...item,
+  id,
+  links: [
+    { rel: 'self', href: `https://api/collections/landsat-8-l1/items/${id}` },
+    { rel: 'collection', href: 'https://api/collections/landsat-8-l1' },
+    { rel: 'root', href: 'https://api' }
+  ]
+})
+
+test('renderItem renders the properties, assets and footprint of an item', (t) => {
+  const page = html.renderItem(itemWithLinks('item-1'))
+
+  t.true(page.startsWith('<!DOCTYPE html>'))
+  t.true(page.includes('<h1>item-1</h1>'))
+  t.true(page.includes('<nav><a href="https://api">Home</a></nav>'))
+  t.true(page.includes('<a href="https://api/collections/landsat-8-l1">'))
+  t.true(page.includes(`<td>eo:cloud_cover</td><td>${item.properties['eo:cloud_cover']}</td>`))
+  t.true(page.includes(`<a href="${item.assets.B1.href}">Download</a>`))
+  t.true(page.includes('L.geoJSON({"type":"FeatureCollection","features":[{"type":"Feature"'))
+})
+
+test('renderItems renders a map, a table of items and paging links', (t) => {
+  const page = html.renderItems({
+    type: 'FeatureCollection',
+    numberMatched: 12,
+    numberReturned: 2,
+    features: [itemWithLinks('item-1'), itemWithLinks('item-2')],
+    links: [
+      { rel: 'next', method: 'GET', href: 'https://api/search?limit=2&next=a' },
+      { rel: 'prev', method: 'POST', href: 'https://api/search', body: {} }
+    ]
+  }, 'Search')
+
+  t.true(page.includes('<p>2 of 12 items</p>'))
+  t.true(page.includes('<a href="https://api/collections/landsat-8-l1/items/item-2">item-2</a>'))
+  t.true(page.includes('<a href="https://api/search?limit=2&amp;next=a">Next</a>'))
+  t.false(page.includes('Previous'))
+})
+
+test('renderCollection renders the extent and items link of a collection', (t) => {
+  const page = html.renderCollection({
+    id: 'landsat-8-l1',
+    description: 'Landsat 8 imagery',
+    license: 'PDDL-1.0',
+    extent: {
+      spatial: { bbox: [[-180, -90, 180, 90]] },
+      temporal: { interval: [['2013-06-01T00:00:00Z', null]] }
+    },
+    links: [{ rel: 'items', href: 'https://api/collections/landsat-8-l1/items' }]
+  })
+
+  t.true(page.includes('<h1>landsat-8-l1</h1>'))
+  t.true(page.includes('<a href="https://api/collections/landsat-8-l1/items">Items</a>'))
+  t.true(page.includes('<td>2013-06-01T00:00:00Z / ..</td>'))
+  t.true(page.includes('[[[-180,-90],[180,-90],[180,90],[-180,90],[-180,-90]]]'))
+})
+
+test('renderCatalog and renderCollections render their links', (t) => {
+  const catalog = html.renderCatalog({
+    id: 'stac-server',
+    title: 'A STAC API',
+    description: 'Imagery',
+    links: [{ rel: 'data', type: 'application/json', href: 'https://api/collections' }]
+  })
+  t.true(catalog.includes('<title>A STAC API</title>'))
+  t.true(catalog.includes('<td>data</td><td><a href="https://api/collections">'))
+
+  const collections = html.renderCollections({
+    collections: [{ id: 'c', title: 'C', links: [{ rel: 'self', href: 'https://api/collections/c' }] }],
+    numberMatched: 1,
+    links: []
+  })
+  t.true(collections.includes('<a href="https://api/collections/c">c</a>'))
+})
+
+test('HTML pages escape values from documents', (t) => {
+  const page = html.renderItem({
+    ...itemWithLinks('<script>alert(1)</script>'),
+    properties: { title: '"><img src=x onerror=alert(1)>' },
+    assets: { data: { href: 'JavaScript:alert(1)', title: 'Data' } }, // eslint-disable-line no-script-url
+    geometry: { type: 'Point', coordinates: [0, 0], note: '</script><script>alert(1)' }
+  })
+
+  t.false(page.includes('<script>alert(1)'))
+  t.false(page.includes('<img'))
+  t.false(/href="javascript:/i.test(page))
+})
+
+test('HTML pages only link to http(s) and relative URLs', (t) => {
+  const hrefs = {
+    http: 'http://example.com/a',
+    https: 'HTTPS://example.com/b',
+    relative: '../items/c',
+    protocolRelative: '//example.com/d',
+    fragment: '#e',
+    data: 'data:text/html,<script>alert(1)</script>',
+    vbscript: 'VBScript:msgbox(1)',
+    spaced: ' java\tscript:alert(1)',
+    file: 'file:///etc/passwd'
+  }
+  const page = html.renderItem({
+    ...itemWithLinks('item'),
+    assets: Object.fromEntries(
+      Object.entries(hrefs).map(([title, href]) => [title, { href, title }])
+    )
+  })
+
+  for (const name of ['http', 'https', 'relative', 'protocolRelative', 'fragment']) {
+    t.true(page.includes(`href="${hrefs[name]}"`), name)
+  }
+  t.false(/href="\s*(data|vbscript|java|file)/i.test(page))
+})
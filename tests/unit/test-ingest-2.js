@@ -1,7 +1,10 @@
 const test = require('ava')
 const sinon = require('sinon')
 const MemoryStream = require('memorystream')
-const { ingestItems } = require('../../src/lib/ingest')
+const {
+  ingestItems, validateItemDatetime, withSplitGeometry
+} = require('../../src/lib/ingest')
+const { ValidationError } = require('../../src/lib/errors')
 const firstItem = require('../fixtures/stac/LC80100102015050LGN00.json')
 const stream = require('../../src/lib/databaseStream')
 
@@ -35,3 +38,50 @@ test.skip('ingestItem passes item through transform stream', async (t) => {
   await ingestItems([firstItem], stream)
   t.deepEqual(dbStream.queue[0], firstItem)
 })
+
+test('items with a null datetime must have a start and end datetime', (t) => {
+  const item = (properties) => ({
+    ...firstItem,
+    properties: { ...firstItem.properties, ...properties }
+  })
+
+  t.notThrows(() => validateItemDatetime(firstItem))
+  t.notThrows(() => validateItemDatetime(item({
+    datetime: null,
+    start_datetime: '2020-01-01T00:00:00Z',
+    end_datetime: '2020-12-31T23:59:59Z'
+  })))
+  t.throws(() => validateItemDatetime(item({ datetime: null })),
+    { instanceOf: ValidationError, message: /must have start_datetime and end_datetime/ })
+  t.throws(() => validateItemDatetime(item({
+    datetime: null,
+    start_datetime: '2020-01-01T00:00:00Z'
+  })), { instanceOf: ValidationError })
+  t.throws(() => validateItemDatetime(item({
+    start_datetime: '2021-01-01T00:00:00Z',
+    end_datetime: '2020-01-01T00:00:00Z'
+  })), { instanceOf: ValidationError, message: /after its end_datetime/ })
+})
+
+test('items are stored with geometries split at the antimeridian', (t) => {
+  const geometry = {
+    type: 'Polygon',
+    coordinates: [
+      [[175, -10], [-175, -10], [-175, 10], [175, 10], [175, -10]],
+      [[178, -1], [179, -1], [179, 1], [178, 1], [178, -1]]
+    ]
+  }
+  const item = withSplitGeometry({ ...firstItem, geometry })
+  t.deepEqual(item.geometry, {
+    type: 'MultiPolygon',
+    coordinates: [
+      [
+        [[175, -10], [180, -10], [180, 10], [175, 10], [175, -10]],
+        [[178, -1], [179, -1], [179, 1], [178, 1], [178, -1]]
+      ],
+      [[[-180, -10], [-175, -10], [-175, 10], [-180, 10], [-180, -10]]]
+    ]
+  })
+  t.is(item.id, firstItem.id)
+  t.is(withSplitGeometry(firstItem).geometry, firstItem.geometry)
+})
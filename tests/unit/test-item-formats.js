@@ -0,0 +1,69 @@
+const test = require('ava')
+const { geometryToWkt } = require('../../src/lib/wkt')
+const { itemsToCsv, itemsToGeojsonSeq, itemsToKml } = require('../../src/lib/item-formats')
+
+const square = [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]]
+
+const items = [
+  {
+    type: 'Feature',
+    id: 'item-1',
+    collection: 'landsat-8-l1',
+    geometry: { type: 'Polygon', coordinates: square },
+    properties: { datetime: '2015-03-23T15:05:56Z', 'eo:cloud_cover': 8.26 }
+  },
+  {
+    type: 'Feature',
+    id: 'item-2',
+    collection: 'landsat-8-l1',
+    geometry: { type: 'Point', coordinates: [1.5, -2] },
+    properties: { datetime: null, title: 'Scene "two", <b>', instruments: ['oli', 'tirs'] }
+  }
+]
+
+test('geometryToWkt encodes geometries', (t) => {
+  t.is(geometryToWkt({ type: 'Point', coordinates: [1, 2] }), 'POINT (1 2)')
+  t.is(geometryToWkt({ type: 'Point', coordinates: [1, 2, 3] }), 'POINT Z (1 2 3)')
+  t.is(geometryToWkt({ type: 'Polygon', coordinates: square }),
+    'POLYGON ((0 0, 1 0, 1 1, 0 1, 0 0))')
+  t.is(geometryToWkt({ type: 'MultiPoint', coordinates: [[0, 0], [1, 1]] }),
+    'MULTIPOINT (0 0, 1 1)')
+  t.is(geometryToWkt({ type: 'MultiPolygon', coordinates: [square, square] }),
+    'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 1, 0 0)), ((0 0, 1 0, 1 1, 0 1, 0 0)))')
+  t.is(geometryToWkt({
+    type: 'GeometryCollection',
+    geometries: [{ type: 'Point', coordinates: [0, 0] }, { type: 'LineString', coordinates: [] }]
+  }), 'GEOMETRYCOLLECTION (POINT (0 0), LINESTRING EMPTY)')
+})
+
+test('itemsToCsv writes a row per item with the properties and a WKT footprint', (t) => {
+  t.is(itemsToCsv(items), [
+    'id,collection,datetime,eo:cloud_cover,title,instruments,wkt',
+    'item-1,landsat-8-l1,2015-03-23T15:05:56Z,8.26,,,"POLYGON ((0 0, 1 0, 1 1, 0 1, 0 0))"',
+    'item-2,landsat-8-l1,,,"Scene ""two"", <b>","[""oli"",""tirs""]",POINT (1.5 -2)',
+    ''
+  ].join('\r\n'))
+})
+
+test('itemsToGeojsonSeq writes each item after a record separator', (t) => {
+  const records = itemsToGeojsonSeq(items).split('\x1e')
+
+  t.is(records[0], '')
+  t.deepEqual(records.slice(1).map((record) => JSON.parse(record)), items)
+  t.true(records.slice(1).every((record) => record.endsWith('}\n')))
+})
+
+test('itemsToKml writes a placemark per item', (t) => {
+  const kml = itemsToKml(items)
+
+  t.true(kml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<kml'))
+  t.is(kml.match(/<Placemark>/g).length, 2)
+  t.true(kml.includes('<name>item-1</name>'))
+  t.true(kml.includes('<outerBoundaryIs><LinearRing><coordinates>0,0 1,0 1,1 0,1 0,0'
+    + '</coordinates></LinearRing></outerBoundaryIs>'))
+  t.true(kml.includes('<Point><coordinates>1.5,-2</coordinates></Point>'))
+  t.true(kml.includes('<Data name="title"><value>Scene &quot;two&quot;, &lt;b&gt;</value></Data>'))
+  // null properties are left out
+  const [, second] = kml.split('<name>item-2</name>')
+  t.false(second.includes('<Data name="datetime">'))
+})
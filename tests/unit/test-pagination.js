@@ -0,0 +1,166 @@
+const test = require('ava')
+const sinon = require('sinon')
+const api = require('../../src/lib/api')
+const { ValidationError } = require('../../src/lib/errors')
+const {
+  encodePaginationToken, decodePaginationToken, adjacentPageTokens
+} = require('../../src/lib/pagination')
+
+test.afterEach.always(() => {
+  delete process.env.PAGINATION_TOKEN_SECRET
+})
+
+test('pagination tokens round trip the sort values and point in time', (t) => {
+  const searchAfter = [1672531200000, 'item,with,commas', 'collection']
+  const token = encodePaginationToken({ searchAfter, pit: 'pit-id' })
+
+  t.regex(token, /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/)
+  t.deepEqual(decodePaginationToken(token), { searchAfter, pit: 'pit-id' })
+})
+
+test('tampered pagination tokens are rejected', (t) => {
+  const token = encodePaginationToken({ searchAfter: ['a'] })
+  const [, signature] = token.split('.')
+  const forged = Buffer.from(JSON.stringify({ searchAfter: ['b'] })).toString('base64url')
+
+  t.throws(() => decodePaginationToken(`${forged}.${signature}`), { instanceOf: ValidationError })
+  t.throws(() => decodePaginationToken(forged), { instanceOf: ValidationError })
+  t.throws(() => decodePaginationToken('a,b,c'), { instanceOf: ValidationError })
+})
+
+test('pagination tokens are signed with the configured secret', (t) => {
+  const token = encodePaginationToken({ searchAfter: ['a'] })
+  process.env.PAGINATION_TOKEN_SECRET = 'another secret'
+
+  t.throws(() => decodePaginationToken(token), { instanceOf: ValidationError })
+  t.deepEqual(
+    decodePaginationToken(encodePaginationToken({ searchAfter: ['a'] })).searchAfter, ['a']
+  )
+})
+
+test('searchItems next link carries the sort values of the last item', async (t) => {
+  const search = sinon.stub().resolves({
+    results: [{ id: 'a', collection: 'c', links: [] }],
+    context: { limit: 1, matched: 2, returned: 1 },
+    hasMore: true,
+    firstSortValues: [1672531200000, 'a', 'c'],
+    lastSortValues: [1672531200000, 'a', 'c'],
+    pit: 'pit-id'
+  })
+  const getItemMappings = sinon.stub().resolves([{
+    properties: { properties: { properties: { 'eo:cloud_cover': { type: 'float' } } } }
+  }])
+  const backend = { search, getItemMappings }
+  const response = await api.searchItems(
+    null, { limit: '1', sortby: '-properties.eo:cloud_cover' }, backend, 'endpoint', 'GET'
+  )
+
+  const next = response.links.find((l) => l.rel === 'next')
+  const url = new URL(next.href, 'http://localhost')
+  t.is(url.searchParams.get('sortby'), '-properties.eo:cloud_cover')
+
+  await api.searchItems(
+    null, Object.fromEntries(url.searchParams), backend, 'endpoint', 'GET'
+  )
+  const [parameters] = search.secondCall.args
+  t.deepEqual(parameters.searchAfter, [1672531200000, 'a', 'c'])
+  t.is(parameters.pit, 'pit-id')
+  t.is(parameters.next, undefined)
+})
+
+test('searchItems rejects a tampered next token', async (t) => {
+  const search = sinon.stub().resolves({
+    results: [], context: { limit: 10, matched: 0, returned: 0 }
+  })
+  await t.throwsAsync(
+    api.searchItems(null, { next: '2023-01-01T00:00:00Z,a,c' }, { search }, 'endpoint', 'GET'),
+    { instanceOf: ValidationError }
+  )
+})
+
+const searchStub = (hasMore, sortValues = [[2, 'b', 'c'], [1, 'a', 'c']]) => sinon.stub().resolves({
+  results: sortValues.map(([, id, collection]) => ({ id, collection, links: [] })),
+  context: { limit: sortValues.length, matched: 10, returned: sortValues.length },
+  hasMore,
+  firstSortValues: sortValues[0],
+  lastSortValues: sortValues[sortValues.length - 1]
+})
+
+const rels = (response) => response.links.map((l) => l.rel)
+
+test('searchItems first page only links to the next page', async (t) => {
+  const response = await api.searchItems(
+    null, { limit: '2' }, { search: searchStub(true) }, 'endpoint', 'GET'
+  )
+  t.deepEqual(rels(response), ['next'])
+})
+
+test('searchItems last page has no next link', async (t) => {
+  const next = encodePaginationToken({ searchAfter: [3, 'c', 'c'] })
+  const response = await api.searchItems(
+    null, { limit: '2', next }, { search: searchStub(false) }, 'endpoint', 'GET'
+  )
+  t.deepEqual(rels(response), ['prev', 'first'])
+
+  const prev = new URL(response.links[0].href, 'http://localhost').searchParams
+  t.is(decodePaginationToken(prev.get('prev')).searchAfter[1], 'b')
+  t.is(prev.get('next'), null)
+  const first = new URL(response.links[1].href, 'http://localhost').searchParams
+  t.deepEqual([...first.keys()], ['limit'])
+})
+
+test('searchItems prev token searches backwards', async (t) => {
+  const search = searchStub(false)
+  const prev = encodePaginationToken({ searchAfter: [3, 'c', 'c'] })
+  const response = await api.searchItems(
+    null, { limit: 2, prev }, { search }, 'endpoint', 'POST'
+  )
+
+  const [parameters] = search.firstCall.args
+  t.deepEqual(parameters.searchBefore, [3, 'c', 'c'])
+  t.is(parameters.searchAfter, undefined)
+  // there is nothing before the first page
+  t.deepEqual(rels(response), ['next', 'first'])
+  const [nextLink] = response.links
+  t.is(nextLink.method, 'POST')
+  t.false(nextLink.merge)
+  t.is(decodePaginationToken(nextLink.body.next).searchAfter[1], 'a')
+  t.is(nextLink.body.prev, undefined)
+})
+
+test('searchItems rejects both next and prev', async (t) => {
+  const token = encodePaginationToken({ searchAfter: [3, 'c', 'c'] })
+  await t.throwsAsync(
+    api.searchItems(
+      null, { next: token, prev: token }, { search: searchStub(false) }, 'endpoint', 'GET'
+    ),
+    { instanceOf: ValidationError }
+  )
+})
+
+test('adjacentPageTokens pages forward while more are found', (t) => {
+  const results = { firstSortValues: [1], lastSortValues: [2], pit: 'pit-id' }
+  const decode = (tokens) => ({
+    next: tokens.next && decodePaginationToken(tokens.next),
+    prev: tokens.prev && decodePaginationToken(tokens.prev)
+  })
+
+  t.deepEqual(decode(adjacentPageTokens({}, { ...results, hasMore: true })),
+    { next: { searchAfter: [2], pit: 'pit-id' }, prev: undefined })
+  t.deepEqual(decode(adjacentPageTokens({ next: 'token' }, { ...results, hasMore: false })),
+    { next: undefined, prev: { searchAfter: [1], pit: 'pit-id' } })
+})
+
+test('adjacentPageTokens always has a next page when paging backwards', (t) => {
+  const results = { firstSortValues: [1], lastSortValues: [2] }
+
+  const last = adjacentPageTokens({ prev: 'token' }, { ...results, hasMore: true })
+  t.deepEqual(decodePaginationToken(last.next), { searchAfter: [2], pit: undefined })
+  t.deepEqual(decodePaginationToken(last.prev), { searchAfter: [1], pit: undefined })
+
+  const first = adjacentPageTokens({ prev: 'token' }, { ...results, hasMore: false })
+  t.truthy(first.next)
+  t.is(first.prev, undefined)
+  t.deepEqual(adjacentPageTokens({ prev: 'token' }, { hasMore: false }),
+    { next: undefined, prev: undefined })
+})
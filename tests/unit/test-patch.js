@@ -0,0 +1,146 @@
+const test = require('ava')
+const sinon = require('sinon')
+const { cloneDeep } = require('lodash')
+const api = require('../../src/lib/api')
+const { ValidationError, ConflictError } = require('../../src/lib/errors')
+const { mergePatch, jsonPatch, JSON_PATCH, MERGE_PATCH } = require('../../src/lib/patch')
+
+const item = {
+  type: 'Feature',
+  id: 'item',
+  collection: 'a',
+  geometry: { type: 'Point', coordinates: [0, 0] },
+  properties: { datetime: '2020-01-01T00:00:00Z', 'eo:cloud_cover': 10, platform: 'x' },
+  assets: { thumbnail: { href: 'thumb.png' } },
+  links: [{ rel: 'license', href: 'license.html' }]
+}
+
+const document = { _source: item, _seq_no: 7, _primary_term: 2, found: true }
+
+const backend = () => ({
+  getItemDocument: sinon.stub().resolves({ ...document, _source: cloneDeep(item) }),
+  updateItem: sinon.stub().resolves({ body: { _seq_no: 8, _primary_term: 2 } })
+})
+
+test('mergePatch merges objects and removes members that are null', (t) => {
+  const target = { a: 'b', c: { d: 'e', f: 'g' }, h: [1, 2] }
+  const patched = mergePatch(target, { a: 'z', c: { f: null }, h: [3], i: { j: null } })
+
+  t.deepEqual(patched, { a: 'z', c: { d: 'e' }, h: [3], i: {} })
+  t.deepEqual(target, { a: 'b', c: { d: 'e', f: 'g' }, h: [1, 2] })
+  t.deepEqual(mergePatch({ a: 'b' }, ['c']), ['c'])
+})
+
+test('jsonPatch applies operations in order', (t) => {
+  const target = { a: { b: 1 }, c: [1, 2, 3], 'd/e': 'f', 'g~h': 'i' }
+  const patched = jsonPatch(target, [
+    { op: 'add', path: '/a/x', value: 2 },
+    { op: 'add', path: '/c/1', value: 9 },
+    { op: 'add', path: '/c/-', value: 4 },
+    { op: 'remove', path: '/c/0' },
+    { op: 'replace', path: '/d~1e', value: 'j' },
+    { op: 'move', from: '/g~0h', path: '/k' },
+    { op: 'copy', from: '/a', path: '/l' },
+    { op: 'test', path: '/l/b', value: 1 }
+  ])
+
+  t.deepEqual(patched, {
+    a: { b: 1, x: 2 }, c: [9, 2, 3, 4], 'd/e': 'j', k: 'i', l: { b: 1, x: 2 }
+  })
+  t.deepEqual(target.c, [1, 2, 3])
+  t.not(patched.l, patched.a)
+})
+
+test('jsonPatch throws a ValidationError for invalid paths and operations', (t) => {
+  const target = { a: { b: 1 }, c: [1] }
+  for (const operations of [
+    { op: 'add', path: '/a', value: 1 },
+    [{ op: 'add', path: 'a', value: 1 }],
+    [{ op: 'add', path: '/x/y', value: 1 }],
+    [{ op: 'add', path: '/c/2', value: 1 }],
+    [{ op: 'add', path: '/c/01', value: 1 }],
+    [{ op: 'add', path: '/a' }],
+    [{ op: 'remove', path: '/a/x' }],
+    [{ op: 'remove', path: '' }],
+    [{ op: 'replace', path: '/c/1', value: 1 }],
+    [{ op: 'move', from: '/a', path: '/a/b' }],
+    [{ op: 'copy', from: '/x', path: '/y' }],
+    [{ op: 'add', path: '/a~2', value: 1 }],
+    [{ op: 'unknown', path: '/a' }],
+    ['add']
+  ]) {
+    t.throws(() => jsonPatch(target, operations), { instanceOf: ValidationError })
+  }
+})
+
+test('jsonPatch throws a ConflictError if a test operation fails', (t) => {
+  t.throws(() => jsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]),
+    { instanceOf: ConflictError, message: /operation 0/ })
+})
+
+test('patchItem applies a JSON Merge Patch and writes the version it patched', async (t) => {
+  const db = backend()
+  const response = await api.patchItem('a', 'item', {
+    properties: { platform: null, 'eo:cloud_cover': 20 }
+  }, MERGE_PATCH, db, 'endpoint')
+
+  const [written, version] = db.updateItem.firstCall.args
+  t.deepEqual(version, { seqNo: 7, primaryTerm: 2 })
+  t.deepEqual(written.properties, { datetime: '2020-01-01T00:00:00Z', 'eo:cloud_cover': 20 })
+  t.deepEqual(written.links, item.links)
+  t.is(response.etag, '"2-8"')
+})
+
+test('patchItem applies a JSON Patch to the Item with its links', async (t) => {
+  const db = backend()
+  // the links are the self link, the stored license link, then the other links that are added
+  await api.patchItem('a', 'item', [
+    { op: 'test', path: '/links/1/rel', value: 'license' },
+    { op: 'remove', path: '/links/1' },
+    { op: 'remove', path: '/assets/thumbnail' }
+  ], JSON_PATCH, db, 'endpoint')
+
+  const [written] = db.updateItem.firstCall.args
+  t.deepEqual(written.links, [])
+  t.deepEqual(written.assets, {})
+})
+
+test('patchItem validates the patched Item', async (t) => {
+  for (const patch of [
+    { id: 'other' },
+    { collection: 'b' },
+    { geometry: 'point' },
+    { properties: { datetime: null } },
+    ['item']
+  ]) {
+    const db = backend()
+    // eslint-disable-next-line no-await-in-loop
+    await t.throwsAsync(api.patchItem('a', 'item', patch, MERGE_PATCH, db, ''),
+      { instanceOf: ValidationError })
+    t.false(db.updateItem.called)
+  }
+})
+
+test('patchItem fails the precondition if the Item does not match If-Match', async (t) => {
+  const db = backend()
+  await t.throwsAsync(api.patchItem('a', 'item', {}, MERGE_PATCH, db, '', '"2-6"'),
+    { instanceOf: api.PreconditionFailedError })
+  t.false(db.updateItem.called)
+})
+
+test('patchItem conflicts if the Item is written while it is patched', async (t) => {
+  const db = backend()
+  db.updateItem.rejects(Object.assign(
+    new Error('version_conflict_engine_exception'), { name: 'ResponseError' }
+  ))
+  await t.throwsAsync(api.patchItem('a', 'item', {}, MERGE_PATCH, db, ''),
+    { instanceOf: ConflictError })
+  await t.throwsAsync(api.patchItem('a', 'item', {}, MERGE_PATCH, db, '', '"2-7"'),
+    { instanceOf: api.PreconditionFailedError })
+})
+
+test('patchItem returns an Error if the Item does not exist', async (t) => {
+  const db = { getItemDocument: sinon.stub().resolves(undefined) }
+  const response = await api.patchItem('a', 'item', {}, MERGE_PATCH, db, '')
+  t.true(response instanceof Error)
+})
@@ -0,0 +1,77 @@
+const test = require('ava')
+const {
+  queryablesFromMappings, sortablesFromMappings
+} = require('../../src/lib/queryables')
+const { itemsIndexConfiguration } = require('../../fixtures/items')
+
+test('queryablesFromMappings converts the Item index mappings', (t) => {
+  const queryables = queryablesFromMappings([itemsIndexConfiguration().mappings])
+
+  t.is(queryables.id.type, 'string')
+  t.is(queryables.collection.type, 'string')
+  t.deepEqual(queryables.geometry.$ref, 'https://geojson.org/schema/Geometry.json')
+  t.is(queryables.datetime.format, 'date-time')
+  t.is(queryables.start_datetime.format, 'date-time')
+  t.is(queryables['sat:absolute_orbit'].type, 'integer')
+  t.falsy(queryables.assets, 'disabled objects are not queryable')
+  t.falsy(queryables.links, 'disabled objects are not queryable')
+})
+
+test('queryablesFromMappings merges multiple mappings and nested objects', (t) => {
+  const queryables = queryablesFromMappings([
+    {
+      properties: {
+        properties: {
+          properties: {
+            'eo:cloud_cover': { type: 'float' },
+            'proj:projjson': { enabled: false, properties: { a: { type: 'keyword' } } }
+          }
+        }
+      }
+    },
+    {
+      properties: {
+        id: { type: 'keyword' },
+        properties: {
+          properties: {
+            'eo:cloud_cover': { type: 'float' },
+            platform: { type: 'keyword' },
+            'landsat:correction': {
+              properties: { level: { type: 'keyword' } }
+            }
+          }
+        }
+      }
+    }
+  ])
+
+  t.deepEqual(Object.keys(queryables).sort(), [
+    'eo:cloud_cover', 'id', 'landsat:correction.level', 'platform'
+  ])
+  t.deepEqual(queryables['eo:cloud_cover'], { type: 'number' })
+})
+
+test('sortablesFromMappings only includes fields that can be sorted on', (t) => {
+  const sortables = sortablesFromMappings([
+    {
+      properties: {
+        id: { type: 'keyword' },
+        collection: { type: 'keyword' },
+        geometry: { type: 'geo_shape' },
+        properties: {
+          properties: {
+            datetime: { type: 'date' },
+            'eo:cloud_cover': { type: 'float' },
+            title: { type: 'text' },
+            'proj:centroid': { type: 'geo_point' }
+          }
+        }
+      }
+    }
+  ])
+
+  t.deepEqual(Object.keys(sortables).sort(), [
+    'collection', 'datetime', 'eo:cloud_cover', 'id'
+  ])
+  t.is(sortables.datetime.format, 'date-time')
+})
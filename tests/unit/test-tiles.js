@@ -0,0 +1,97 @@
+const test = require('ava')
+const sinon = require('sinon')
+const Pbf = require('pbf')
+const { VectorTile } = require('@mapbox/vector-tile')
+const api = require('../../src/lib/api')
+const { parseTile, tilePolygon, itemsToTile } = require('../../src/lib/tiles')
+
+const item = (id, coordinates, properties = {}) => ({
+  type: 'Feature',
+  id,
+  collection: 'landsat-8-l1',
+  geometry: { type: 'Polygon', coordinates },
+  properties
+})
+
+// a square around the origin, in the tiles 1/0/0, 1/1/0, 1/0/1 and 1/1/1
+const origin = [[[-10, -10], [10, -10], [10, 10], [-10, 10], [-10, -10]]]
+// a square in the north west, only in 1/0/0
+const northWest = [[[-100, 40], [-90, 40], [-90, 50], [-100, 50], [-100, 40]]]
+
+const decode = (buffer) => new VectorTile(new Pbf(buffer))
+
+test('parseTile parses and validates tile coordinates', (t) => {
+  t.deepEqual(parseTile({ z: '3', x: '7', y: '0' }), { z: 3, x: 7, y: 0 })
+  for (const tile of [
+    { z: '1', x: '2', y: '0' },
+    { z: '25', x: '0', y: '0' },
+    { z: 'a', x: '0', y: '0' },
+    { z: '1', x: '-1', y: '0' },
+    { z: '1', x: '0.5', y: '0' }
+  ]) {
+    t.throws(() => parseTile(tile), { instanceOf: api.ValidationError }, JSON.stringify(tile))
+  }
+})
+
+test('tilePolygon is the extent of a tile', (t) => {
+  const [ring] = tilePolygon({ z: 1, x: 0, y: 0 }).coordinates
+  t.deepEqual(ring.map(([lon]) => lon), [-180, 0, 0, -180, -180])
+  t.is(ring[0][1], 0)
+  t.true(Math.abs(ring[2][1] - 85.0511287798) < 1e-9)
+})
+
+test('itemsToTile encodes the footprints in the tile with attributes', (t) => {
+  const items = [
+    item('a', origin, { datetime: '2015-03-23T15:05:56Z', 'eo:cloud_cover': 8 }),
+    item('b', northWest, { instruments: ['oli'] })
+  ]
+  const tile = decode(itemsToTile(items, { z: 1, x: 1, y: 1 }, ['datetime', 'instruments']))
+  const layer = tile.layers.items
+
+  t.is(layer.length, 1)
+  t.deepEqual(layer.feature(0).properties, {
+    id: 'a', collection: 'landsat-8-l1', datetime: '2015-03-23T15:05:56Z'
+  })
+
+  const northWestTile = decode(itemsToTile(items, { z: 1, x: 0, y: 0 }, ['instruments']))
+  t.is(northWestTile.layers.items.length, 2)
+  t.is(northWestTile.layers.items.feature(1).properties.instruments, '["oli"]')
+})
+
+test('itemsToTile returns null when no footprints are in the tile', (t) => {
+  t.is(itemsToTile([item('b', northWest)], { z: 1, x: 1, y: 1 }, []), null)
+  t.is(itemsToTile([], { z: 0, x: 0, y: 0 }, []), null)
+})
+
+test('getItemsTile searches for items in the tile with the search parameters', async (t) => {
+  const backend = {
+    search: sinon.stub().resolves({ results: [item('a', origin)] }),
+    getItemMappings: sinon.stub().resolves([])
+  }
+  const tile = await api.getItemsTile(
+    'landsat-8-l1',
+    { z: '2', x: '2', y: '1' },
+    { datetime: '2015-01-01T00:00:00Z/..', properties: 'platform,properties.gsd' },
+    backend
+  )
+
+  t.true(Buffer.isBuffer(tile))
+  const [searchParams, page, limit, options] = backend.search.firstCall.args
+  t.deepEqual(searchParams.collections, ['landsat-8-l1'])
+  t.is(searchParams.datetime, '2015-01-01T00:00:00Z/..')
+  t.deepEqual(searchParams.intersects, tilePolygon({ z: 2, x: 2, y: 1 }))
+  t.deepEqual(searchParams.fields.include,
+    ['id', 'collection', 'geometry', 'properties.platform', 'properties.gsd'])
+  t.is(page, undefined)
+  t.is(limit, 1000)
+  t.deepEqual(options, { pointInTime: false })
+})
+
+test('getItemsTile rejects bbox and intersects', async (t) => {
+  const backend = { search: sinon.stub() }
+  await t.throwsAsync(
+    () => api.getItemsTile(null, { z: '0', x: '0', y: '0' }, { bbox: '0,0,1,1' }, backend),
+    { instanceOf: api.ValidationError }
+  )
+  t.false(backend.search.called)
+})